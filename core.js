@@ -0,0 +1,1058 @@
+// Shared shape parsing and parameter math for the param calculator, the
+// speed calculator and the Node preset scripts. Loaded as a plain <script>
+// it sets globalThis.CALC_CORE; under Node it is a CommonJS module.
+(function (root, factory) {
+  const core = factory();
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = core;
+  } else {
+    root.CALC_CORE = core;
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  function normalizeNumStr(s) {
+    return String(s)
+      .replace(/[\u00A0\u202F\u2009\s_]/g, '')
+      .replace(/[,']/g, '');
+  }
+
+  const EXPRESSION_TOKEN_RE = /\s*(?:(\d[\d_]*(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(\S))/y;
+
+  function tokenizeExpression(text) {
+    const tokens = [];
+    EXPRESSION_TOKEN_RE.lastIndex = 0;
+    const source = String(text).trim();
+    while (EXPRESSION_TOKEN_RE.lastIndex < source.length) {
+      const match = EXPRESSION_TOKEN_RE.exec(source);
+      if (!match) break;
+      if (match[1]) tokens.push({ type: 'num', value: Number(match[1].replace(/_/g, '')) });
+      else if (match[2]) tokens.push({ type: 'name', value: match[2] });
+      else tokens.push({ type: 'op', value: match[3] });
+    }
+    return tokens;
+  }
+
+  // Evaluates a dimension expression such as `4D`, `(H + 2 * KV) * 128` or
+  // `D / 2` against named variables. Juxtaposition multiplies, so `4D` is
+  // `4 * D`. Returns NaN for syntax errors and unknown names.
+  function evaluateDimExpression(text, vars = {}) {
+    const tokens = tokenizeExpression(text);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (token, ops) => token && token.type === 'op' && ops.includes(token.value);
+    const startsFactor = token => token && (token.type !== 'op' || token.value === '(');
+
+    function factor() {
+      const token = tokens[pos++];
+      if (!token) return NaN;
+      if (isOp(token, '+-')) {
+        const value = factor();
+        return token.value === '-' ? -value : value;
+      }
+      if (token.type === 'num') return token.value;
+      if (token.type === 'name') {
+        return Object.prototype.hasOwnProperty.call(vars, token.value) ? Number(vars[token.value]) : NaN;
+      }
+      if (token.value === '(') {
+        const value = sum();
+        return isOp(tokens[pos++], ')') ? value : NaN;
+      }
+      return NaN;
+    }
+
+    function product() {
+      let value = factor();
+      for (;;) {
+        if (isOp(peek(), '*/')) {
+          const op = tokens[pos++].value;
+          const rhs = factor();
+          value = op === '*' ? value * rhs : value / rhs;
+        } else if (startsFactor(peek())) {
+          value *= factor();
+        } else {
+          return value;
+        }
+      }
+    }
+
+    function sum() {
+      let value = product();
+      while (isOp(peek(), '+-')) {
+        const op = tokens[pos++].value;
+        const rhs = product();
+        value = op === '+' ? value + rhs : value - rhs;
+      }
+      return value;
+    }
+
+    if (tokens.length === 0) return NaN;
+    const value = sum();
+    return pos === tokens.length ? value : NaN;
+  }
+
+  // One `NAME = expression` per line; later lines may use earlier names.
+  function parseShapeVariables(text) {
+    const values = {};
+    const invalid = [];
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line) return;
+      const match = line.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.+)$/);
+      const value = match ? evaluateDimExpression(match[2], values) : NaN;
+      if (Number.isFinite(value) && value >= 0) {
+        values[match[1]] = value;
+      } else {
+        invalid.push({ line: index + 1, value: line });
+      }
+    });
+    return { values, invalid };
+  }
+
+  function parseDimToken(raw, vars = {}) {
+    const t = normalizeNumStr(raw);
+    if (!t) return { value: 0, valid: false };
+    const number = Number(t);
+    const v = Number.isNaN(number) ? evaluateDimExpression(raw, vars) : number;
+    const valid = Number.isFinite(v) && v >= 0;
+    return { value: valid ? v : 0, valid };
+  }
+
+  function parseShapeGroup(group, vars = {}) {
+    const content = group.replace(/^[^\[]*\[/, '').replace(/\].*$/, '');
+    const tokens = content.split(/\s*,\s*/).filter(Boolean);
+    if (tokens.length === 0) return 0;
+    const dims = tokens.map(token => parseDimToken(token, vars));
+    if (dims.some(d => !d.valid)) return 0;
+    return dims.reduce((a, b) => a * b.value, 1);
+  }
+
+  // Bits per stored element for safetensors dtypes. MXFP4 is the unpacked
+  // logical count of a U8 blocks + E8M0 scales pair (4 bits + 8 bits / 32).
+  const DTYPE_BITS = Object.freeze({
+    F64: 64,
+    F32: 32,
+    BF16: 16,
+    F16: 16,
+    F8_E4M3: 8,
+    F8_E5M2: 8,
+    F8_E8M0: 8,
+    I64: 64,
+    I32: 32,
+    I16: 16,
+    I8: 8,
+    U8: 8,
+    BOOL: 8,
+    MXFP4: 4.25,
+  });
+
+  // A shape line is `[dims]`, optionally labelled `name: [dims]` and
+  // optionally followed by a safetensors dtype.
+  function parseShapeLine(rawLine) {
+    const trimmed = rawLine.trim();
+    if (!trimmed) return null;
+    const labelMatch = trimmed.match(/^([^\[\]:]+?)\s*:\s*/);
+    const name = labelMatch ? labelMatch[1] : null;
+    const line = labelMatch ? trimmed.slice(labelMatch[0].length) : trimmed;
+    const dtypeMatch = line.match(/\s([A-Za-z][A-Za-z0-9_]*)$/);
+    const dtype = dtypeMatch && DTYPE_BITS[dtypeMatch[1].toUpperCase()] != null
+      ? dtypeMatch[1].toUpperCase()
+      : null;
+    const body = dtype ? line.slice(0, dtypeMatch.index).trim() : line;
+    return {
+      name,
+      shape: body,
+      groups: body.match(/\[[^\]]*\]/g) || ['[' + body + ']'],
+      dtype,
+    };
+  }
+
+  function sumShapes(text, vars = {}) {
+    if (!text) return 0;
+    let total = 0;
+    const lines = String(text).split(/\r?\n/);
+    for (const rawLine of lines) {
+      const parsed = parseShapeLine(rawLine);
+      if (!parsed) continue;
+      for (const g of parsed.groups) total += parseShapeGroup(g, vars);
+    }
+    return total;
+  }
+
+  // On-disk size of shape lines. Lines without a dtype suffix are tallied
+  // separately so callers can tell a partial size from a complete one.
+  function sumShapeBytes(text, vars = {}) {
+    const size = { bytes: 0, unknownParams: 0 };
+    if (!text) return size;
+    const lines = String(text).split(/\r?\n/);
+    for (const rawLine of lines) {
+      const parsed = parseShapeLine(rawLine);
+      if (!parsed) continue;
+      const count = parsed.groups.reduce((total, g) => total + parseShapeGroup(g, vars), 0);
+      if (parsed.dtype) {
+        size.bytes += count * DTYPE_BITS[parsed.dtype] / 8;
+      } else {
+        size.unknownParams += count;
+      }
+    }
+    return size;
+  }
+
+  // Per-line breakdown of a shape textarea. `bytes` is null for lines
+  // without a dtype suffix.
+  function listShapeLines(text, vars = {}) {
+    if (!text) return [];
+    const entries = [];
+    String(text).split(/\r?\n/).forEach((rawLine, index) => {
+      const parsed = parseShapeLine(rawLine);
+      if (!parsed) return;
+      const params = parsed.groups.reduce((total, g) => total + parseShapeGroup(g, vars), 0);
+      entries.push({
+        line: index + 1,
+        name: parsed.name,
+        shape: parsed.shape,
+        dtype: parsed.dtype,
+        params,
+        bytes: parsed.dtype ? params * DTYPE_BITS[parsed.dtype] / 8 : null,
+      });
+    });
+    return entries;
+  }
+
+  function addSizes(...sizes) {
+    return sizes.reduce((total, size) => ({
+      bytes: total.bytes + size.bytes,
+      unknownParams: total.unknownParams + size.unknownParams,
+    }), { bytes: 0, unknownParams: 0 });
+  }
+
+  function scaleSize(size, factor) {
+    return { bytes: size.bytes * factor, unknownParams: size.unknownParams * factor };
+  }
+
+  function collectInvalidShapeEntries(text, vars = {}) {
+    if (!text) return [];
+    const invalidEntries = [];
+    const lines = String(text).split(/\r?\n/);
+    for (let i = 0; i < lines.length; i += 1) {
+      const parsed = parseShapeLine(lines[i]);
+      if (!parsed) continue;
+      for (const group of parsed.groups) {
+        const content = group.replace(/^[^\[]*\[/, '').replace(/\].*$/, '');
+        const tokens = content.split(/\s*,\s*/).filter(Boolean);
+        const valid = tokens.length > 0 && tokens.every(token => parseDimToken(token, vars).valid);
+        if (!valid) invalidEntries.push({ line: i + 1, value: group });
+      }
+    }
+    return invalidEntries;
+  }
+
+  function parseCount(value) {
+    return parseInt(value || '0', 10) || 0;
+  }
+
+  function makeDenseBucket(label, count, normsText, attnText, ffnText, vars) {
+    const norms = sumShapes(normsText, vars);
+    const attn = sumShapes(attnText, vars);
+    const ffn = sumShapes(ffnText, vars);
+    const perLayer = norms + attn + ffn;
+    const diskPerLayer = addSizes(sumShapeBytes(normsText, vars), sumShapeBytes(attnText, vars), sumShapeBytes(ffnText, vars));
+    return {
+      label,
+      count,
+      norms,
+      attn,
+      ffn,
+      perLayer,
+      total: count * perLayer,
+      diskPerLayer,
+      diskTotal: scaleSize(diskPerLayer, count),
+    };
+  }
+
+  function makeMoeBucket(label, count, attnText, transitionalText, sharedFfnText, expertsText, expertsIncludeDim, expertsPer, activeExpertsClamped, hasShared, sharedPerLayer, sharedDiskPerLayer, vars) {
+    const attn = sumShapes(attnText, vars);
+    const normsTrans = sumShapes(transitionalText, vars);
+    const sharedFfn = sumShapes(sharedFfnText, vars);
+    const expertsInput = sumShapes(expertsText, vars);
+    const bucketSharedPerLayer = count > 0 ? sharedPerLayer : 0;
+    const alwaysPerLayer = attn + normsTrans + sharedFfn + bucketSharedPerLayer;
+    const expertsPerLayerTotal = expertsIncludeDim ? expertsInput : (expertsInput * expertsPer);
+    const expertsActivePerLayer = expertsIncludeDim
+      ? (expertsPer > 0 ? expertsInput * (activeExpertsClamped / expertsPer) : 0)
+      : (expertsInput * activeExpertsClamped);
+    const diskAlwaysPerLayer = addSizes(
+      sumShapeBytes(attnText, vars),
+      sumShapeBytes(transitionalText, vars),
+      sumShapeBytes(sharedFfnText, vars),
+      count > 0 ? sharedDiskPerLayer : addSizes(),
+    );
+    const expertsDisk = sumShapeBytes(expertsText, vars);
+    const diskExpertsPerLayer = expertsIncludeDim ? expertsDisk : scaleSize(expertsDisk, expertsPer);
+    return {
+      label,
+      count,
+      attn,
+      normsTrans,
+      sharedFfn,
+      expertsInput,
+      sharedPerLayer: bucketSharedPerLayer,
+      alwaysPerLayer,
+      expertsPerLayerTotal,
+      expertsActivePerLayer,
+      alwaysTotal: count * alwaysPerLayer,
+      expertTotal: count * expertsPerLayerTotal,
+      activeTotal: count * (alwaysPerLayer + expertsActivePerLayer),
+      inactivePerToken: count * Math.max(0, expertsPerLayerTotal - expertsActivePerLayer),
+      mlpTotal: count * (sharedFfn + expertsPerLayerTotal + (hasShared ? bucketSharedPerLayer : 0)),
+      diskAlwaysPerLayer,
+      diskExpertsPerLayer,
+      diskAlwaysTotal: scaleSize(diskAlwaysPerLayer, count),
+      diskExpertTotal: scaleSize(diskExpertsPerLayer, count),
+    };
+  }
+
+  const SHAPE_FIELDS_BY_LETTER = Object.freeze([
+    ['E', 'embedding_shapes'],
+    ['F', 'pre_first_norms'],
+    ['G', 'dense_norms'],
+    ['H', 'dense_attn'],
+    ['I', 'dense_ffn'],
+    ['J', 'dense_ssm_norms'],
+    ['K', 'dense_ssm_attn'],
+    ['L', 'dense_ssm_ffn'],
+    ['P', 'shared_expert_tensors'],
+    ['Q', 'moe_attn'],
+    ['R', 'moe_transitional'],
+    ['S', 'moe_shared_ffn'],
+    ['T', 'moe_experts'],
+    ['U', 'moe_ssm_attn'],
+    ['V', 'moe_ssm_transitional'],
+    ['W', 'moe_ssm_shared_ffn'],
+    ['X', 'moe_ssm_experts'],
+  ]);
+
+  function countWarnings(input, vars) {
+    return SHAPE_FIELDS_BY_LETTER
+      .map(([code, fieldId]) => [code, collectInvalidShapeEntries(input[fieldId], vars)])
+      .filter(([, entries]) => entries.length > 0);
+  }
+
+  // Shape lines behind each lettered sum. P only counts with a shared expert.
+  function collectTensorLines(input, vars) {
+    return Object.fromEntries(SHAPE_FIELDS_BY_LETTER.map(([code, fieldId]) => [
+      code,
+      code === 'P' && !input.has_shared_expert ? [] : listShapeLines(input[fieldId], vars),
+    ]));
+  }
+
+  const STABLE_LABEL_REFS = Object.freeze({
+    dense_attention_layers: 'Z01',
+    dense_ssm_attention_layers: 'Z02',
+    moe_attention_layers: 'Z03',
+    moe_ssm_attention_layers: 'Z04',
+    shape_variables: 'Z48',
+    embedding_shapes: 'Z05',
+    pre_first_norms: 'Z06',
+    dense_norms: 'Z07',
+    dense_attn: 'Z08',
+    dense_ffn: 'Z09',
+    dense_ssm_norms: 'Z10',
+    dense_ssm_attn: 'Z11',
+    dense_ssm_ffn: 'Z12',
+    experts_per_layer: 'Z13',
+    active_experts: 'Z14',
+    shared_expert_scope: 'Z15',
+    shared_expert_tensors: 'Z16',
+    moe_attn: 'Z17',
+    moe_transitional: 'Z18',
+    moe_shared_ffn: 'Z19',
+    moe_experts: 'Z20',
+    moe_ssm_attn: 'Z21',
+    moe_ssm_transitional: 'Z22',
+    moe_ssm_shared_ffn: 'Z23',
+    moe_ssm_experts: 'Z24',
+    has_shared_expert: 'Z43',
+    experts_include_dim: 'Z44',
+    layer_schedule: 'Z49',
+    explanation_dense_attention_only: 'Z25',
+    explanation_dense_ssm_attention: 'Z26',
+    explanation_dense_total: 'Z27',
+    explanation_moe_attention_only_always: 'Z28',
+    explanation_moe_ssm_attention_always: 'Z29',
+    explanation_moe_attention_only_experts: 'Z30',
+    explanation_moe_ssm_attention_experts: 'Z31',
+    explanation_moe_total: 'Z32',
+    explanation_moe_active: 'Z33',
+    explanation_moe_always_total: 'Z45',
+    explanation_dense_active: 'Z34',
+    explanation_total_params: 'Z35',
+    explanation_total_active: 'Z36',
+    explanation_total_always_active: 'Z37',
+    explanation_always_share: 'Z38',
+    explanation_moe_share_active: 'Z47',
+    explanation_total_mlp: 'Z39',
+    explanation_total_attn: 'Z40',
+    explanation_moe_experts_active: 'Z41',
+    explanation_moe_experts_total: 'Z42',
+    explanation_moe_inactive_per_token: 'Z46',
+    explanation_schedule_dense_total: 'Z50',
+    explanation_schedule_moe_total: 'Z51',
+    explanation_schedule_moe_active: 'Z52',
+    explanation_schedule_moe_always: 'Z53',
+  });
+
+  const FORM_STABLE_LABEL_REFS = Object.freeze(
+    Object.fromEntries(
+      Object.entries(STABLE_LABEL_REFS).filter(([key]) => !key.startsWith('explanation_')),
+    ),
+  );
+
+  const FIELD_IDS_BY_STABLE_REF = Object.freeze(
+    Object.fromEntries(
+      Object.entries(FORM_STABLE_LABEL_REFS).map(([fieldId, stableRef]) => [stableRef, fieldId]),
+    ),
+  );
+
+  function createEmptyInput(overrides = {}) {
+    return {
+      total_layers: '0',
+      dense_layers: '0',
+      moe_layers: '0',
+      dense_attention_layers: '0',
+      dense_ssm_attention_layers: '0',
+      moe_attention_layers: '0',
+      moe_ssm_attention_layers: '0',
+      shape_variables: '',
+      embedding_shapes: '',
+      pre_first_norms: '',
+      dense_norms: '',
+      dense_attn: '',
+      dense_ffn: '',
+      dense_ssm_norms: '',
+      dense_ssm_attn: '',
+      dense_ssm_ffn: '',
+      experts_per_layer: '0',
+      active_experts: '0',
+      has_shared_expert: false,
+      shared_expert_scope: 'per_layer',
+      shared_expert_tensors: '',
+      moe_attn: '',
+      moe_transitional: '',
+      moe_shared_ffn: '',
+      moe_experts: '',
+      moe_ssm_attn: '',
+      moe_ssm_transitional: '',
+      moe_ssm_shared_ffn: '',
+      moe_ssm_experts: '',
+      experts_include_dim: false,
+      layer_schedule: '',
+      ...overrides,
+    };
+  }
+
+  function applyStableRefPresetData(presetEntry, setVal, setChecked) {
+    Object.entries(presetEntry || {}).forEach(([stableRef, value]) => {
+      const fieldId = FIELD_IDS_BY_STABLE_REF[stableRef];
+      if (!fieldId) return;
+      if (typeof value === 'boolean') {
+        setChecked(fieldId, value);
+      } else {
+        setVal(fieldId, value);
+      }
+    });
+  }
+
+  // Turns a stable-ref preset entry into computeResults input.
+  function inputFromPresetEntry(presetEntry) {
+    const input = createEmptyInput();
+    const setVal = (id, value) => {
+      input[id] = value;
+    };
+    const setChecked = (id, value) => {
+      input[id] = !!value;
+    };
+    applyStableRefPresetData(presetEntry, setVal, setChecked);
+    input.total_layers = String(
+      parseCount(input.dense_attention_layers)
+      + parseCount(input.dense_ssm_attention_layers)
+      + parseCount(input.moe_attention_layers)
+      + parseCount(input.moe_ssm_attention_layers),
+    );
+    return input;
+  }
+
+  const SCHEDULE_ROLES = Object.freeze(['norms', 'attn', 'ffn', 'shared', 'experts']);
+  const MAX_SCHEDULED_LAYERS = 100000;
+
+  // Layer pattern like `3*swa global` or `12*(3*swa, global)`. Returns the
+  // flat list of template names, or null when the pattern does not parse.
+  function parseLayerPattern(text) {
+    const tokens = String(text).match(/\d+|[A-Za-z_][A-Za-z0-9_.-]*|[()*,]|\S/g) || [];
+    let pos = 0;
+
+    function list(closing) {
+      const names = [];
+      while (pos < tokens.length && tokens[pos] !== closing) {
+        if (tokens[pos] === ',') {
+          pos += 1;
+          continue;
+        }
+        const item = repeatItem();
+        if (!item) return null;
+        names.push(...item);
+        if (names.length > MAX_SCHEDULED_LAYERS) return null;
+      }
+      return names;
+    }
+
+    function repeatItem() {
+      let times = 1;
+      if (/^\d+$/.test(tokens[pos])) {
+        times = Number(tokens[pos]);
+        if (tokens[pos + 1] !== '*') return null;
+        pos += 2;
+      }
+      const names = atom();
+      if (!names || names.length * times > MAX_SCHEDULED_LAYERS) return null;
+      return Array.from({ length: times }, () => names).flat();
+    }
+
+    function atom() {
+      const token = tokens[pos];
+      if (token === '(') {
+        pos += 1;
+        const names = list(')');
+        if (!names || tokens[pos] !== ')') return null;
+        pos += 1;
+        return names;
+      }
+      if (token && /^[A-Za-z_]/.test(token)) {
+        pos += 1;
+        return [token];
+      }
+      return null;
+    }
+
+    const names = list(undefined);
+    return names && pos === tokens.length ? names : null;
+  }
+
+  function parseScheduleCount(text, vars) {
+    const value = evaluateDimExpression(text, vars);
+    return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+  }
+
+  // Parses a layer schedule: `template NAME [experts=N] [active=N]` blocks of
+  // `ROLE shape-line` lines, plus `layers PATTERN` lines that list the
+  // templates in layer order. Templates without experts=/active= fall back to
+  // the form's M and N.
+  function parseLayerSchedule(text, { vars = {}, expertsPer = 0, activeExperts = 0 } = {}) {
+    const templates = {};
+    const order = [];
+    const invalid = [];
+    const patterns = [];
+    let current = null;
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) return;
+      const lineNo = index + 1;
+      const [keyword, ...rest] = line.split(/\s+/);
+      if (keyword === 'template') {
+        const [name, ...options] = rest;
+        if (!name || !/^[A-Za-z_][A-Za-z0-9_.-]*$/.test(name) || templates[name]) {
+          invalid.push({ line: lineNo, value: line });
+          current = null;
+          return;
+        }
+        current = { name, experts: expertsPer, active: activeExperts, lines: Object.fromEntries(SCHEDULE_ROLES.map(role => [role, []])) };
+        for (const option of options) {
+          const match = option.match(/^(experts|active)=(.+)$/);
+          const value = match ? parseScheduleCount(match[2], vars) : null;
+          if (value === null) {
+            invalid.push({ line: lineNo, value: line });
+            continue;
+          }
+          current[match[1]] = value;
+        }
+        templates[name] = current;
+        order.push(name);
+      } else if (keyword === 'layers') {
+        patterns.push({ line: lineNo, value: line, pattern: rest.join(' ') });
+      } else if (SCHEDULE_ROLES.includes(keyword) && current && rest.length > 0) {
+        const shape = rest.join(' ');
+        if (collectInvalidShapeEntries(shape, vars).length > 0) {
+          invalid.push({ line: lineNo, value: line });
+          return;
+        }
+        current.lines[keyword].push(shape);
+      } else {
+        invalid.push({ line: lineNo, value: line });
+      }
+    });
+
+    const layers = [];
+    patterns.forEach(({ line, value, pattern }) => {
+      const names = parseLayerPattern(pattern);
+      if (!names || names.some(name => !templates[name]) || layers.length + names.length > MAX_SCHEDULED_LAYERS) {
+        invalid.push({ line, value });
+        return;
+      }
+      layers.push(...names);
+    });
+    invalid.sort((a, b) => a.line - b.line);
+    return { templates, order, layers, invalid };
+  }
+
+  function summarizeScheduleTemplate(template, vars, expertsIncludeDim) {
+    const text = role => template.lines[role].join('\n');
+    const norms = sumShapes(text('norms'), vars);
+    const attn = sumShapes(text('attn'), vars);
+    const ffn = sumShapes(text('ffn'), vars);
+    const shared = sumShapes(text('shared'), vars);
+    const expertsInput = sumShapes(text('experts'), vars);
+    // Only templates with expert lines are MoE layers; the others do not
+    // inherit the form's expert count
+    const hasExperts = template.lines.experts.length > 0;
+    const experts = hasExperts ? template.experts : 0;
+    const active = Math.max(0, Math.min(template.active, experts));
+    const expertsTotal = expertsIncludeDim ? expertsInput : expertsInput * experts;
+    const expertsActive = expertsIncludeDim
+      ? (experts > 0 ? expertsInput * (active / experts) : 0)
+      : expertsInput * active;
+    const always = norms + attn + ffn + shared;
+    const expertsDisk = sumShapeBytes(text('experts'), vars);
+    return {
+      name: template.name,
+      kind: hasExperts ? 'moe' : 'dense',
+      experts,
+      active,
+      norms,
+      attn,
+      ffn,
+      shared,
+      expertsInput,
+      always,
+      expertsTotal,
+      expertsActive,
+      total: always + expertsTotal,
+      activeTotal: always + expertsActive,
+      diskAlways: addSizes(...['norms', 'attn', 'ffn', 'shared'].map(role => sumShapeBytes(text(role), vars))),
+      diskExperts: expertsIncludeDim ? expertsDisk : scaleSize(expertsDisk, experts),
+    };
+  }
+
+  function emptyScheduleTotals() {
+    return {
+      count: 0,
+      norms: 0,
+      attn: 0,
+      ffn: 0,
+      shared: 0,
+      always: 0,
+      expertsTotal: 0,
+      expertsActive: 0,
+      total: 0,
+      active: 0,
+      disk: addSizes(),
+    };
+  }
+
+  // Sums a parsed schedule layer by layer into dense and MoE totals, and
+  // groups consecutive layers that share a template into runs for display.
+  function computeLayerSchedule(text, { vars = {}, expertsPer = 0, activeExperts = 0, expertsIncludeDim = false } = {}) {
+    const parsed = parseLayerSchedule(text, { vars, expertsPer, activeExperts });
+    const templates = Object.fromEntries(parsed.order.map(name => [
+      name,
+      summarizeScheduleTemplate(parsed.templates[name], vars, expertsIncludeDim),
+    ]));
+    const dense = emptyScheduleTotals();
+    const moe = emptyScheduleTotals();
+    const runs = [];
+    parsed.layers.forEach((name, index) => {
+      const template = templates[name];
+      const totals = template.kind === 'moe' ? moe : dense;
+      totals.count += 1;
+      totals.norms += template.norms;
+      totals.attn += template.attn;
+      totals.ffn += template.ffn;
+      totals.shared += template.shared;
+      totals.always += template.always;
+      totals.expertsTotal += template.expertsTotal;
+      totals.expertsActive += template.expertsActive;
+      totals.total += template.total;
+      totals.active += template.activeTotal;
+      totals.disk = addSizes(totals.disk, template.diskAlways, template.diskExperts);
+      const last = runs[runs.length - 1];
+      if (last && last.template === name) last.count += 1;
+      else runs.push({ template: name, start: index, count: 1 });
+    });
+    return {
+      templates,
+      layers: parsed.layers,
+      runs,
+      invalid: parsed.invalid,
+      dense,
+      moe,
+    };
+  }
+
+  // The four-bucket form written out as an equivalent layer schedule, so a
+  // preset can be turned into a starting point for a heterogeneous one.
+  // Global-scope shared experts have no per-layer home and move to F.
+  function scheduleFromBuckets(input) {
+    const hasShared = !!input.has_shared_expert;
+    const perLayerShared = hasShared && (input.shared_expert_scope || 'per_layer') === 'per_layer';
+    const roleLines = (role, text) => String(text || '').split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => `${role} ${line}`);
+    const buckets = [
+      ['dense_attn', parseCount(input.dense_attention_layers), [['norms', input.dense_norms], ['attn', input.dense_attn], ['ffn', input.dense_ffn]]],
+      ['dense_ssm', parseCount(input.dense_ssm_attention_layers), [['norms', input.dense_ssm_norms], ['attn', input.dense_ssm_attn], ['ffn', input.dense_ssm_ffn]]],
+      ['moe_attn', parseCount(input.moe_attention_layers), [['attn', input.moe_attn], ['norms', input.moe_transitional], ['ffn', input.moe_shared_ffn], ['experts', input.moe_experts]]],
+      ['moe_ssm', parseCount(input.moe_ssm_attention_layers), [['attn', input.moe_ssm_attn], ['norms', input.moe_ssm_transitional], ['ffn', input.moe_ssm_shared_ffn], ['experts', input.moe_ssm_experts]]],
+    ].filter(([, count]) => count > 0);
+    const schedule = [];
+    buckets.forEach(([name, , roles]) => {
+      const isMoe = name.startsWith('moe');
+      schedule.push(isMoe ? `template ${name}` : `template ${name} experts=0`);
+      roles.forEach(([role, text]) => schedule.push(...roleLines(role, text)));
+      if (isMoe && perLayerShared) schedule.push(...roleLines('shared', input.shared_expert_tensors));
+    });
+    if (buckets.length > 0) {
+      schedule.push(`layers ${buckets.map(([name, count]) => `${count}*${name}`).join(' ')}`);
+    }
+    const existing = String(input.layer_schedule || '').trim();
+    const globalShared = hasShared && !perLayerShared && buckets.some(([name]) => name.startsWith('moe'))
+      ? String(input.shared_expert_tensors || '').trim()
+      : '';
+    return {
+      ...input,
+      ...Object.fromEntries([
+        'dense_attention_layers', 'dense_ssm_attention_layers', 'moe_attention_layers', 'moe_ssm_attention_layers',
+      ].map(id => [id, '0'])),
+      ...Object.fromEntries([
+        'dense_norms', 'dense_attn', 'dense_ffn', 'dense_ssm_norms', 'dense_ssm_attn', 'dense_ssm_ffn',
+        'moe_attn', 'moe_transitional', 'moe_shared_ffn', 'moe_experts',
+        'moe_ssm_attn', 'moe_ssm_transitional', 'moe_ssm_shared_ffn', 'moe_ssm_experts',
+      ].map(id => [id, ''])),
+      pre_first_norms: [input.pre_first_norms, globalShared].filter(text => String(text || '').trim()).join('\n'),
+      has_shared_expert: false,
+      shared_expert_tensors: '',
+      layer_schedule: [existing, schedule.join('\n')].filter(Boolean).join('\n'),
+    };
+  }
+
+  function computeResults(input) {
+    const denseAttentionLayersRaw = parseCount(input.dense_attention_layers);
+    const denseSsmAttentionLayers = parseCount(input.dense_ssm_attention_layers);
+    const moeAttentionLayersRaw = parseCount(input.moe_attention_layers);
+    const moeSsmAttentionLayers = parseCount(input.moe_ssm_attention_layers);
+    const hasExplicitDenseCounts = denseAttentionLayersRaw > 0 || denseSsmAttentionLayers > 0;
+    const hasExplicitMoeCounts = moeAttentionLayersRaw > 0 || moeSsmAttentionLayers > 0;
+
+    const denseAttentionLayers = hasExplicitDenseCounts ? denseAttentionLayersRaw : parseCount(input.dense_layers);
+    const moeAttentionLayers = hasExplicitMoeCounts ? moeAttentionLayersRaw : parseCount(input.moe_layers);
+    const denseLayers = denseAttentionLayers + denseSsmAttentionLayers;
+    const moeLayers = moeAttentionLayers + moeSsmAttentionLayers;
+    const expertsPer = parseCount(input.experts_per_layer);
+    const activeExperts = parseCount(input.active_experts);
+    const activeExpertsClamped = Math.max(0, Math.min(activeExperts, expertsPer));
+    const expertsIncludeDim = !!input.experts_include_dim;
+    const hasShared = !!input.has_shared_expert;
+    const sharedScope = input.shared_expert_scope || 'per_layer';
+    const shapeVariables = parseShapeVariables(input.shape_variables);
+    const vars = shapeVariables.values;
+    const schedule = computeLayerSchedule(input.layer_schedule, { vars, expertsPer, activeExperts, expertsIncludeDim });
+
+    const embedCount = sumShapes(input.embedding_shapes, vars);
+    const preFirstCount = sumShapes(input.pre_first_norms, vars);
+    const sharedExpertParams = hasShared ? sumShapes(input.shared_expert_tensors, vars) : 0;
+    const sharedPerLayer = hasShared
+      ? (sharedScope === 'per_layer' ? sharedExpertParams : (moeLayers > 0 ? (sharedExpertParams / moeLayers) : 0))
+      : 0;
+    const sharedExpertTotal = hasShared ? (sharedScope === 'per_layer' ? moeLayers * sharedExpertParams : sharedExpertParams) : 0;
+    const sharedExpertDisk = hasShared ? sumShapeBytes(input.shared_expert_tensors, vars) : addSizes();
+    const sharedDiskPerLayer = sharedScope === 'per_layer'
+      ? sharedExpertDisk
+      : scaleSize(sharedExpertDisk, moeLayers > 0 ? 1 / moeLayers : 0);
+
+    const denseAttentionOnly = makeDenseBucket(
+      'Dense attention-only',
+      denseAttentionLayers,
+      input.dense_norms,
+      input.dense_attn,
+      input.dense_ffn,
+      vars,
+    );
+    const denseSsmAttention = makeDenseBucket(
+      'Dense SSM+attention',
+      denseSsmAttentionLayers,
+      input.dense_ssm_norms,
+      input.dense_ssm_attn,
+      input.dense_ssm_ffn,
+      vars,
+    );
+
+    const moeAttentionOnly = makeMoeBucket(
+      'MoE attention-only',
+      moeAttentionLayers,
+      input.moe_attn,
+      input.moe_transitional,
+      input.moe_shared_ffn,
+      input.moe_experts,
+      expertsIncludeDim,
+      expertsPer,
+      activeExpertsClamped,
+      hasShared,
+      sharedPerLayer,
+      sharedDiskPerLayer,
+      vars,
+    );
+    const moeSsmAttention = makeMoeBucket(
+      'MoE SSM+attention',
+      moeSsmAttentionLayers,
+      input.moe_ssm_attn,
+      input.moe_ssm_transitional,
+      input.moe_ssm_shared_ffn,
+      input.moe_ssm_experts,
+      expertsIncludeDim,
+      expertsPer,
+      activeExpertsClamped,
+      hasShared,
+      sharedPerLayer,
+      sharedDiskPerLayer,
+      vars,
+    );
+
+    const dNorms = denseAttentionOnly.norms + denseSsmAttention.norms;
+    const dAttn = denseAttentionOnly.attn + denseSsmAttention.attn;
+    const dFfn = denseAttentionOnly.ffn + denseSsmAttention.ffn;
+    const denseTotal = denseAttentionOnly.total + denseSsmAttention.total + schedule.dense.total;
+
+    const mAttn = moeAttentionOnly.attn + moeSsmAttention.attn;
+    const mNormsTrans = moeAttentionOnly.normsTrans + moeSsmAttention.normsTrans;
+    const mSharedFfn = moeAttentionOnly.sharedFfn + moeSsmAttention.sharedFfn;
+    const mExpertsInput = moeAttentionOnly.expertsInput + moeSsmAttention.expertsInput;
+    const moeExpertTotal = moeAttentionOnly.expertTotal + moeSsmAttention.expertTotal + schedule.moe.expertsTotal;
+    const moeAlwaysTotal = moeAttentionOnly.alwaysTotal + moeSsmAttention.alwaysTotal + schedule.moe.always;
+    const moeTotal = moeAlwaysTotal + moeExpertTotal;
+
+    const denseActive = embedCount + preFirstCount + denseTotal;
+    const moeActive = moeAttentionOnly.activeTotal + moeSsmAttention.activeTotal + schedule.moe.active;
+    const totalParams = denseActive + moeTotal;
+    const totalActive = denseActive + moeActive;
+    const moeInactivePerToken = moeAttentionOnly.inactivePerToken + moeSsmAttention.inactivePerToken
+      + schedule.moe.expertsTotal - schedule.moe.expertsActive;
+    const totalMlp = (denseAttentionOnly.count * denseAttentionOnly.ffn)
+      + (denseSsmAttention.count * denseSsmAttention.ffn)
+      + moeAttentionOnly.mlpTotal
+      + moeSsmAttention.mlpTotal
+      + schedule.dense.ffn + schedule.dense.shared
+      + schedule.moe.ffn + schedule.moe.shared + schedule.moe.expertsTotal;
+    const totalAttn = denseAttentionOnly.count * denseAttentionOnly.attn + denseSsmAttention.count * denseSsmAttention.attn + moeAttentionOnly.count * moeAttentionOnly.attn + moeSsmAttention.count * moeSsmAttention.attn
+      + schedule.dense.attn + schedule.moe.attn;
+    const totalAlwaysActive = denseActive + moeAlwaysTotal;
+    const alwaysActivePct = totalActive > 0 ? (100 * totalAlwaysActive / totalActive) : 0;
+    const denseActivePct = totalActive > 0 ? (100 * denseActive / totalActive) : 0;
+    const moeActivePct = totalActive > 0 ? (100 * moeActive / totalActive) : 0;
+    const moeExpertsOnly = Math.max(0, moeActive - moeAlwaysTotal);
+    const moeExpertsPct = totalActive > 0 ? (100 * moeExpertsOnly / totalActive) : 0;
+    const invalidShapeWarnings = countWarnings(input, vars);
+    const tensorLines = collectTensorLines(input, vars);
+
+    const embedDisk = sumShapeBytes(input.embedding_shapes, vars);
+    const preFirstDisk = sumShapeBytes(input.pre_first_norms, vars);
+    const diskBuckets = [
+      ['Embedding/output matrices', embedDisk],
+      ['Pre/post first/last layer norms/others', preFirstDisk],
+      ['Dense attention-only layers', denseAttentionOnly.diskTotal],
+      ['Dense SSM+attention layers', denseSsmAttention.diskTotal],
+      ['MoE attention-only always-active', moeAttentionOnly.diskAlwaysTotal],
+      ['MoE SSM+attention always-active', moeSsmAttention.diskAlwaysTotal],
+      ['MoE attention-only experts', moeAttentionOnly.diskExpertTotal],
+      ['MoE SSM+attention experts', moeSsmAttention.diskExpertTotal],
+      ['Scheduled layers', addSizes(schedule.dense.disk, schedule.moe.disk)],
+    ].map(([label, size]) => ({ label, ...size }));
+    const diskTotal = addSizes(...diskBuckets);
+
+    return {
+      denseLayers,
+      moeLayers,
+      denseAttentionLayers,
+      denseSsmAttentionLayers,
+      moeAttentionLayers,
+      moeSsmAttentionLayers,
+      expertsPer,
+      activeExperts,
+      activeExpertsClamped,
+      expertsIncludeDim,
+      hasShared,
+      sharedScope,
+      embedCount,
+      preFirstCount,
+      sharedExpertParams,
+      sharedPerLayer,
+      sharedExpertTotal,
+      denseAttentionOnly,
+      denseSsmAttention,
+      moeAttentionOnly,
+      moeSsmAttention,
+      dNorms,
+      dAttn,
+      dFfn,
+      dPerLayer: denseAttentionOnly.perLayer,
+      dSsmPerLayer: denseSsmAttention.perLayer,
+      mAttn,
+      mNormsTrans,
+      mSharedFfn,
+      mExpertsInput,
+      mAlwaysPerLayer: moeAttentionOnly.alwaysPerLayer,
+      mSsmAlwaysPerLayer: moeSsmAttention.alwaysPerLayer,
+      expertsPerLayerTotal: moeAttentionOnly.expertsPerLayerTotal,
+      expertsSsmPerLayerTotal: moeSsmAttention.expertsPerLayerTotal,
+      expertsActivePerLayer: moeAttentionOnly.expertsActivePerLayer,
+      expertsSsmActivePerLayer: moeSsmAttention.expertsActivePerLayer,
+      denseTotal,
+      moeExpertTotal,
+      moeAlwaysTotal,
+      moeTotal,
+      totalParams,
+      denseActive,
+      moeActive,
+      totalActive,
+      denseActivePct,
+      moeActivePct,
+      moeInactivePerToken,
+      totalMlp,
+      totalAttn,
+      totalAlwaysActive,
+      alwaysActivePct,
+      moeExpertsOnly,
+      moeExpertsPct,
+      invalidShapeWarnings,
+      tensorLines,
+      shapeVariables: vars,
+      invalidVariableLines: shapeVariables.invalid,
+      layerSchedule: schedule,
+      scheduledLayers: schedule.layers.length,
+      invalidScheduleLines: schedule.invalid,
+      diskBuckets,
+      diskBytes: diskTotal.bytes,
+      diskUnknownParams: diskTotal.unknownParams,
+      totalLayersComputed: denseLayers + moeLayers + schedule.layers.length,
+    };
+  }
+
+  // Hidden size is the last dim of the first embedding (Z05) shape.
+  function parseHiddenSize(text, vars = {}) {
+    const match = String(text || '').match(/\[([^\]]*)\]/);
+    if (!match) return 0;
+    const dims = match[1].split(/\s*,\s*/).filter(Boolean).map(token => parseDimToken(token, vars));
+    const last = dims[dims.length - 1];
+    return last && last.valid ? last.value : 0;
+  }
+
+  // Counts the speed calculator needs, in the same tensor classes as its
+  // quantization plan. Z05 lists embedding / output-head pairs, so even lines
+  // are embeddings and odd lines are heads.
+  function computeSpeedCounts(input, r) {
+    const embeddingLines = String(input.embedding_shapes || '').split(/\r?\n/).filter(line => line.trim());
+    const bucketSum = (key, ...buckets) => buckets.reduce((total, bucket) => total + bucket.count * bucket[key], 0);
+    const schedule = r.layerSchedule;
+    return {
+      totalParams: r.totalParams,
+      alwaysActiveParams: r.totalAlwaysActive,
+      activeExpertParams: r.moeExpertsOnly,
+      hiddenSize: parseHiddenSize(input.embedding_shapes, r.shapeVariables),
+      layerCount: r.totalLayersComputed,
+      expertsPerLayer: r.expertsPer,
+      activeExperts: r.activeExpertsClamped,
+      classParams: {
+        embeddings: embeddingLines.filter((line, index) => index % 2 === 0).reduce((total, line) => total + sumShapes(line, r.shapeVariables), 0),
+        output_head: embeddingLines.filter((line, index) => index % 2 === 1).reduce((total, line) => total + sumShapes(line, r.shapeVariables), 0),
+        norms: r.preFirstCount
+          + bucketSum('norms', r.denseAttentionOnly, r.denseSsmAttention)
+          + bucketSum('normsTrans', r.moeAttentionOnly, r.moeSsmAttention)
+          + schedule.dense.norms + schedule.moe.norms,
+        attention: bucketSum('attn', r.denseAttentionOnly, r.denseSsmAttention, r.moeAttentionOnly, r.moeSsmAttention)
+          + schedule.dense.attn + schedule.moe.attn,
+        dense_ffn: bucketSum('ffn', r.denseAttentionOnly, r.denseSsmAttention) + schedule.dense.ffn,
+        router: bucketSum('sharedFfn', r.moeAttentionOnly, r.moeSsmAttention) + schedule.moe.ffn,
+        shared_experts: bucketSum('sharedPerLayer', r.moeAttentionOnly, r.moeSsmAttention)
+          + schedule.dense.shared + schedule.moe.shared,
+      },
+    };
+  }
+
+  // Permalink state lives in the URL hash as base64url text. A leading 'z'
+  // marks deflate-raw compressed JSON; 'j' is plain JSON for runtimes
+  // without CompressionStream.
+  function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+  }
+
+  async function pipeBytes(bytes, stream) {
+    const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+    return new Uint8Array(buffer);
+  }
+
+  async function encodeHashState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    if (typeof CompressionStream === 'undefined') return `j${bytesToBase64Url(bytes)}`;
+    return `z${bytesToBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+  }
+
+  async function decodeHashState(text) {
+    try {
+      const kind = String(text || '').charAt(0);
+      let bytes = base64UrlToBytes(String(text).slice(1));
+      if (kind === 'z') {
+        bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+      } else if (kind !== 'j') {
+        return null;
+      }
+      const state = JSON.parse(new TextDecoder().decode(bytes));
+      return state && typeof state === 'object' ? state : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  return {
+    normalizeNumStr,
+    evaluateDimExpression,
+    parseShapeVariables,
+    parseDimToken,
+    parseShapeGroup,
+    DTYPE_BITS,
+    sumShapes,
+    sumShapeBytes,
+    listShapeLines,
+    collectInvalidShapeEntries,
+    parseLayerPattern,
+    parseLayerSchedule,
+    computeLayerSchedule,
+    scheduleFromBuckets,
+    parseCount,
+    STABLE_LABEL_REFS,
+    FORM_STABLE_LABEL_REFS,
+    FIELD_IDS_BY_STABLE_REF,
+    createEmptyInput,
+    applyStableRefPresetData,
+    inputFromPresetEntry,
+    computeResults,
+    parseHiddenSize,
+    computeSpeedCounts,
+    encodeHashState,
+    decodeHashState,
+  };
+}));
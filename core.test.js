@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  computeResults,
+  createEmptyInput,
+  decodeHashState,
+  encodeHashState,
+  collectInvalidShapeEntries,
+  evaluateDimExpression,
+  listShapeLines,
+  parseLayerPattern,
+  parseLayerSchedule,
+  parseShapeVariables,
+  sumShapes,
+} = require('./core.js');
+
+test('hash state round-trips through compressed base64url text', async () => {
+  const state = { model: 'gpt-oss-20b', Z20: '[32, 5760, 2880] MXFP4\n'.repeat(40), Z44: true };
+  const encoded = await encodeHashState(state);
+  assert.match(encoded, /^z[A-Za-z0-9_-]+$/);
+  assert.ok(encoded.length < JSON.stringify(state).length / 4);
+  assert.deepEqual(await decodeHashState(encoded), state);
+});
+
+test('malformed hash state decodes to null', async () => {
+  assert.equal(await decodeHashState(''), null);
+  assert.equal(await decodeHashState('zzz'), null);
+  assert.equal(await decodeHashState('x123'), null);
+  assert.deepEqual(await decodeHashState(`j${Buffer.from('{"Z01":"2"}').toString('base64url')}`), { Z01: '2' });
+});
+
+test('dimension expressions support arithmetic, parentheses and juxtaposition', () => {
+  const vars = { D: 4096, H: 32, KV: 8 };
+  assert.equal(evaluateDimExpression('4D', vars), 16384);
+  assert.equal(evaluateDimExpression('(H + 2 * KV) * 128', vars), 6144);
+  assert.equal(evaluateDimExpression('D / 2 - 48', vars), 2000);
+  assert.equal(evaluateDimExpression('2(H + KV)', vars), 80);
+  assert.equal(evaluateDimExpression('1_024', vars), 1024);
+  assert.ok(Number.isNaN(evaluateDimExpression('D +', vars)));
+  assert.ok(Number.isNaN(evaluateDimExpression('(D', vars)));
+  assert.ok(Number.isNaN(evaluateDimExpression('Q', vars)));
+  assert.ok(Number.isNaN(evaluateDimExpression('constructor', vars)));
+});
+
+test('shape variables resolve in order and report lines that do not evaluate', () => {
+  const { values, invalid } = parseShapeVariables('D = 4096\nF = 3D\n\nX = Y + 1\nnot a variable\nN = -D');
+  assert.deepEqual(values, { D: 4096, F: 12288 });
+  assert.deepEqual(invalid, [
+    { line: 4, value: 'X = Y + 1' },
+    { line: 5, value: 'not a variable' },
+    { line: 6, value: 'N = -D' },
+  ]);
+  assert.equal(sumShapes('[D, F]\n[D] BF16', values), 4096 * 12288 + 4096);
+});
+
+test('symbolic shapes resize with their variables', () => {
+  const input = (d) => createEmptyInput({
+    shape_variables: `D = ${d}\nV = 32000\nF = 4D`,
+    dense_attention_layers: '2',
+    embedding_shapes: '[V, D] BF16',
+    dense_attn: '[D, D]\n[D, D]',
+    dense_ffn: '[D, F]\n[F, D]',
+  });
+  const small = computeResults(input(1024));
+  const big = computeResults(input(2048));
+  assert.equal(small.totalParams, 32000 * 1024 + 2 * (2 * 1024 * 1024 + 2 * 1024 * 4096));
+  assert.equal(big.totalParams, 32000 * 2048 + 2 * (2 * 2048 * 2048 + 2 * 2048 * 8192));
+  assert.equal(small.diskBuckets[0].bytes, 32000 * 1024 * 2);
+  assert.deepEqual(small.invalidShapeWarnings, []);
+  assert.deepEqual(small.invalidVariableLines, []);
+});
+
+test('shape lines accept an optional name label', () => {
+  const text = 'self_attn.q_proj.weight: [4096, 2048] BF16\n[2048]\nmodel.visual.*: [D, 2] F32\nbroken: [x]';
+  assert.equal(sumShapes(text, { D: 10 }), 4096 * 2048 + 2048 + 20);
+  assert.deepEqual(collectInvalidShapeEntries(text, { D: 10 }), [{ line: 4, value: '[x]' }]);
+  assert.deepEqual(listShapeLines(text, { D: 10 }).slice(0, 3), [
+    { line: 1, name: 'self_attn.q_proj.weight', shape: '[4096, 2048]', dtype: 'BF16', params: 4096 * 2048, bytes: 4096 * 2048 * 2 },
+    { line: 2, name: null, shape: '[2048]', dtype: null, params: 2048, bytes: null },
+    { line: 3, name: 'model.visual.*', shape: '[D, 2]', dtype: 'F32', params: 20, bytes: 80 },
+  ]);
+});
+
+test('layer patterns expand counts and nested groups', () => {
+  assert.deepEqual(parseLayerPattern('2*dense 2*(swa, global)'), ['dense', 'dense', 'swa', 'global', 'swa', 'global']);
+  assert.deepEqual(parseLayerPattern('2*(2*swa global)'), ['swa', 'swa', 'global', 'swa', 'swa', 'global']);
+  assert.equal(parseLayerPattern('2*(swa'), null);
+  assert.equal(parseLayerPattern('*swa'), null);
+});
+
+test('layer schedules sum heterogeneous templates and report bad lines', () => {
+  const text = [
+    'template swa experts=4 active=1',
+    'attn [8, 8]  # sliding window',
+    'experts [2, 8]',
+    'template global',
+    'attn [8, 16]',
+    'experts [2, 8]',
+    'template dense experts=0',
+    'ffn [8, 8]',
+    'bogus [8]',
+    'layers dense 2*(swa, global) missing',
+    'layers 2*(swa, global)',
+  ].join('\n');
+  const parsed = parseLayerSchedule(text, { expertsPer: 8, activeExperts: 2 });
+  assert.deepEqual(parsed.order, ['swa', 'global', 'dense']);
+  assert.deepEqual(parsed.layers, ['swa', 'global', 'swa', 'global']);
+  assert.deepEqual(parsed.invalid.map(e => e.line), [9, 10]);
+  assert.equal(parsed.templates.global.experts, 8);
+
+  const r = computeResults(createEmptyInput({ experts_per_layer: '8', active_experts: '2', layer_schedule: text }));
+  const swa = 64 + 4 * 16;
+  const global = 128 + 8 * 16;
+  assert.equal(r.scheduledLayers, 4);
+  assert.equal(r.totalParams, 2 * swa + 2 * global);
+  assert.equal(r.totalActive, 2 * (64 + 16) + 2 * (128 + 2 * 16));
+  assert.equal(r.totalAttn, 2 * 64 + 2 * 128);
+  assert.equal(r.moeExpertTotal, 2 * 4 * 16 + 2 * 8 * 16);
+  assert.deepEqual(r.layerSchedule.runs.map(run => [run.template, run.start, run.count]), [['swa', 0, 1], ['global', 1, 1], ['swa', 2, 1], ['global', 3, 1]]);
+  assert.deepEqual(r.invalidScheduleLines.map(e => e.line), [9, 10]);
+});
+
+test('schedule templates without expert lines are dense even when the form has experts', () => {
+  const text = 'template swa\nattn [8, 8]\ntemplate moe\nattn [8, 8]\nexperts [2, 8]\nlayers 3*swa, moe';
+  const r = computeResults(createEmptyInput({ experts_per_layer: '8', active_experts: '2', layer_schedule: text }));
+  assert.equal(r.layerSchedule.dense.count, 3);
+  assert.equal(r.layerSchedule.moe.count, 1);
+  assert.equal(r.layerSchedule.templates.swa.experts, 0);
+  assert.equal(r.moeExpertTotal, 8 * 16);
+});
@@ -1,233 +1,37 @@
 // Param Calculator: separated logic + rendering
 
-function fmt(n) { return (n || 0).toLocaleString('en-US'); }
-
-function normalizeNumStr(s) {
-  return String(s)
-    .replace(/[\u00A0\u202F\u2009\s_]/g, '')
-    .replace(/[,']/g, '');
-}
-
-function parseDimToken(raw) {
-  const t = normalizeNumStr(raw);
-  if (!t) return { value: 0, valid: false };
-  const v = Number(t);
-  const valid = Number.isFinite(v) && v >= 0;
-  return { value: valid ? v : 0, valid };
-}
-
-function parseShapeGroup(group) {
-  const content = group.replace(/^[^\[]*\[/, '').replace(/\].*$/, '');
-  const tokens = content.split(/\s*,\s*/).filter(Boolean);
-  if (tokens.length === 0) return 0;
-  const dims = tokens.map(parseDimToken);
-  if (dims.some(d => !d.valid)) return 0;
-  return dims.reduce((a, b) => a * b.value, 1);
-}
-
-function sumShapes(text) {
-  if (!text) return 0;
-  let total = 0;
-  const lines = String(text).split(/\r?\n/);
-  for (const rawLine of lines) {
-    const line = rawLine.trim();
-    if (!line) continue;
-    const groups = line.match(/\[[^\]]*\]/g);
-    if (groups) {
-      for (const g of groups) total += parseShapeGroup(g);
-    } else {
-      total += parseShapeGroup('[' + line + ']');
-    }
-  }
-  return total;
-}
-
-function collectInvalidShapeEntries(text) {
-  if (!text) return [];
-  const invalidEntries = [];
-  const lines = String(text).split(/\r?\n/);
-  for (let i = 0; i < lines.length; i += 1) {
-    const rawLine = lines[i];
-    const line = rawLine.trim();
-    if (!line) continue;
-    const groups = line.match(/\[[^\]]*\]/g) || ['[' + line + ']'];
-    for (const group of groups) {
-      const content = group.replace(/^[^\[]*\[/, '').replace(/\].*$/, '');
-      const tokens = content.split(/\s*,\s*/).filter(Boolean);
-      const valid = tokens.length > 0 && tokens.every(token => parseDimToken(token).valid);
-      if (!valid) invalidEntries.push({ line: i + 1, value: group });
-    }
-  }
-  return invalidEntries;
-}
-
-function parseCount(value) {
-  return parseInt(value || '0', 10) || 0;
-}
+const {
+  sumShapes,
+  sumShapeBytes,
+  collectInvalidShapeEntries,
+  parseDimToken,
+  parseShapeGroup,
+  parseCount,
+  STABLE_LABEL_REFS,
+  FORM_STABLE_LABEL_REFS,
+  FIELD_IDS_BY_STABLE_REF,
+  createEmptyInput,
+  applyStableRefPresetData,
+  inputFromPresetEntry,
+  computeResults,
+  computeSpeedCounts,
+  parseShapeVariables,
+  parseLayerSchedule,
+  scheduleFromBuckets,
+  encodeHashState,
+  decodeHashState,
+} = typeof module !== 'undefined' && module.exports ? require('./core.js') : globalThis.CALC_CORE;
 
-function makeDenseBucket(label, count, normsText, attnText, ffnText) {
-  const norms = sumShapes(normsText);
-  const attn = sumShapes(attnText);
-  const ffn = sumShapes(ffnText);
-  const perLayer = norms + attn + ffn;
-  return {
-    label,
-    count,
-    norms,
-    attn,
-    ffn,
-    perLayer,
-    total: count * perLayer,
-  };
-}
-
-function makeMoeBucket(label, count, attnText, transitionalText, sharedFfnText, expertsText, expertsIncludeDim, expertsPer, activeExpertsClamped, hasShared, sharedPerLayer) {
-  const attn = sumShapes(attnText);
-  const normsTrans = sumShapes(transitionalText);
-  const sharedFfn = sumShapes(sharedFfnText);
-  const expertsInput = sumShapes(expertsText);
-  const bucketSharedPerLayer = count > 0 ? sharedPerLayer : 0;
-  const alwaysPerLayer = attn + normsTrans + sharedFfn + bucketSharedPerLayer;
-  const expertsPerLayerTotal = expertsIncludeDim ? expertsInput : (expertsInput * expertsPer);
-  const expertsActivePerLayer = expertsIncludeDim
-    ? (expertsPer > 0 ? expertsInput * (activeExpertsClamped / expertsPer) : 0)
-    : (expertsInput * activeExpertsClamped);
-  return {
-    label,
-    count,
-    attn,
-    normsTrans,
-    sharedFfn,
-    expertsInput,
-    sharedPerLayer: bucketSharedPerLayer,
-    alwaysPerLayer,
-    expertsPerLayerTotal,
-    expertsActivePerLayer,
-    alwaysTotal: count * alwaysPerLayer,
-    expertTotal: count * expertsPerLayerTotal,
-    activeTotal: count * (alwaysPerLayer + expertsActivePerLayer),
-    inactivePerToken: count * Math.max(0, expertsPerLayerTotal - expertsActivePerLayer),
-    mlpTotal: count * (sharedFfn + expertsPerLayerTotal + (hasShared ? bucketSharedPerLayer : 0)),
-  };
-}
+function fmt(n) { return (n || 0).toLocaleString('en-US'); }
 
-function countWarnings(input) {
-  return [
-    ['E', collectInvalidShapeEntries(input.embedding_shapes)],
-    ['F', collectInvalidShapeEntries(input.pre_first_norms)],
-    ['G', collectInvalidShapeEntries(input.dense_norms)],
-    ['H', collectInvalidShapeEntries(input.dense_attn)],
-    ['I', collectInvalidShapeEntries(input.dense_ffn)],
-    ['J', collectInvalidShapeEntries(input.dense_ssm_norms)],
-    ['K', collectInvalidShapeEntries(input.dense_ssm_attn)],
-    ['L', collectInvalidShapeEntries(input.dense_ssm_ffn)],
-    ['P', collectInvalidShapeEntries(input.shared_expert_tensors)],
-    ['Q', collectInvalidShapeEntries(input.moe_attn)],
-    ['R', collectInvalidShapeEntries(input.moe_transitional)],
-    ['S', collectInvalidShapeEntries(input.moe_shared_ffn)],
-    ['T', collectInvalidShapeEntries(input.moe_experts)],
-    ['U', collectInvalidShapeEntries(input.moe_ssm_attn)],
-    ['V', collectInvalidShapeEntries(input.moe_ssm_transitional)],
-    ['W', collectInvalidShapeEntries(input.moe_ssm_shared_ffn)],
-    ['X', collectInvalidShapeEntries(input.moe_ssm_experts)],
-  ].filter(([, entries]) => entries.length > 0);
-}
-
-const STABLE_LABEL_REFS = Object.freeze({
-  dense_attention_layers: 'Z01',
-  dense_ssm_attention_layers: 'Z02',
-  moe_attention_layers: 'Z03',
-  moe_ssm_attention_layers: 'Z04',
-  embedding_shapes: 'Z05',
-  pre_first_norms: 'Z06',
-  dense_norms: 'Z07',
-  dense_attn: 'Z08',
-  dense_ffn: 'Z09',
-  dense_ssm_norms: 'Z10',
-  dense_ssm_attn: 'Z11',
-  dense_ssm_ffn: 'Z12',
-  experts_per_layer: 'Z13',
-  active_experts: 'Z14',
-  shared_expert_scope: 'Z15',
-  shared_expert_tensors: 'Z16',
-  moe_attn: 'Z17',
-  moe_transitional: 'Z18',
-  moe_shared_ffn: 'Z19',
-  moe_experts: 'Z20',
-  moe_ssm_attn: 'Z21',
-  moe_ssm_transitional: 'Z22',
-  moe_ssm_shared_ffn: 'Z23',
-  moe_ssm_experts: 'Z24',
-  has_shared_expert: 'Z43',
-  experts_include_dim: 'Z44',
-  explanation_dense_attention_only: 'Z25',
-  explanation_dense_ssm_attention: 'Z26',
-  explanation_dense_total: 'Z27',
-  explanation_moe_attention_only_always: 'Z28',
-  explanation_moe_ssm_attention_always: 'Z29',
-  explanation_moe_attention_only_experts: 'Z30',
-  explanation_moe_ssm_attention_experts: 'Z31',
-  explanation_moe_total: 'Z32',
-  explanation_moe_active: 'Z33',
-  explanation_moe_always_total: 'Z45',
-  explanation_dense_active: 'Z34',
-  explanation_total_params: 'Z35',
-  explanation_total_active: 'Z36',
-  explanation_total_always_active: 'Z37',
-  explanation_always_share: 'Z38',
-  explanation_moe_share_active: 'Z47',
-  explanation_total_mlp: 'Z39',
-  explanation_total_attn: 'Z40',
-  explanation_moe_experts_active: 'Z41',
-  explanation_moe_experts_total: 'Z42',
-  explanation_moe_inactive_per_token: 'Z46',
-});
-
-const FORM_STABLE_LABEL_REFS = Object.freeze(
-  Object.fromEntries(
-    Object.entries(STABLE_LABEL_REFS).filter(([key]) => !key.startsWith('explanation_')),
-  ),
-);
-
-const FIELD_IDS_BY_STABLE_REF = Object.freeze(
-  Object.fromEntries(
-    Object.entries(FORM_STABLE_LABEL_REFS).map(([fieldId, stableRef]) => [stableRef, fieldId]),
-  ),
-);
-
-function createEmptyInput(overrides = {}) {
-  return {
-    total_layers: '0',
-    dense_layers: '0',
-    moe_layers: '0',
-    dense_attention_layers: '0',
-    dense_ssm_attention_layers: '0',
-    moe_attention_layers: '0',
-    moe_ssm_attention_layers: '0',
-    embedding_shapes: '',
-    pre_first_norms: '',
-    dense_norms: '',
-    dense_attn: '',
-    dense_ffn: '',
-    dense_ssm_norms: '',
-    dense_ssm_attn: '',
-    dense_ssm_ffn: '',
-    experts_per_layer: '0',
-    active_experts: '0',
-    has_shared_expert: false,
-    shared_expert_scope: 'per_layer',
-    shared_expert_tensors: '',
-    moe_attn: '',
-    moe_transitional: '',
-    moe_shared_ffn: '',
-    moe_experts: '',
-    moe_ssm_attn: '',
-    moe_ssm_transitional: '',
-    moe_ssm_shared_ffn: '',
-    moe_ssm_experts: '',
-    experts_include_dim: false,
-    ...overrides,
-  };
+// Tensor names, shape text and model names come from the form, permalinks and
+// imported preset files, so escape them before they go into innerHTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 function applyFieldInputData(fieldEntry, setVal, setChecked) {
@@ -296,47 +100,195 @@ function getPresetDataSync() {
   return presetDataCache;
 }
 
-function applyStableRefPresetData(presetEntry, setVal, setChecked) {
-  Object.entries(presetEntry || {}).forEach(([stableRef, value]) => {
-    const fieldId = FIELD_IDS_BY_STABLE_REF[stableRef];
-    if (!fieldId) return;
-    if (typeof value === 'boolean') {
-      setChecked(fieldId, value);
-    } else {
-      setVal(fieldId, value);
+// Saved custom models live in localStorage as stable-ref-v1 entries, keyed
+// by ids with a "my:" prefix so they never collide with built-in presets.
+const MY_MODELS_STORAGE_KEY = 'moespeedcalc-my-models';
+const MY_MODEL_PREFIX = 'my:';
+
+function getBrowserStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function emptyMyModels() {
+  return { format: 'stable-ref-v1', modelOrder: [], models: {}, names: {}, nextId: 1 };
+}
+
+function loadMyModels(storage = getBrowserStorage()) {
+  try {
+    const data = JSON.parse(storage?.getItem(MY_MODELS_STORAGE_KEY) || 'null');
+    if (!data || data.format !== 'stable-ref-v1' || !Array.isArray(data.modelOrder)) return emptyMyModels();
+    return { ...emptyMyModels(), ...data };
+  } catch (err) {
+    return emptyMyModels();
+  }
+}
+
+// Returns null when the browser refuses the write (storage disabled or full)
+function saveMyModels(data, storage = getBrowserStorage()) {
+  if (!storage) return null;
+  try {
+    storage.setItem(MY_MODELS_STORAGE_KEY, JSON.stringify(data));
+  } catch (err) {
+    return null;
+  }
+  return data;
+}
+
+function isMyModelId(model) {
+  return String(model || '').startsWith(MY_MODEL_PREFIX);
+}
+
+function createMyModel(data, name, entry) {
+  const id = `${MY_MODEL_PREFIX}${data.nextId}`;
+  return {
+    ...data,
+    modelOrder: [...data.modelOrder, id],
+    models: { ...data.models, [id]: cloneJson(entry) },
+    names: { ...data.names, [id]: name },
+    nextId: data.nextId + 1,
+  };
+}
+
+function updateMyModel(data, id, entry) {
+  if (!data.models[id]) return data;
+  return { ...data, models: { ...data.models, [id]: cloneJson(entry) } };
+}
+
+function renameMyModel(data, id, name) {
+  if (!data.models[id]) return data;
+  return { ...data, names: { ...data.names, [id]: name } };
+}
+
+function duplicateMyModel(data, id) {
+  if (!data.models[id]) return data;
+  return createMyModel(data, `${data.names[id] || id} copy`, data.models[id]);
+}
+
+function deleteMyModel(data, id) {
+  if (!data.models[id]) return data;
+  const { [id]: removedEntry, ...models } = data.models;
+  const { [id]: removedName, ...names } = data.names;
+  return { ...data, modelOrder: data.modelOrder.filter(model => model !== id), models, names };
+}
+
+// Preset files imported through the UI last for the session only. Their ids
+// get an "import:" prefix so they sit beside, not over, the bundled presets.
+const IMPORTED_MODEL_PREFIX = 'import:';
+const importedPresets = { modelOrder: [], models: {}, architectures: {} };
+
+function isImportedModelId(model) {
+  return String(model || '').startsWith(IMPORTED_MODEL_PREFIX);
+}
+
+function buildPresetFile(modelId, entry, architecture) {
+  const file = {
+    meta: {
+      format: 'stable-ref-v1',
+      source: 'exported from paramcalc.html',
+    },
+    modelOrder: [modelId],
+    models: { [modelId]: cloneJson(entry) },
+  };
+  if (architecture) file.architectures = { [modelId]: cloneJson(architecture) };
+  return file;
+}
+
+// Validates a stable-ref-v1 preset file and returns its models. Throws with a
+// message fit for the page when the format or any Z ref is not recognised.
+function parsePresetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('File is not valid JSON.');
+  }
+  if (data?.meta?.format !== 'stable-ref-v1') {
+    throw new Error(`Unsupported preset format ${JSON.stringify(data?.meta?.format ?? null)}; expected "stable-ref-v1".`);
+  }
+  if (!data.models || typeof data.models !== 'object' || Array.isArray(data.models)) {
+    throw new Error('Preset file has no models object.');
+  }
+  const modelOrder = (Array.isArray(data.modelOrder) ? data.modelOrder : Object.keys(data.models))
+    .filter(id => data.models[id]);
+  if (modelOrder.length === 0) {
+    throw new Error('Preset file contains no models.');
+  }
+  const models = {};
+  modelOrder.forEach((id) => {
+    const entry = data.models[id];
+    const unknownRefs = Object.keys(entry || {}).filter(ref => !FIELD_IDS_BY_STABLE_REF[ref]);
+    if (!entry || typeof entry !== 'object' || unknownRefs.length > 0) {
+      throw new Error(`Model ${JSON.stringify(id)} has unknown stable refs: ${unknownRefs.join(', ') || 'not an object'}.`);
     }
+    const badValue = Object.entries(entry).find(([, value]) => !['string', 'number', 'boolean'].includes(typeof value));
+    if (badValue) {
+      throw new Error(`Model ${JSON.stringify(id)} has an invalid value for ${badValue[0]}.`);
+    }
+    models[id] = Object.fromEntries(
+      Object.entries(entry).map(([ref, value]) => [ref, typeof value === 'number' ? String(value) : value]),
+    );
+  });
+  const architectures = {};
+  modelOrder.forEach((id) => {
+    const architecture = data.architectures?.[id];
+    if (architecture && typeof architecture === 'object') architectures[id] = architecture;
   });
+  return { modelOrder, models, architectures };
+}
+
+function importPresetFile(text) {
+  const parsed = parsePresetFile(text);
+  const ids = parsed.modelOrder.map((id) => {
+    const importedId = `${IMPORTED_MODEL_PREFIX}${id}`;
+    if (!importedPresets.models[importedId]) importedPresets.modelOrder.push(importedId);
+    importedPresets.models[importedId] = parsed.models[id];
+    if (parsed.architectures[id]) importedPresets.architectures[importedId] = parsed.architectures[id];
+    return importedId;
+  });
+  return ids;
+}
+
+function getPresetArchitecture(model) {
+  if (isImportedModelId(model)) return importedPresets.architectures[model] || null;
+  return getPresetDataSync()?.architectures?.[model] || null;
 }
 
 async function applyPresetModel(model, setVal, setChecked) {
-  const presetData = await loadPresetData();
+  let presetData;
+  if (isMyModelId(model)) {
+    presetData = loadMyModels();
+  } else if (isImportedModelId(model)) {
+    presetData = importedPresets;
+  } else {
+    presetData = await loadPresetData();
+  }
   const presetEntry = presetData?.models?.[model];
   if (!presetEntry) return false;
   applyStableRefPresetData(presetEntry, setVal, setChecked);
   return true;
 }
 
-function buildPresetInput(model) {
-  const input = createEmptyInput();
-  const setVal = (id, value) => {
-    input[id] = value;
-  };
-  const setChecked = (id, value) => {
-    input[id] = !!value;
-  };
-  const presetData = getPresetDataSync();
-  const presetEntry = presetData?.models?.[model];
+function getPresetEntry(model) {
+  let presetEntry;
+  if (isMyModelId(model)) {
+    presetEntry = loadMyModels().models[model];
+  } else if (isImportedModelId(model)) {
+    presetEntry = importedPresets.models[model];
+  } else {
+    presetEntry = getPresetDataSync()?.models?.[model];
+  }
   if (!presetEntry) {
     throw new Error(`Unknown preset model: ${model}`);
   }
-  applyStableRefPresetData(cloneJson(presetEntry), setVal, setChecked);
-  input.total_layers = String(
-    parseCount(input.dense_attention_layers)
-    + parseCount(input.dense_ssm_attention_layers)
-    + parseCount(input.moe_attention_layers)
-    + parseCount(input.moe_ssm_attention_layers),
-  );
-  return input;
+  return cloneJson(presetEntry);
+}
+
+function buildPresetInput(model) {
+  return inputFromPresetEntry(getPresetEntry(model));
 }
 
 function getPresetModels() {
@@ -344,163 +296,80 @@ function getPresetModels() {
   return [...(presetData?.modelOrder || Object.keys(presetData?.models || {}))];
 }
 
-function computeResults(input) {
-  const denseAttentionLayersRaw = parseCount(input.dense_attention_layers);
-  const denseSsmAttentionLayers = parseCount(input.dense_ssm_attention_layers);
-  const moeAttentionLayersRaw = parseCount(input.moe_attention_layers);
-  const moeSsmAttentionLayers = parseCount(input.moe_ssm_attention_layers);
-  const hasExplicitDenseCounts = denseAttentionLayersRaw > 0 || denseSsmAttentionLayers > 0;
-  const hasExplicitMoeCounts = moeAttentionLayersRaw > 0 || moeSsmAttentionLayers > 0;
-
-  const denseAttentionLayers = hasExplicitDenseCounts ? denseAttentionLayersRaw : parseCount(input.dense_layers);
-  const moeAttentionLayers = hasExplicitMoeCounts ? moeAttentionLayersRaw : parseCount(input.moe_layers);
-  const denseLayers = denseAttentionLayers + denseSsmAttentionLayers;
-  const moeLayers = moeAttentionLayers + moeSsmAttentionLayers;
-  const expertsPer = parseCount(input.experts_per_layer);
-  const activeExperts = parseCount(input.active_experts);
-  const activeExpertsClamped = Math.max(0, Math.min(activeExperts, expertsPer));
-  const expertsIncludeDim = !!input.experts_include_dim;
-  const hasShared = !!input.has_shared_expert;
-  const sharedScope = input.shared_expert_scope || 'per_layer';
-
-  const embedCount = sumShapes(input.embedding_shapes);
-  const preFirstCount = sumShapes(input.pre_first_norms);
-  const sharedExpertParams = hasShared ? sumShapes(input.shared_expert_tensors) : 0;
-  const sharedPerLayer = hasShared
-    ? (sharedScope === 'per_layer' ? sharedExpertParams : (moeLayers > 0 ? (sharedExpertParams / moeLayers) : 0))
-    : 0;
-  const sharedExpertTotal = hasShared ? (sharedScope === 'per_layer' ? moeLayers * sharedExpertParams : sharedExpertParams) : 0;
-
-  const denseAttentionOnly = makeDenseBucket(
-    'Dense attention-only',
-    denseAttentionLayers,
-    input.dense_norms,
-    input.dense_attn,
-    input.dense_ffn,
-  );
-  const denseSsmAttention = makeDenseBucket(
-    'Dense SSM+attention',
-    denseSsmAttentionLayers,
-    input.dense_ssm_norms,
-    input.dense_ssm_attn,
-    input.dense_ssm_ffn,
-  );
+function computeSpeedHandoff(input, r, model) {
+  const architecture = model ? getPresetArchitecture(model) : null;
+  return { ...computeSpeedCounts(input, r), architecture };
+}
 
-  const moeAttentionOnly = makeMoeBucket(
-    'MoE attention-only',
-    moeAttentionLayers,
-    input.moe_attn,
-    input.moe_transitional,
-    input.moe_shared_ffn,
-    input.moe_experts,
-    expertsIncludeDim,
-    expertsPer,
-    activeExpertsClamped,
-    hasShared,
-    sharedPerLayer,
-  );
-  const moeSsmAttention = makeMoeBucket(
-    'MoE SSM+attention',
-    moeSsmAttentionLayers,
-    input.moe_ssm_attn,
-    input.moe_ssm_transitional,
-    input.moe_ssm_shared_ffn,
-    input.moe_ssm_experts,
-    expertsIncludeDim,
-    expertsPer,
-    activeExpertsClamped,
-    hasShared,
-    sharedPerLayer,
-  );
+function buildSpeedCalculatorUrl(handoff) {
+  return `index.html#paramcalc=${encodeURIComponent(JSON.stringify(handoff))}`;
+}
 
-  const dNorms = denseAttentionOnly.norms + denseSsmAttention.norms;
-  const dAttn = denseAttentionOnly.attn + denseSsmAttention.attn;
-  const dFfn = denseAttentionOnly.ffn + denseSsmAttention.ffn;
-  const denseTotal = denseAttentionOnly.total + denseSsmAttention.total;
-
-  const mAttn = moeAttentionOnly.attn + moeSsmAttention.attn;
-  const mNormsTrans = moeAttentionOnly.normsTrans + moeSsmAttention.normsTrans;
-  const mSharedFfn = moeAttentionOnly.sharedFfn + moeSsmAttention.sharedFfn;
-  const mExpertsInput = moeAttentionOnly.expertsInput + moeSsmAttention.expertsInput;
-  const moeExpertTotal = moeAttentionOnly.expertTotal + moeSsmAttention.expertTotal;
-  const moeAlwaysTotal = moeAttentionOnly.alwaysTotal + moeSsmAttention.alwaysTotal;
-  const moeTotal = moeAlwaysTotal + moeExpertTotal;
-
-  const denseActive = embedCount + preFirstCount + denseTotal;
-  const moeActive = moeAttentionOnly.activeTotal + moeSsmAttention.activeTotal;
-  const totalParams = denseActive + moeTotal;
-  const totalActive = denseActive + moeActive;
-  const moeInactivePerToken = moeAttentionOnly.inactivePerToken + moeSsmAttention.inactivePerToken;
-  const totalMlp = (denseAttentionOnly.count * denseAttentionOnly.ffn)
-    + (denseSsmAttention.count * denseSsmAttention.ffn)
-    + moeAttentionOnly.mlpTotal
-    + moeSsmAttention.mlpTotal;
-  const totalAttn = denseAttentionOnly.count * denseAttentionOnly.attn + denseSsmAttention.count * denseSsmAttention.attn + moeAttentionOnly.count * moeAttentionOnly.attn + moeSsmAttention.count * moeSsmAttention.attn;
-  const totalAlwaysActive = denseActive + moeAlwaysTotal;
-  const alwaysActivePct = totalActive > 0 ? (100 * totalAlwaysActive / totalActive) : 0;
-  const denseActivePct = totalActive > 0 ? (100 * denseActive / totalActive) : 0;
-  const moeActivePct = totalActive > 0 ? (100 * moeActive / totalActive) : 0;
-  const moeExpertsOnly = Math.max(0, moeActive - moeAlwaysTotal);
-  const moeExpertsPct = totalActive > 0 ? (100 * moeExpertsOnly / totalActive) : 0;
-  const invalidShapeWarnings = countWarnings(input);
+const COMPARISON_METRICS = Object.freeze([
+  { key: 'totalParams', label: 'Total params' },
+  { key: 'totalActive', label: 'Active params' },
+  { key: 'totalAlwaysActive', label: 'Always-active params' },
+  { key: 'moeExpertsPct', label: 'MoE share of active (%)', percent: true },
+  { key: 'totalAttn', label: 'Attention params' },
+  { key: 'totalMlp', label: 'MLP params' },
+]);
+
+// One row per model with each metric from computeResults and its delta from
+// the baseline: relative % for counts, percentage points for the MoE share.
+function computeComparison(models, { baseline, sortKey = null, sortDir = 'desc' } = {}) {
+  const rows = models.map(({ id, label }) => {
+    const r = computeResults(buildPresetInput(id));
+    return { id, label: label || id, values: Object.fromEntries(COMPARISON_METRICS.map(m => [m.key, r[m.key]])) };
+  });
+  const base = rows.find(row => row.id === baseline) || rows[0] || null;
+  rows.forEach((row) => {
+    row.deltas = Object.fromEntries(COMPARISON_METRICS.map(({ key, percent }) => {
+      if (!base || row === base) return [key, null];
+      const baseValue = base.values[key];
+      if (percent) return [key, row.values[key] - baseValue];
+      return [key, baseValue > 0 ? 100 * (row.values[key] - baseValue) / baseValue : null];
+    }));
+  });
+  if (sortKey) {
+    const sign = sortDir === 'asc' ? 1 : -1;
+    rows.sort((a, b) => {
+      const av = sortKey === 'label' ? a.label : a.values[sortKey];
+      const bv = sortKey === 'label' ? b.label : b.values[sortKey];
+      return sign * (typeof av === 'string' ? av.localeCompare(bv) : av - bv);
+    });
+  }
+  return { baseline: base ? base.id : null, sortKey, sortDir, rows };
+}
 
-  return {
-    denseLayers,
-    moeLayers,
-    denseAttentionLayers,
-    denseSsmAttentionLayers,
-    moeAttentionLayers,
-    moeSsmAttentionLayers,
-    expertsPer,
-    activeExperts,
-    activeExpertsClamped,
-    expertsIncludeDim,
-    hasShared,
-    sharedScope,
-    embedCount,
-    preFirstCount,
-    sharedExpertParams,
-    sharedPerLayer,
-    sharedExpertTotal,
-    denseAttentionOnly,
-    denseSsmAttention,
-    moeAttentionOnly,
-    moeSsmAttention,
-    dNorms,
-    dAttn,
-    dFfn,
-    dPerLayer: denseAttentionOnly.perLayer,
-    dSsmPerLayer: denseSsmAttention.perLayer,
-    mAttn,
-    mNormsTrans,
-    mSharedFfn,
-    mExpertsInput,
-    mAlwaysPerLayer: moeAttentionOnly.alwaysPerLayer,
-    mSsmAlwaysPerLayer: moeSsmAttention.alwaysPerLayer,
-    expertsPerLayerTotal: moeAttentionOnly.expertsPerLayerTotal,
-    expertsSsmPerLayerTotal: moeSsmAttention.expertsPerLayerTotal,
-    expertsActivePerLayer: moeAttentionOnly.expertsActivePerLayer,
-    expertsSsmActivePerLayer: moeSsmAttention.expertsActivePerLayer,
-    denseTotal,
-    moeExpertTotal,
-    moeAlwaysTotal,
-    moeTotal,
-    totalParams,
-    denseActive,
-    moeActive,
-    totalActive,
-    denseActivePct,
-    moeActivePct,
-    moeInactivePerToken,
-    totalMlp,
-    totalAttn,
-    totalAlwaysActive,
-    alwaysActivePct,
-    moeExpertsOnly,
-    moeExpertsPct,
-    invalidShapeWarnings,
-    totalLayersComputed: denseLayers + moeLayers,
-  };
+function formatComparisonDelta(delta, percent) {
+  if (delta === null) return '';
+  const sign = delta > 0 ? '+' : '';
+  return `${sign}${delta.toFixed(2)}${percent ? ' pp' : '%'}`;
+}
+
+function renderComparison(comparison) {
+  if (comparison.rows.length === 0) {
+    return '<div class="info-text">Pick two or more models to compare.</div>';
+  }
+  const sortMark = key => (comparison.sortKey === key ? (comparison.sortDir === 'asc' ? ' ▲' : ' ▼') : '');
+  let html = '<table class="results-table comparison-table"><thead><tr>';
+  html += `<th><button type="button" data-sort-key="label">Model${sortMark('label')}</button></th>`;
+  COMPARISON_METRICS.forEach(({ key, label }) => {
+    html += `<th><button type="button" data-sort-key="${key}">${label}${sortMark(key)}</button></th>`;
+  });
+  html += '</tr></thead><tbody>';
+  comparison.rows.forEach((row) => {
+    const isBaseline = row.id === comparison.baseline;
+    html += `<tr${isBaseline ? ' class="comparison-baseline"' : ''}><td>${escapeHtml(row.label)}${isBaseline ? ' <span class="muted">(baseline)</span>' : ''}</td>`;
+    COMPARISON_METRICS.forEach(({ key, percent }) => {
+      const value = percent ? `${row.values[key].toFixed(4)}%` : fmt(row.values[key]);
+      const delta = formatComparisonDelta(row.deltas[key], percent);
+      html += `<td>${value}${delta ? `<div class="muted">${delta}</div>` : ''}</td>`;
+    });
+    html += '</tr>';
+  });
+  html += '</tbody></table>';
+  return html;
 }
 
 function renderRow(code, title, valueStr, numericEq, lettersEq, stableRef) {
@@ -529,6 +398,14 @@ function renderSummary(r) {
       .join('; ');
     html += `<div class="info-text">Invalid shape entries were ignored in ${warningText}.</div>`;
   }
+  if (r.invalidVariableLines.length > 0) {
+    const lines = r.invalidVariableLines.map(e => `line ${e.line} (${escapeHtml(e.value)})`).join(', ');
+    html += `<div class="info-text">Shape variables could not be evaluated and were ignored: ${lines}.</div>`;
+  }
+  if (r.invalidScheduleLines.length > 0) {
+    const lines = r.invalidScheduleLines.map(e => `line ${e.line} (${escapeHtml(e.value)})`).join(', ');
+    html += `<div class="info-text">Layer schedule lines could not be read and were ignored: ${lines}.</div>`;
+  }
   html += '<table class="results-table"><tbody>';
   html += `<tr><td>Exact total param count</td><td>${fmt(r.totalParams)}</td></tr>`;
   html += `<tr><td>Exact active param count</td><td>${fmt(r.totalActive)}</td></tr>`;
@@ -542,40 +419,259 @@ function renderSummary(r) {
   html += `<tr><td>MoE inactive per token param count</td><td>${fmt(r.moeInactivePerToken)}</td></tr>`;
   html += `<tr><td>Total attention param count</td><td>${fmt(r.totalAttn)}</td></tr>`;
   html += '</tbody></table>';
+  html += renderDiskSizes(r);
+  return html;
+}
+
+function formatDiskSize(bytes) {
+  return `${fmt(Math.round(bytes))} bytes (${(bytes / 1e9).toFixed(2)} GB)`;
+}
+
+function renderDiskSizes(r) {
+  let html = '<h2>On-disk size (as released)</h2>';
+  if (r.diskBytes === 0) {
+    html += '<div class="info-text">Add a safetensors dtype after a shape, like <code>[4096, 2880] BF16</code>, to size the released checkpoint.</div>';
+    return html;
+  }
+  if (r.diskUnknownParams > 0) {
+    html += `<div class="info-text">${fmt(r.diskUnknownParams)} params have no dtype and are not included in the byte totals.</div>`;
+  }
+  html += '<table class="results-table"><tbody>';
+  for (const bucket of r.diskBuckets) {
+    if (bucket.bytes === 0 && bucket.unknownParams === 0) continue;
+    html += `<tr><td>${bucket.label}</td><td>${formatDiskSize(bucket.bytes)}</td></tr>`;
+  }
+  html += `<tr><td>Total on-disk size</td><td>${formatDiskSize(r.diskBytes)}</td></tr>`;
+  html += '</tbody></table>';
+  return html;
+}
+
+const COMPOSITION_CLASSES = Object.freeze([
+  { key: 'embeddings', label: 'Embeddings/output' },
+  { key: 'attention', label: 'Attention/SSM' },
+  { key: 'mlp', label: 'MLP (dense, always-active, shared)' },
+  { key: 'experts', label: 'Routed experts' },
+  { key: 'norms', label: 'Norms/other' },
+]);
+
+// Splits total and active params into tensor classes, and total params into
+// layer types. Each split adds up to r.totalParams or r.totalActive.
+function computeComposition(r) {
+  const norms = r.preFirstCount
+    + r.denseAttentionOnly.count * r.denseAttentionOnly.norms
+    + r.denseSsmAttention.count * r.denseSsmAttention.norms
+    + r.moeAttentionOnly.count * r.moeAttentionOnly.normsTrans
+    + r.moeSsmAttention.count * r.moeSsmAttention.normsTrans
+    + r.layerSchedule.dense.norms
+    + r.layerSchedule.moe.norms;
+  const shared = { embeddings: r.embedCount, attention: r.totalAttn, mlp: r.totalMlp - r.moeExpertTotal, norms };
+  return {
+    total: { ...shared, experts: r.moeExpertTotal },
+    active: { ...shared, experts: r.moeExpertsOnly },
+    layerTypes: [
+      { label: 'Embeddings/other', value: r.embedCount + r.preFirstCount },
+      { label: 'Dense attention-only layers', value: r.denseAttentionOnly.total },
+      { label: 'Dense SSM+attention layers', value: r.denseSsmAttention.total },
+      { label: 'MoE attention-only layers', value: r.moeAttentionOnly.alwaysTotal + r.moeAttentionOnly.expertTotal },
+      { label: 'MoE SSM+attention layers', value: r.moeSsmAttention.alwaysTotal + r.moeSsmAttention.expertTotal },
+      { label: 'Scheduled layers', value: r.layerSchedule.dense.total + r.layerSchedule.moe.total },
+    ],
+  };
+}
+
+function formatChartShare(value, total) {
+  return `${fmt(value)} (${(total > 0 ? 100 * value / total : 0).toFixed(2)}%)`;
+}
+
+// Horizontal stacked bars on a shared scale, so a shorter bar means fewer params.
+function renderStackedBars(rows) {
+  const labelWidth = 70;
+  const barWidth = 560;
+  const barHeight = 28;
+  const gap = 12;
+  const max = Math.max(...rows.map(row => row.total), 1);
+  const height = rows.length * (barHeight + gap) - gap;
+  let svg = `<svg class="chart chart-bars" viewBox="0 0 ${labelWidth + barWidth} ${height}" role="img" aria-label="Params by tensor class">`;
+  rows.forEach((row, i) => {
+    const y = i * (barHeight + gap);
+    let x = labelWidth;
+    svg += `<text x="0" y="${y + barHeight / 2}" dominant-baseline="middle">${row.label}</text>`;
+    COMPOSITION_CLASSES.forEach(({ key, label }, seriesIndex) => {
+      const value = row.values[key];
+      if (!(value > 0)) return;
+      const width = barWidth * value / max;
+      svg += `<rect class="chart-series-${seriesIndex}" x="${x.toFixed(2)}" y="${y}" width="${width.toFixed(2)}" height="${barHeight}"><title>${row.label} ${label}: ${formatChartShare(value, row.total)}</title></rect>`;
+      x += width;
+    });
+  });
+  svg += '</svg>';
+  return svg;
+}
+
+function renderPie(slices) {
+  const radius = 100;
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  let svg = `<svg class="chart chart-pie" viewBox="${-radius} ${-radius} ${2 * radius} ${2 * radius}" role="img" aria-label="Params by layer type">`;
+  let angle = -Math.PI / 2;
+  slices.forEach((slice, seriesIndex) => {
+    if (!(slice.value > 0)) return;
+    const title = `<title>${slice.label}: ${formatChartShare(slice.value, total)}</title>`;
+    if (slice.value === total) {
+      svg += `<circle class="chart-series-${seriesIndex}" r="${radius}">${title}</circle>`;
+      return;
+    }
+    const sweep = 2 * Math.PI * slice.value / total;
+    const point = a => `${(radius * Math.cos(a)).toFixed(3)} ${(radius * Math.sin(a)).toFixed(3)}`;
+    svg += `<path class="chart-series-${seriesIndex}" d="M 0 0 L ${point(angle)} A ${radius} ${radius} 0 ${sweep > Math.PI ? 1 : 0} 1 ${point(angle + sweep)} Z">${title}</path>`;
+    angle += sweep;
+  });
+  svg += '</svg>';
+  return svg;
+}
+
+function renderChartLegend(entries) {
+  return `<ul class="chart-legend">${entries.map(({ seriesIndex, label, detail }) => (
+    `<li><span class="chart-swatch chart-series-${seriesIndex}"></span>${label} <span class="muted">${detail}</span></li>`
+  )).join('')}</ul>`;
+}
+
+function renderCompositionCharts(r) {
+  let html = '<h2>Parameter composition</h2>';
+  if (r.totalParams <= 0) {
+    html += '<div class="info-text">Charts appear once the shapes above add up to some params.</div>';
+    return html;
+  }
+  const composition = computeComposition(r);
+  html += '<h3>Total vs active params by tensor class</h3>';
+  html += renderStackedBars([
+    { label: 'Total', values: composition.total, total: r.totalParams },
+    { label: 'Active', values: composition.active, total: r.totalActive },
+  ]);
+  html += renderChartLegend(COMPOSITION_CLASSES.map(({ key, label }, seriesIndex) => ({
+    seriesIndex,
+    label,
+    detail: `total ${formatChartShare(composition.total[key], r.totalParams)}, active ${formatChartShare(composition.active[key], r.totalActive)}`,
+  })));
+  html += '<h3>Total params by layer type</h3>';
+  html += '<div class="chart-pie-row">';
+  html += renderPie(composition.layerTypes);
+  html += renderChartLegend(composition.layerTypes
+    .map((slice, seriesIndex) => ({ seriesIndex, label: slice.label, detail: formatChartShare(slice.value, r.totalParams), value: slice.value }))
+    .filter(entry => entry.value > 0));
+  html += '</div>';
   return html;
 }
 
-function renderLetterResults(r) {
-  const letterRows = [
-    ['A', 'Dense attention-only layers', r.denseAttentionLayers],
-    ['B', 'Dense SSM+attention layers', r.denseSsmAttentionLayers],
-    ['C', 'MoE attention-only layers', r.moeAttentionLayers],
-    ['D', 'MoE SSM+attention layers', r.moeSsmAttentionLayers],
-    ['E', 'Embedding/output matrix sum', r.embedCount],
-    ['F', 'Pre/post first/last layer norms/others sum', r.preFirstCount],
-    ['G', 'Dense attention-only norms/small tensors sum', r.denseAttentionOnly.norms],
-    ['H', 'Dense attention-only attention/SSM tensors sum', r.denseAttentionOnly.attn],
-    ['I', 'Dense attention-only FFN tensors sum', r.denseAttentionOnly.ffn],
-    ['J', 'Dense SSM+attention norms/small tensors sum', r.denseSsmAttention.norms],
-    ['K', 'Dense SSM+attention attention/SSM tensors sum', r.denseSsmAttention.attn],
-    ['L', 'Dense SSM+attention FFN tensors sum', r.denseSsmAttention.ffn],
-    ['M', 'Experts per MoE layer', r.expertsPer],
-    ['N', 'Active experts per MoE layer used in formulas', r.activeExpertsClamped],
-    ['P', 'Shared expert tensors sum', r.sharedExpertParams],
-    ['Q', 'MoE attention-only attention/SSM tensors sum', r.moeAttentionOnly.attn],
-    ['R', 'MoE attention-only norms/small tensors sum', r.moeAttentionOnly.normsTrans],
-    ['S', 'MoE attention-only always-active FFN sum', r.moeAttentionOnly.sharedFfn],
-    ['T', 'MoE attention-only experts tensors sum', r.moeAttentionOnly.expertsInput],
-    ['U', 'MoE SSM+attention attention/SSM tensors sum', r.moeSsmAttention.attn],
-    ['V', 'MoE SSM+attention norms/small tensors sum', r.moeSsmAttention.normsTrans],
-    ['W', 'MoE SSM+attention always-active FFN sum', r.moeSsmAttention.sharedFfn],
-    ['X', 'MoE SSM+attention experts tensors sum', r.moeSsmAttention.expertsInput],
+// A-X sums with the stable ref of the field each one is read from.
+function getLetterRows(r) {
+  return [
+    ['A', 'Dense attention-only layers', r.denseAttentionLayers, 'Z01'],
+    ['B', 'Dense SSM+attention layers', r.denseSsmAttentionLayers, 'Z02'],
+    ['C', 'MoE attention-only layers', r.moeAttentionLayers, 'Z03'],
+    ['D', 'MoE SSM+attention layers', r.moeSsmAttentionLayers, 'Z04'],
+    ['E', 'Embedding/output matrix sum', r.embedCount, 'Z05'],
+    ['F', 'Pre/post first/last layer norms/others sum', r.preFirstCount, 'Z06'],
+    ['G', 'Dense attention-only norms/small tensors sum', r.denseAttentionOnly.norms, 'Z07'],
+    ['H', 'Dense attention-only attention/SSM tensors sum', r.denseAttentionOnly.attn, 'Z08'],
+    ['I', 'Dense attention-only FFN tensors sum', r.denseAttentionOnly.ffn, 'Z09'],
+    ['J', 'Dense SSM+attention norms/small tensors sum', r.denseSsmAttention.norms, 'Z10'],
+    ['K', 'Dense SSM+attention attention/SSM tensors sum', r.denseSsmAttention.attn, 'Z11'],
+    ['L', 'Dense SSM+attention FFN tensors sum', r.denseSsmAttention.ffn, 'Z12'],
+    ['M', 'Experts per MoE layer', r.expertsPer, 'Z13'],
+    ['N', 'Active experts per MoE layer used in formulas', r.activeExpertsClamped, 'Z14'],
+    ['P', 'Shared expert tensors sum', r.sharedExpertParams, 'Z16'],
+    ['Q', 'MoE attention-only attention/SSM tensors sum', r.moeAttentionOnly.attn, 'Z17'],
+    ['R', 'MoE attention-only norms/small tensors sum', r.moeAttentionOnly.normsTrans, 'Z18'],
+    ['S', 'MoE attention-only always-active FFN sum', r.moeAttentionOnly.sharedFfn, 'Z19'],
+    ['T', 'MoE attention-only experts tensors sum', r.moeAttentionOnly.expertsInput, 'Z20'],
+    ['U', 'MoE SSM+attention attention/SSM tensors sum', r.moeSsmAttention.attn, 'Z21'],
+    ['V', 'MoE SSM+attention norms/small tensors sum', r.moeSsmAttention.normsTrans, 'Z22'],
+    ['W', 'MoE SSM+attention always-active FFN sum', r.moeSsmAttention.sharedFfn, 'Z23'],
+    ['X', 'MoE SSM+attention experts tensors sum', r.moeSsmAttention.expertsInput, 'Z24'],
+  ];
+}
+
+// EA-EY explanation rows as [code, title, value]; renderExplanation prints
+// the same rows with their equations.
+function getExplanationRows(r) {
+  return [
+    ['EA', 'Dense attention-only per-layer params', r.denseAttentionOnly.perLayer],
+    ['EB', 'Dense SSM+attention per-layer params', r.denseSsmAttention.perLayer],
+    ['EC', 'Dense layers total params', r.denseTotal],
+    ['ED', 'MoE attention-only always-active per-layer params', r.moeAttentionOnly.alwaysPerLayer],
+    ['EE', 'MoE SSM+attention always-active per-layer params', r.moeSsmAttention.alwaysPerLayer],
+    ['EF', 'MoE attention-only experts per-layer params', r.moeAttentionOnly.expertsPerLayerTotal],
+    ['EG', 'MoE SSM+attention experts per-layer params', r.moeSsmAttention.expertsPerLayerTotal],
+    ['EH', 'MoE layers total params', r.moeTotal],
+    ['EI', 'MoE layers total active params', r.moeActive],
+    ['EJ', 'MoE layers total always-active params', r.moeAlwaysTotal],
+    ['EK', 'MoE inactive per token param count', r.moeInactivePerToken],
+    ['EL', 'Dense layer(s) active param count', r.denseActive],
+    ['EM', 'Exact total param count', r.totalParams],
+    ['EN', 'Total active param count', r.totalActive],
+    ['EO', 'Total always-active param count', r.totalAlwaysActive],
+    ['EP', 'Always-active share of active (%)', r.alwaysActivePct],
+    ['EQ', 'MoE share of active (%)', r.moeExpertsPct],
+    ['ER', 'Total MLP param count', r.totalMlp],
+    ['ES', 'Total attention param count', r.totalAttn],
+    ['ET', 'MoE experts active param count', r.moeExpertsOnly],
+    ['EU', 'MoE experts total param count', r.moeExpertTotal],
+    ['EV', 'Scheduled dense layers total params', r.layerSchedule.dense.total],
+    ['EW', 'Scheduled MoE layers total params', r.layerSchedule.moe.total],
+    ['EX', 'Scheduled MoE layers active params', r.layerSchedule.moe.active],
+    ['EY', 'Scheduled MoE layers always-active params', r.layerSchedule.moe.always],
   ];
+}
+
+function renderTensorLineLabel(entry) {
+  const shape = `${escapeHtml(entry.shape)}${entry.dtype ? ` ${escapeHtml(entry.dtype)}` : ''}`;
+  return entry.name ? `${escapeHtml(entry.name)} <span class="muted">${shape}</span>` : shape;
+}
+
+// How many times one line of a lettered sum is counted in the total params.
+function tensorLineMultiplier(code, r) {
+  const expertCopies = r.expertsIncludeDim ? 1 : r.expertsPer;
+  switch (code) {
+    case 'G': case 'H': case 'I': return r.denseAttentionLayers;
+    case 'J': case 'K': case 'L': return r.denseSsmAttentionLayers;
+    case 'P': return r.sharedScope === 'per_layer' ? r.moeLayers : (r.moeLayers > 0 ? 1 : 0);
+    case 'Q': case 'R': case 'S': return r.moeAttentionLayers;
+    case 'T': return r.moeAttentionLayers * expertCopies;
+    case 'U': case 'V': case 'W': return r.moeSsmAttentionLayers;
+    case 'X': return r.moeSsmAttentionLayers * expertCopies;
+    default: return 1;
+  }
+}
+
+// Shape lines behind one A-X sum with each line's share of that sum and of
+// the exact total param count.
+function computeTensorBreakdown(r, code) {
+  const lines = r.tensorLines[code] || [];
+  const bucket = lines.reduce((total, entry) => total + entry.params, 0);
+  const multiplier = tensorLineMultiplier(code, r);
+  return lines.map(entry => ({
+    ...entry,
+    bucketPct: bucket > 0 ? 100 * entry.params / bucket : 0,
+    totalPct: r.totalParams > 0 ? 100 * entry.params * multiplier / r.totalParams : 0,
+  }));
+}
+
+function renderLetterResults(r, expanded = new Set()) {
+  const letterRows = getLetterRows(r);
 
   let html = '<h2>Results (A-Z Sums)</h2>';
   html += '<table class="results-table az-results-table"><tbody>';
   for (const [code, title, value] of letterRows) {
-    html += `<tr><td>${code}</td><td>${title}</td><td>${fmt(value)}</td></tr>`;
+    const breakdown = computeTensorBreakdown(r, code);
+    const open = expanded.has(code);
+    const toggleAttrs = breakdown.length > 0
+      ? ` class="tensor-toggle" data-letter="${code}" tabindex="0" aria-expanded="${open}"`
+      : '';
+    html += `<tr${toggleAttrs}><td>${code}</td><td>${title}</td><td>${fmt(value)}</td></tr>`;
+    breakdown.forEach((entry) => {
+      html += `<tr class="tensor-line-row" data-letter="${code}"${open ? '' : ' hidden'}><td></td><td>${renderTensorLineLabel(entry)}</td>`;
+      html += `<td>${fmt(entry.params)}<div class="muted">${entry.bucketPct.toFixed(2)}% of ${code} · ${entry.totalPct.toFixed(2)}% of total</div></td></tr>`;
+    });
   }
   html += '</tbody></table>';
 
@@ -583,6 +679,24 @@ function renderLetterResults(r) {
     html += `<div class="info-text">N is shown as ${fmt(r.activeExpertsClamped)} because the input active experts value was clamped to the experts-per-layer limit.</div>`;
   }
 
+  html += renderLayerSchedule(r);
+  return html;
+}
+
+// Runs of consecutive scheduled layers that share a template, numbered from 0.
+function renderLayerSchedule(r) {
+  const { runs, templates } = r.layerSchedule;
+  if (runs.length === 0) return '';
+  let html = '<h2>Layer schedule</h2>';
+  html += '<table class="results-table schedule-table"><thead><tr><th>Layers</th><th>Template</th><th>Kind</th><th>Per-layer total</th><th>Per-layer active</th></tr></thead><tbody>';
+  for (const run of runs) {
+    const template = templates[run.template];
+    const end = run.start + run.count - 1;
+    const layers = run.count === 1 ? `${run.start}` : `${run.start}-${end}`;
+    html += `<tr><td>${layers}</td><td>${run.template}</td><td>${template.kind === 'moe' ? 'MoE' : 'Dense'}</td>`;
+    html += `<td>${fmt(template.total)}</td><td>${fmt(template.activeTotal)}</td></tr>`;
+  }
+  html += '</tbody></table>';
   return html;
 }
 
@@ -623,22 +737,40 @@ function renderMoeExpertsRow(code, bucket, r) {
   return renderRow(code, `${bucket.label} experts per-layer params`, fmt(bucket.expertsPerLayerTotal), numeric, detail, STABLE_LABEL_REFS[refKey]);
 }
 
+// Sum of schedule runs of one kind, e.g. `3 × 1,024 + 1 × 2,048`.
+function scheduleRunsFormula(r, kind, key) {
+  const { runs, templates } = r.layerSchedule;
+  const terms = runs
+    .filter(run => templates[run.template].kind === kind)
+    .map(run => `${fmt(run.count)} × ${fmt(templates[run.template][key])}`);
+  return terms.length > 0 ? terms.join(' + ') : '0';
+}
+
 function renderExplanation(r) {
   let html = '<h2>Explanation</h2>';
   const shared = getSharedPerLayerFormula(r);
+  const sched = r.layerSchedule;
+  const hasSchedule = r.scheduledLayers > 0;
+  // Scheduled layers extend the bucket equations only when a schedule exists.
+  const plus = (value) => (hasSchedule ? ` + ${fmt(value)}` : '');
+  const plusTerm = term => (hasSchedule ? ` + ${term}` : '');
   html += renderDenseBucketRow('EA', r.denseAttentionOnly);
   html += renderDenseBucketRow('EB', r.denseSsmAttention);
 
-  const denseTotalNum = `${fmt(r.denseAttentionLayers)} × ${fmt(r.denseAttentionOnly.perLayer)} + ${fmt(r.denseSsmAttentionLayers)} × ${fmt(r.denseSsmAttention.perLayer)} = ${fmt(r.denseTotal)}`;
-  html += renderRow('EC', 'Dense layers total params', fmt(r.denseTotal), denseTotalNum, 'A × EA + B × EB', STABLE_LABEL_REFS.explanation_dense_total);
+  html += renderRow('EV', 'Scheduled dense layers total params', fmt(sched.dense.total), `${scheduleRunsFormula(r, 'dense', 'total')} = ${fmt(sched.dense.total)}`, 'Σ scheduled dense layers', STABLE_LABEL_REFS.explanation_schedule_dense_total);
+  const denseTotalNum = `${fmt(r.denseAttentionLayers)} × ${fmt(r.denseAttentionOnly.perLayer)} + ${fmt(r.denseSsmAttentionLayers)} × ${fmt(r.denseSsmAttention.perLayer)}${plus(sched.dense.total)} = ${fmt(r.denseTotal)}`;
+  html += renderRow('EC', 'Dense layers total params', fmt(r.denseTotal), denseTotalNum, `A × EA + B × EB${plusTerm('EV')}`, STABLE_LABEL_REFS.explanation_dense_total);
 
   html += renderMoeAlwaysRow('ED', r.moeAttentionOnly, r);
   html += renderMoeAlwaysRow('EE', r.moeSsmAttention, r);
   html += renderMoeExpertsRow('EF', r.moeAttentionOnly, r);
   html += renderMoeExpertsRow('EG', r.moeSsmAttention, r);
+  html += renderRow('EW', 'Scheduled MoE layers total params', fmt(sched.moe.total), `${scheduleRunsFormula(r, 'moe', 'total')} = ${fmt(sched.moe.total)}`, 'Σ scheduled MoE layers', STABLE_LABEL_REFS.explanation_schedule_moe_total);
+  html += renderRow('EX', 'Scheduled MoE layers active params', fmt(sched.moe.active), `${scheduleRunsFormula(r, 'moe', 'activeTotal')} = ${fmt(sched.moe.active)}`, 'Σ scheduled MoE layers, active experts only', STABLE_LABEL_REFS.explanation_schedule_moe_active);
+  html += renderRow('EY', 'Scheduled MoE layers always-active params', fmt(sched.moe.always), `${scheduleRunsFormula(r, 'moe', 'always')} = ${fmt(sched.moe.always)}`, 'Σ scheduled MoE layers without experts', STABLE_LABEL_REFS.explanation_schedule_moe_always);
 
-  const moeTotalNum = `${fmt(r.moeAttentionLayers)} × (${fmt(r.moeAttentionOnly.alwaysPerLayer)} + ${fmt(r.moeAttentionOnly.expertsPerLayerTotal)}) + ${fmt(r.moeSsmAttentionLayers)} × (${fmt(r.moeSsmAttention.alwaysPerLayer)} + ${fmt(r.moeSsmAttention.expertsPerLayerTotal)}) = ${fmt(r.moeTotal)}`;
-  html += renderRow('EH', 'MoE layers total params', fmt(r.moeTotal), moeTotalNum, 'C × (ED + EF) + D × (EE + EG)', STABLE_LABEL_REFS.explanation_moe_total);
+  const moeTotalNum = `${fmt(r.moeAttentionLayers)} × (${fmt(r.moeAttentionOnly.alwaysPerLayer)} + ${fmt(r.moeAttentionOnly.expertsPerLayerTotal)}) + ${fmt(r.moeSsmAttentionLayers)} × (${fmt(r.moeSsmAttention.alwaysPerLayer)} + ${fmt(r.moeSsmAttention.expertsPerLayerTotal)})${plus(sched.moe.total)} = ${fmt(r.moeTotal)}`;
+  html += renderRow('EH', 'MoE layers total params', fmt(r.moeTotal), moeTotalNum, `C × (ED + EF) + D × (EE + EG)${plusTerm('EW')}`, STABLE_LABEL_REFS.explanation_moe_total);
 
   const moeActiveAttentionNum = r.expertsIncludeDim
     ? (r.expertsPer > 0
@@ -650,14 +782,14 @@ function renderExplanation(r) {
         ? `${fmt(r.moeSsmAttention.expertsInput)} × (${fmt(r.activeExpertsClamped)} ÷ ${fmt(r.expertsPer)})`
         : `${fmt(r.moeSsmAttention.expertsInput)} × 0`)
     : `${fmt(r.moeSsmAttention.expertsInput)} × ${fmt(r.activeExpertsClamped)}`;
-  const moeActiveNum = `${fmt(r.moeAttentionLayers)} × (${fmt(r.moeAttentionOnly.alwaysPerLayer)} + ${moeActiveAttentionNum}) + ${fmt(r.moeSsmAttentionLayers)} × (${fmt(r.moeSsmAttention.alwaysPerLayer)} + ${moeActiveSsmNum}) = ${fmt(r.moeActive)}`;
-  html += renderRow('EI', 'MoE layers total active params', fmt(r.moeActive), moeActiveNum, 'C × (ED + EF × (N ÷ M)) + D × (EE + EG × (N ÷ M))', STABLE_LABEL_REFS.explanation_moe_active);
+  const moeActiveNum = `${fmt(r.moeAttentionLayers)} × (${fmt(r.moeAttentionOnly.alwaysPerLayer)} + ${moeActiveAttentionNum}) + ${fmt(r.moeSsmAttentionLayers)} × (${fmt(r.moeSsmAttention.alwaysPerLayer)} + ${moeActiveSsmNum})${plus(sched.moe.active)} = ${fmt(r.moeActive)}`;
+  html += renderRow('EI', 'MoE layers total active params', fmt(r.moeActive), moeActiveNum, `C × (ED + EF × (N ÷ M)) + D × (EE + EG × (N ÷ M))${plusTerm('EX')}`, STABLE_LABEL_REFS.explanation_moe_active);
 
-  const moeAlwaysNum = `${fmt(r.moeAttentionLayers)} × ${fmt(r.moeAttentionOnly.alwaysPerLayer)} + ${fmt(r.moeSsmAttentionLayers)} × ${fmt(r.moeSsmAttention.alwaysPerLayer)} = ${fmt(r.moeAlwaysTotal)}`;
-  html += renderRow('EJ', 'MoE layers total always-active params', fmt(r.moeAlwaysTotal), moeAlwaysNum, 'C × ED + D × EE', STABLE_LABEL_REFS.explanation_moe_always_total);
+  const moeAlwaysNum = `${fmt(r.moeAttentionLayers)} × ${fmt(r.moeAttentionOnly.alwaysPerLayer)} + ${fmt(r.moeSsmAttentionLayers)} × ${fmt(r.moeSsmAttention.alwaysPerLayer)}${plus(sched.moe.always)} = ${fmt(r.moeAlwaysTotal)}`;
+  html += renderRow('EJ', 'MoE layers total always-active params', fmt(r.moeAlwaysTotal), moeAlwaysNum, `C × ED + D × EE${plusTerm('EY')}`, STABLE_LABEL_REFS.explanation_moe_always_total);
 
-  const moeInactivePerTokenNum = `${fmt(r.moeAttentionOnly.inactivePerToken)} + ${fmt(r.moeSsmAttention.inactivePerToken)} = ${fmt(r.moeInactivePerToken)}`;
-  html += renderRow('EK', 'MoE inactive per token param count', fmt(r.moeInactivePerToken), moeInactivePerTokenNum, 'C × EF × (1 - N ÷ M) + D × EG × (1 - N ÷ M)', STABLE_LABEL_REFS.explanation_moe_inactive_per_token);
+  const moeInactivePerTokenNum = `${fmt(r.moeAttentionOnly.inactivePerToken)} + ${fmt(r.moeSsmAttention.inactivePerToken)}${plus(sched.moe.total - sched.moe.active)} = ${fmt(r.moeInactivePerToken)}`;
+  html += renderRow('EK', 'MoE inactive per token param count', fmt(r.moeInactivePerToken), moeInactivePerTokenNum, `C × EF × (1 - N ÷ M) + D × EG × (1 - N ÷ M)${plusTerm('(EW - EX)')}`, STABLE_LABEL_REFS.explanation_moe_inactive_per_token);
 
   const denseActiveNum = `${fmt(r.embedCount)} + ${fmt(r.preFirstCount)} + ${fmt(r.denseTotal)} = ${fmt(r.denseActive)}`;
   html += renderRow('EL', 'Dense layer(s) active param count', fmt(r.denseActive), denseActiveNum, 'E + F + EC', STABLE_LABEL_REFS.explanation_dense_active);
@@ -681,25 +813,129 @@ function renderExplanation(r) {
     : `total active = 0, so ${r.moeExpertsPct.toFixed(4)}%`;
   html += renderRow('EQ', 'MoE share of active (%)', `${r.moeExpertsPct.toFixed(4)}`, moeShareNum, 'ET ÷ EN × 100', STABLE_LABEL_REFS.explanation_moe_share_active);
 
-  const totalMlpNum = `${fmt(r.denseAttentionLayers)} × ${fmt(r.denseAttentionOnly.ffn)} + ${fmt(r.denseSsmAttentionLayers)} × ${fmt(r.denseSsmAttention.ffn)} + ${fmt(r.moeAttentionOnly.mlpTotal)} + ${fmt(r.moeSsmAttention.mlpTotal)} = ${fmt(r.totalMlp)}`;
-  html += renderRow('ER', 'Total MLP param count', fmt(r.totalMlp), totalMlpNum, `A × I + B × L + C × (S + ${shared} + EF) + D × (W + ${shared} + EG)`, STABLE_LABEL_REFS.explanation_total_mlp);
+  const totalMlpNum = `${fmt(r.denseAttentionLayers)} × ${fmt(r.denseAttentionOnly.ffn)} + ${fmt(r.denseSsmAttentionLayers)} × ${fmt(r.denseSsmAttention.ffn)} + ${fmt(r.moeAttentionOnly.mlpTotal)} + ${fmt(r.moeSsmAttention.mlpTotal)}${plus(sched.dense.ffn + sched.dense.shared + sched.moe.ffn + sched.moe.shared + sched.moe.expertsTotal)} = ${fmt(r.totalMlp)}`;
+  html += renderRow('ER', 'Total MLP param count', fmt(r.totalMlp), totalMlpNum, `A × I + B × L + C × (S + ${shared} + EF) + D × (W + ${shared} + EG)${plusTerm('scheduled ffn/shared/experts')}`, STABLE_LABEL_REFS.explanation_total_mlp);
 
-  const totalAttnNum = `${fmt(r.denseAttentionLayers)} × ${fmt(r.denseAttentionOnly.attn)} + ${fmt(r.denseSsmAttentionLayers)} × ${fmt(r.denseSsmAttention.attn)} + ${fmt(r.moeAttentionLayers)} × ${fmt(r.moeAttentionOnly.attn)} + ${fmt(r.moeSsmAttentionLayers)} × ${fmt(r.moeSsmAttention.attn)} = ${fmt(r.totalAttn)}`;
-  html += renderRow('ES', 'Total attention param count', fmt(r.totalAttn), totalAttnNum, 'A × H + B × K + C × Q + D × U', STABLE_LABEL_REFS.explanation_total_attn);
+  const totalAttnNum = `${fmt(r.denseAttentionLayers)} × ${fmt(r.denseAttentionOnly.attn)} + ${fmt(r.denseSsmAttentionLayers)} × ${fmt(r.denseSsmAttention.attn)} + ${fmt(r.moeAttentionLayers)} × ${fmt(r.moeAttentionOnly.attn)} + ${fmt(r.moeSsmAttentionLayers)} × ${fmt(r.moeSsmAttention.attn)}${plus(sched.dense.attn + sched.moe.attn)} = ${fmt(r.totalAttn)}`;
+  html += renderRow('ES', 'Total attention param count', fmt(r.totalAttn), totalAttnNum, `A × H + B × K + C × Q + D × U${plusTerm('scheduled attn')}`, STABLE_LABEL_REFS.explanation_total_attn);
 
   const moeExpertsActiveNum = r.expertsIncludeDim
     ? (r.expertsPer > 0
         ? `(${fmt(r.moeAttentionLayers)} × ${fmt(r.moeAttentionOnly.expertsInput)} + ${fmt(r.moeSsmAttentionLayers)} × ${fmt(r.moeSsmAttention.expertsInput)}) × (${fmt(r.activeExpertsClamped)} ÷ ${fmt(r.expertsPer)}) = ${fmt(r.moeExpertsOnly)}`
         : `0 = ${fmt(r.moeExpertsOnly)}`)
     : `${fmt(r.moeAttentionLayers)} × ${fmt(r.moeAttentionOnly.expertsInput)} × ${fmt(r.activeExpertsClamped)} + ${fmt(r.moeSsmAttentionLayers)} × ${fmt(r.moeSsmAttention.expertsInput)} × ${fmt(r.activeExpertsClamped)} = ${fmt(r.moeExpertsOnly)}`;
-  html += renderRow('ET', 'MoE experts active param count', fmt(r.moeExpertsOnly), moeExpertsActiveNum, '(C × EF + D × EG) × (N ÷ M)', STABLE_LABEL_REFS.explanation_moe_experts_active);
+  const moeExpertsActiveWithSchedule = hasSchedule
+    ? moeExpertsActiveNum.replace(/ = [^=]*$/, `${plus(sched.moe.expertsActive)} = ${fmt(r.moeExpertsOnly)}`)
+    : moeExpertsActiveNum;
+  html += renderRow('ET', 'MoE experts active param count', fmt(r.moeExpertsOnly), moeExpertsActiveWithSchedule, `(C × EF + D × EG) × (N ÷ M)${plusTerm('scheduled active experts')}`, STABLE_LABEL_REFS.explanation_moe_experts_active);
 
-  const moeExpertsTotalNum = `${fmt(r.moeAttentionOnly.expertTotal)} + ${fmt(r.moeSsmAttention.expertTotal)} = ${fmt(r.moeExpertTotal)}`;
-  html += renderRow('EU', 'MoE experts total param count', fmt(r.moeExpertTotal), moeExpertsTotalNum, 'C × EF + D × EG', STABLE_LABEL_REFS.explanation_moe_experts_total);
+  const moeExpertsTotalNum = `${fmt(r.moeAttentionOnly.expertTotal)} + ${fmt(r.moeSsmAttention.expertTotal)}${plus(sched.moe.expertsTotal)} = ${fmt(r.moeExpertTotal)}`;
+  html += renderRow('EU', 'MoE experts total param count', fmt(r.moeExpertTotal), moeExpertsTotalNum, `C × EF + D × EG${plusTerm('scheduled experts')}`, STABLE_LABEL_REFS.explanation_moe_experts_total);
 
   return html;
 }
 
+function shapeLineList(text) {
+  return String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+// Lines of `lines` not matched by an equal line in `other`, counting repeats.
+function unmatchedLines(lines, other) {
+  const remaining = new Map();
+  other.forEach(line => remaining.set(line, (remaining.get(line) || 0) + 1));
+  return lines.filter((line) => {
+    const count = remaining.get(line) || 0;
+    if (count > 0) remaining.set(line, count - 1);
+    return count === 0;
+  });
+}
+
+function diffRows(fromRows, toRows) {
+  return fromRows.map(([code, title, from, stableRef], i) => {
+    const to = toRows[i][2];
+    return { code, title, stableRef: stableRef || null, from, to, delta: to - from };
+  });
+}
+
+// Compares two stable-ref entries: changed form fields (shape lines added or
+// removed, or scalar from -> to) plus every A-X sum and EA-EU row.
+function computeArchitectureDiff(fromEntry, toEntry) {
+  const fromInput = inputFromPresetEntry(cloneJson(fromEntry || {}));
+  const toInput = inputFromPresetEntry(cloneJson(toEntry || {}));
+  const fromResults = computeResults(fromInput);
+  const toResults = computeResults(toInput);
+  const letters = diffRows(getLetterRows(fromResults), getLetterRows(toResults));
+  const letterByRef = new Map(letters.map(row => [row.stableRef, row]));
+  const empty = createEmptyInput();
+
+  const fields = [];
+  Object.entries(FORM_STABLE_LABEL_REFS).forEach(([fieldId, stableRef]) => {
+    const letter = letterByRef.get(stableRef);
+    const field = { stableRef, fieldId, code: letter ? letter.code : null, title: letter ? letter.title : fieldId };
+    if (empty[fieldId] === '') {
+      const fromLines = shapeLineList(fromInput[fieldId]);
+      const toLines = shapeLineList(toInput[fieldId]);
+      const removed = unmatchedLines(fromLines, toLines);
+      const added = unmatchedLines(toLines, fromLines);
+      if (removed.length || added.length) fields.push({ ...field, removed, added });
+    } else if (String(fromInput[fieldId]) !== String(toInput[fieldId])) {
+      fields.push({ ...field, from: fromInput[fieldId], to: toInput[fieldId] });
+    }
+  });
+
+  return {
+    fields,
+    letters,
+    explanation: diffRows(getExplanationRows(fromResults), getExplanationRows(toResults)),
+  };
+}
+
+function formatDiffValue(value, percent) {
+  return percent ? `${value.toFixed(4)}%` : fmt(value);
+}
+
+function formatDiffDelta(delta, percent) {
+  if (delta === 0) return '';
+  const sign = delta > 0 ? '+' : '-';
+  return percent ? `${sign}${Math.abs(delta).toFixed(4)} pp` : `${sign}${fmt(Math.abs(delta))}`;
+}
+
+function renderDiffTable(heading, rows, percentCodes = new Set()) {
+  let html = `<h3>${heading}</h3>`;
+  html += '<table class="results-table diff-table"><thead><tr><th>Code</th><th>Description</th><th>From</th><th>To</th><th>Delta</th></tr></thead><tbody>';
+  rows.forEach(({ code, title, from, to, delta }) => {
+    const percent = percentCodes.has(code);
+    html += `<tr${delta !== 0 ? ' class="diff-changed"' : ''}><td>${code}</td><td>${title}</td>`;
+    html += `<td>${formatDiffValue(from, percent)}</td><td>${formatDiffValue(to, percent)}</td><td>${formatDiffDelta(delta, percent)}</td></tr>`;
+  });
+  html += '</tbody></table>';
+  return html;
+}
+
+function renderArchitectureDiff(diff) {
+  let html = '<h3>Changed fields</h3>';
+  if (diff.fields.length === 0) {
+    html += '<div class="info-text">Both models have identical inputs.</div>';
+  }
+  diff.fields.forEach((field) => {
+    const label = field.code ? `${field.code}: ${field.title}` : field.title;
+    html += `<div class="diff-field" data-stable-ref="${field.stableRef}">`;
+    html += `<div class="result-title">${label} <span class="stable-ref">${field.stableRef}</span></div>`;
+    if (field.removed) {
+      html += '<pre class="diff-lines">';
+      field.removed.forEach((line) => { html += `<span class="diff-removed">- ${escapeHtml(line)}</span>\n`; });
+      field.added.forEach((line) => { html += `<span class="diff-added">+ ${escapeHtml(line)}</span>\n`; });
+      html += '</pre>';
+    } else {
+      html += `<div class="equation">${escapeHtml(field.from)} → ${escapeHtml(field.to)}</div>`;
+    }
+    html += '</div>';
+  });
+  html += renderDiffTable('A-X sums', diff.letters);
+  html += renderDiffTable('Explanation rows', diff.explanation, new Set(['EP', 'EQ']));
+  return html;
+}
+
 function getFormData() {
   return {
     total_layers: document.getElementById('total_layers')?.value || '0',
@@ -707,6 +943,7 @@ function getFormData() {
     dense_ssm_attention_layers: document.getElementById('dense_ssm_attention_layers')?.value || '0',
     moe_attention_layers: document.getElementById('moe_attention_layers')?.value || '0',
     moe_ssm_attention_layers: document.getElementById('moe_ssm_attention_layers')?.value || '0',
+    shape_variables: document.getElementById('shape_variables')?.value || '',
     embedding_shapes: document.getElementById('embedding_shapes')?.value || '',
     pre_first_norms: document.getElementById('pre_first_norms')?.value || '',
     dense_norms: document.getElementById('dense_norms')?.value || '',
@@ -729,6 +966,7 @@ function getFormData() {
     moe_ssm_shared_ffn: document.getElementById('moe_ssm_shared_ffn')?.value || '',
     moe_ssm_experts: document.getElementById('moe_ssm_experts')?.value || '',
     experts_include_dim: document.getElementById('experts_include_dim')?.checked || false,
+    layer_schedule: document.getElementById('layer_schedule')?.value || '',
   };
 }
 
@@ -737,23 +975,35 @@ function updateComputedTotalLayers() {
   const ds = parseCount(document.getElementById('dense_ssm_attention_layers')?.value);
   const ma = parseCount(document.getElementById('moe_attention_layers')?.value);
   const ms = parseCount(document.getElementById('moe_ssm_attention_layers')?.value);
+  const vars = parseShapeVariables(document.getElementById('shape_variables')?.value).values;
+  const scheduled = parseLayerSchedule(document.getElementById('layer_schedule')?.value, { vars }).layers.length;
   const aEl = document.getElementById('total_layers');
-  if (aEl) aEl.value = String(da + ds + ma + ms);
+  if (aEl) aEl.value = String(da + ds + ma + ms + scheduled);
 }
 
+const expandedLetters = new Set();
+
 function calculateAndRender(opts = {}) {
   const { scroll = false } = opts;
   const resultsBox = document.getElementById('results');
+  const chartsBox = document.getElementById('charts');
   const letterResultsBox = document.getElementById('letter-results');
   const explanationBox = document.getElementById('explanation');
-  const r = computeResults(getFormData());
+  const input = getFormData();
+  const r = computeResults(input);
   updateComputedTotalLayers();
+  saveFormStateToHash(input);
   resultsBox.innerHTML = renderSummary(r);
-  letterResultsBox.innerHTML = renderLetterResults(r);
+  if (chartsBox) {
+    chartsBox.innerHTML = renderCompositionCharts(r);
+    chartsBox.classList.remove('hidden');
+  }
+  letterResultsBox.innerHTML = renderLetterResults(r, expandedLetters);
   explanationBox.innerHTML = renderExplanation(r);
   resultsBox.classList.remove('hidden');
   letterResultsBox.classList.remove('hidden');
   explanationBox.classList.remove('hidden');
+  renderDiffView();
   if (scroll && typeof resultsBox.scrollIntoView === 'function') {
     resultsBox.scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
@@ -833,21 +1083,305 @@ function expandLayerTensorSections() {
     'moe-ssm-section',
     moeSsmCount > 0 || hasTextValue('moe_ssm_attn') || hasTextValue('moe_ssm_transitional') || hasTextValue('moe_ssm_shared_ffn') || hasTextValue('moe_ssm_experts'),
   );
+  setSectionOpen('layer-schedule-section', hasTextValue('layer_schedule'));
 }
 
-async function prefillParamModel(model) {
-  const setVal = (id, v) => {
-    const el = document.getElementById(id);
-    if (el) el.value = v;
-  };
-  const setChecked = (id, v) => {
-    const el = document.getElementById(id);
-    if (el) el.checked = v;
+function setFieldValue(id, v) {
+  const el = document.getElementById(id);
+  if (el) el.value = v;
+}
+
+function setFieldChecked(id, v) {
+  const el = document.getElementById(id);
+  if (el) el.checked = v;
+}
+
+// Permalink state: the preset the form started from plus every field that
+// differs from an empty form, keyed by stable Z ref.
+function formStateFromInput(input, model) {
+  const empty = createEmptyInput();
+  const state = model && model !== 'custom' ? { model } : {};
+  Object.entries(FORM_STABLE_LABEL_REFS).forEach(([fieldId, stableRef]) => {
+    if (input[fieldId] !== undefined && input[fieldId] !== empty[fieldId]) {
+      state[stableRef] = input[fieldId];
+    }
+  });
+  return state;
+}
+
+let hashWriteSeq = 0;
+
+function saveFormStateToHash(input) {
+  const seq = ++hashWriteSeq;
+  const model = document.getElementById('param-model-select')?.value;
+  encodeHashState(formStateFromInput(input, model))
+    .then((encoded) => {
+      if (seq === hashWriteSeq) history.replaceState(null, '', `#state=${encoded}`);
+    })
+    .catch(() => {});
+}
+
+async function restoreFormStateFromHash() {
+  const match = window.location.hash.match(/^#state=(.+)$/);
+  const state = match ? await decodeHashState(match[1]) : null;
+  if (!state) return false;
+
+  applyFieldInputData(createEmptyInput(), setFieldValue, setFieldChecked);
+  clearSplitOnlyFields();
+  applyStableRefPresetData(state, setFieldValue, setFieldChecked);
+  const presetSel = document.getElementById('param-model-select');
+  if (presetSel) {
+    presetSel.value = state.model || 'custom';
+    if (!presetSel.value) presetSel.value = 'custom';
+  }
+  updateSharedState();
+  updateComputedTotalLayers();
+  calculateAndRender({ scroll: false });
+  expandLayerTensorSections();
+  return true;
+}
+
+function populateMyModelsGroup(selectedId) {
+  const group = document.getElementById('my-models-group');
+  const presetSel = document.getElementById('param-model-select');
+  if (!group || !presetSel) return;
+  const data = loadMyModels();
+  group.innerHTML = '';
+  data.modelOrder.forEach((id) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = data.names[id] || id;
+    group.appendChild(option);
+  });
+  group.hidden = data.modelOrder.length === 0;
+  if (selectedId !== undefined) presetSel.value = data.models[selectedId] ? selectedId : 'custom';
+  updateMyModelButtons();
+  populateComparisonOptions();
+  populateDiffOptions();
+}
+
+function updateMyModelButtons() {
+  const selected = isMyModelId(document.getElementById('param-model-select')?.value);
+  ['my-model-update-btn', 'my-model-rename-btn', 'my-model-duplicate-btn', 'my-model-delete-btn'].forEach((id) => {
+    const button = document.getElementById(id);
+    if (button) button.disabled = !selected;
+  });
+}
+
+function bindMyModelActions() {
+  const presetSel = document.getElementById('param-model-select');
+  const selectedId = () => presetSel?.value;
+  const bind = (id, handler) => document.getElementById(id)?.addEventListener('click', (e) => {
+    e.preventDefault();
+    handler();
+  });
+  const save = (data) => {
+    const saved = saveMyModels(data);
+    setPresetFileStatus(saved ? '' : 'Could not save to this browser\'s storage; it may be disabled or full. Your saved models were not changed.');
+    return saved;
   };
 
-  applyFieldInputData(createEmptyInput(), setVal, setChecked);
+  bind('my-model-save-btn', () => {
+    const name = window.prompt('Name for this model:', 'My model');
+    if (!name || !name.trim()) return;
+    const data = save(createMyModel(loadMyModels(), name.trim(), formStateFromInput(getFormData())));
+    if (!data) return;
+    populateMyModelsGroup(data.modelOrder[data.modelOrder.length - 1]);
+    calculateAndRender({ scroll: false });
+  });
+  bind('my-model-update-btn', () => {
+    save(updateMyModel(loadMyModels(), selectedId(), formStateFromInput(getFormData())));
+  });
+  bind('my-model-rename-btn', () => {
+    const data = loadMyModels();
+    const name = window.prompt('Rename model:', data.names[selectedId()] || '');
+    if (!name || !name.trim()) return;
+    if (!save(renameMyModel(data, selectedId(), name.trim()))) return;
+    populateMyModelsGroup(selectedId());
+  });
+  bind('my-model-duplicate-btn', () => {
+    const data = save(duplicateMyModel(loadMyModels(), selectedId()));
+    if (!data) return;
+    populateMyModelsGroup(data.modelOrder[data.modelOrder.length - 1]);
+    calculateAndRender({ scroll: false });
+  });
+  bind('my-model-delete-btn', () => {
+    const data = loadMyModels();
+    if (!window.confirm(`Delete "${data.names[selectedId()] || selectedId()}"?`)) return;
+    if (!save(deleteMyModel(data, selectedId()))) return;
+    populateMyModelsGroup('custom');
+    calculateAndRender({ scroll: false });
+  });
+}
+
+function populateImportedModelsGroup(selectedId) {
+  const group = document.getElementById('imported-models-group');
+  const presetSel = document.getElementById('param-model-select');
+  if (!group || !presetSel) return;
+  group.innerHTML = '';
+  importedPresets.modelOrder.forEach((id) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = id.slice(IMPORTED_MODEL_PREFIX.length);
+    group.appendChild(option);
+  });
+  group.hidden = importedPresets.modelOrder.length === 0;
+  if (selectedId) presetSel.value = selectedId;
+  populateComparisonOptions();
+  populateDiffOptions();
+}
+
+function setPresetFileStatus(message) {
+  const status = document.getElementById('preset-file-status');
+  if (!status) return;
+  status.textContent = message;
+  status.hidden = !message;
+}
+
+function exportCurrentPreset() {
+  const presetSel = document.getElementById('param-model-select');
+  const selected = presetSel?.value || 'custom';
+  let modelId = selected;
+  if (isMyModelId(selected)) modelId = loadMyModels().names[selected] || selected;
+  if (isImportedModelId(selected)) modelId = selected.slice(IMPORTED_MODEL_PREFIX.length);
+  modelId = String(modelId).trim().toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-+|-+$/g, '') || 'custom';
+  const file = buildPresetFile(modelId, formStateFromInput(getFormData()), getPresetArchitecture(selected));
+  const blob = new Blob([`${JSON.stringify(file, null, 2)}\n`], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${modelId}.presets.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function bindPresetFileActions() {
+  const fileInput = document.getElementById('preset-import-file');
+  document.getElementById('preset-export-btn')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    exportCurrentPreset();
+  });
+  document.getElementById('preset-import-btn')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    fileInput?.click();
+  });
+  fileInput?.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      const ids = importPresetFile(await file.text());
+      populateImportedModelsGroup(ids[0]);
+      setPresetFileStatus(`Imported ${ids.length} model${ids.length === 1 ? '' : 's'} from ${file.name}.`);
+      await prefillParamModel(ids[0]);
+      expandLayerTensorSections();
+      updateMyModelButtons();
+    } catch (err) {
+      setPresetFileStatus(`Could not import ${file.name}: ${err.message}`);
+    }
+  });
+}
+
+const comparisonSort = { key: null, dir: 'desc' };
+
+function populateComparisonOptions() {
+  const presetSel = document.getElementById('param-model-select');
+  const compareSel = document.getElementById('compare-models');
+  const baselineSel = document.getElementById('compare-baseline');
+  if (!presetSel || !compareSel || !baselineSel) return;
+  const selected = new Set(Array.from(compareSel.selectedOptions).map(option => option.value));
+  compareSel.innerHTML = '';
+  Array.from(presetSel.options)
+    .filter(option => option.value !== 'custom')
+    .forEach((option) => {
+      const copy = new Option(option.textContent, option.value, false, selected.has(option.value));
+      compareSel.appendChild(copy);
+    });
+  renderComparisonView();
+}
+
+function renderComparisonView() {
+  const compareSel = document.getElementById('compare-models');
+  const baselineSel = document.getElementById('compare-baseline');
+  const box = document.getElementById('comparison');
+  if (!compareSel || !baselineSel || !box) return;
+  const models = Array.from(compareSel.selectedOptions).map(option => ({ id: option.value, label: option.textContent }));
+  const previousBaseline = baselineSel.value;
+  baselineSel.innerHTML = '';
+  models.forEach(({ id, label }) => baselineSel.appendChild(new Option(label, id)));
+  if (models.some(model => model.id === previousBaseline)) baselineSel.value = previousBaseline;
+  box.innerHTML = renderComparison(computeComparison(models, {
+    baseline: baselineSel.value,
+    sortKey: comparisonSort.key,
+    sortDir: comparisonSort.dir,
+  }));
+}
+
+function bindComparisonActions() {
+  document.getElementById('compare-models')?.addEventListener('change', renderComparisonView);
+  document.getElementById('compare-baseline')?.addEventListener('change', renderComparisonView);
+  document.getElementById('comparison')?.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-sort-key]');
+    if (!button) return;
+    const key = button.dataset.sortKey;
+    comparisonSort.dir = comparisonSort.key === key && comparisonSort.dir === 'desc' ? 'asc' : 'desc';
+    comparisonSort.key = key;
+    renderComparisonView();
+  });
+  populateComparisonOptions();
+}
+
+const CURRENT_FORM_DIFF_ID = 'current';
+
+function populateDiffOptions() {
+  const presetSel = document.getElementById('param-model-select');
+  const fromSel = document.getElementById('diff-from');
+  const toSel = document.getElementById('diff-to');
+  if (!presetSel || !fromSel || !toSel) return;
+  const options = [
+    [CURRENT_FORM_DIFF_ID, 'Current form'],
+    ...Array.from(presetSel.options)
+      .filter(option => option.value !== 'custom')
+      .map(option => [option.value, option.textContent]),
+  ];
+  [fromSel, toSel].forEach((select, i) => {
+    const previous = select.value;
+    select.innerHTML = '';
+    options.forEach(([value, label]) => select.appendChild(new Option(label, value)));
+    const fallback = options[Math.min(i, options.length - 1)][0];
+    select.value = options.some(([value]) => value === previous) ? previous : fallback;
+  });
+  renderDiffView();
+}
+
+function diffEntryFor(id) {
+  return id === CURRENT_FORM_DIFF_ID ? formStateFromInput(getFormData()) : getPresetEntry(id);
+}
+
+function renderDiffView() {
+  const fromSel = document.getElementById('diff-from');
+  const toSel = document.getElementById('diff-to');
+  const box = document.getElementById('arch-diff');
+  if (!fromSel || !toSel || !box || !fromSel.value || !toSel.value) return;
+  try {
+    box.innerHTML = renderArchitectureDiff(computeArchitectureDiff(diffEntryFor(fromSel.value), diffEntryFor(toSel.value)));
+  } catch (err) {
+    box.innerHTML = `<div class="info-text">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function bindDiffActions() {
+  document.getElementById('diff-from')?.addEventListener('change', renderDiffView);
+  document.getElementById('diff-to')?.addEventListener('change', renderDiffView);
+  populateDiffOptions();
+}
+
+async function prefillParamModel(model) {
+  applyFieldInputData(createEmptyInput(), setFieldValue, setFieldChecked);
   clearSplitOnlyFields();
-  const applied = await applyPresetModel(model, setVal, setChecked);
+  const applied = await applyPresetModel(model, setFieldValue, setFieldChecked);
   if (!applied) return;
   updateSharedState();
 
@@ -866,8 +1400,17 @@ if (typeof document !== 'undefined') {
       'dense_ssm_attention_layers',
       'moe_attention_layers',
       'moe_ssm_attention_layers',
+      'layer_schedule',
     ]);
 
+    document.getElementById('send-to-speed-btn')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      const input = getFormData();
+      const presetSel = document.getElementById('param-model-select');
+      const model = presetSel && presetSel.value !== 'custom' ? presetSel.value : null;
+      window.location.href = buildSpeedCalculatorUrl(computeSpeedHandoff(input, computeResults(input), model));
+    });
+
     form?.addEventListener('submit', (e) => {
       e.preventDefault();
       calculateAndRender({ scroll: true });
@@ -889,6 +1432,15 @@ if (typeof document !== 'undefined') {
       });
     });
 
+    document.getElementById('convert-to-schedule-btn')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      applyFieldInputData(scheduleFromBuckets(getFormData()), setFieldValue, setFieldChecked);
+      updateSharedState();
+      updateComputedTotalLayers();
+      expandLayerTensorSections();
+      calculateAndRender({ scroll: false });
+    });
+
     const chk = document.getElementById('has_shared_expert');
     chk?.addEventListener('change', () => {
       updateSharedState();
@@ -898,11 +1450,38 @@ if (typeof document !== 'undefined') {
     updateComputedTotalLayers();
 
     const presetSel = document.getElementById('param-model-select');
+    populateMyModelsGroup();
+    bindMyModelActions();
+    bindPresetFileActions();
+    bindComparisonActions();
+    bindDiffActions();
+    const letterResultsBox = document.getElementById('letter-results');
+    const toggleTensorLines = (e) => {
+      const row = e.target.closest('tr.tensor-toggle');
+      if (!row) return;
+      if (e.type === 'keydown') {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+      }
+      const code = row.dataset.letter;
+      const open = !expandedLetters.has(code);
+      if (open) expandedLetters.add(code);
+      else expandedLetters.delete(code);
+      row.setAttribute('aria-expanded', String(open));
+      letterResultsBox.querySelectorAll(`tr.tensor-line-row[data-letter="${code}"]`).forEach((lineRow) => {
+        lineRow.hidden = !open;
+      });
+    };
+    letterResultsBox?.addEventListener('click', toggleTensorLines);
+    letterResultsBox?.addEventListener('keydown', toggleTensorLines);
     presetSel?.addEventListener('change', async () => {
+      updateMyModelButtons();
       if (presetSel.value === 'custom') return;
       await prefillParamModel(presetSel.value);
       expandLayerTensorSections();
     });
+
+    restoreFormStateFromHash();
   });
 }
 
@@ -911,11 +1490,32 @@ if (typeof module !== 'undefined' && module.exports) {
     parseDimToken,
     parseShapeGroup,
     sumShapes,
+    sumShapeBytes,
     collectInvalidShapeEntries,
     computeResults,
+    computeSpeedHandoff,
+    buildSpeedCalculatorUrl,
+    formStateFromInput,
+    buildPresetFile,
+    parsePresetFile,
+    loadMyModels,
+    saveMyModels,
+    createMyModel,
+    updateMyModel,
+    renameMyModel,
+    duplicateMyModel,
+    deleteMyModel,
     renderSummary,
+    computeComposition,
+    renderCompositionCharts,
     renderLetterResults,
+    renderLayerSchedule,
+    computeTensorBreakdown,
     renderExplanation,
+    computeComparison,
+    renderComparison,
+    computeArchitectureDiff,
+    renderArchitectureDiff,
     createEmptyInput,
     applyFieldInputData,
     buildPresetInput,
@@ -118,38 +118,38 @@ globalThis.PARAMCALC_PRESETS = {
     "glm-4.7-flash": {
       "Z01": "1",
       "Z03": "46",
-      "Z05": "[154880, 2048]\n[154880, 2048]",
-      "Z06": "[2048]",
-      "Z07": "[2048]\n[2048]\n[768]\n[512]",
-      "Z08": "[768, 2048]\n[5120, 768]\n[576, 2048]\n[8960, 512]\n[2048, 5120]",
-      "Z09": "[10240, 2048]\n[10240, 2048]\n[2048, 10240]",
+      "Z05": "model.embed_tokens.weight: [154880, 2048] BF16\nlm_head.weight: [154880, 2048] BF16",
+      "Z06": "model.norm.weight: [2048] BF16",
+      "Z07": "input_layernorm.weight: [2048] BF16\npost_attention_layernorm.weight: [2048] BF16\nself_attn.q_a_layernorm.weight: [768] BF16\nself_attn.kv_a_layernorm.weight: [512] BF16",
+      "Z08": "self_attn.q_a_proj.weight: [768, 2048] BF16\nself_attn.q_b_proj.weight: [5120, 768] BF16\nself_attn.kv_a_proj_with_mqa.weight: [576, 2048] BF16\nself_attn.kv_b_proj.weight: [8960, 512] BF16\nself_attn.o_proj.weight: [2048, 5120] BF16",
+      "Z09": "mlp.gate_proj.weight: [10240, 2048] BF16\nmlp.up_proj.weight: [10240, 2048] BF16\nmlp.down_proj.weight: [2048, 10240] BF16",
       "Z13": "64",
       "Z14": "4",
       "Z15": "per_layer",
-      "Z16": "[1536, 2048]\n[1536, 2048]\n[2048, 1536]",
-      "Z17": "[768, 2048]\n[5120, 768]\n[576, 2048]\n[8960, 512]\n[2048, 5120]",
-      "Z18": "[2048]\n[2048]\n[768]\n[512]",
-      "Z19": "[64, 2048]\n[64]",
-      "Z20": "[64, 1536, 2048]\n[64, 1536, 2048]\n[64, 2048, 1536]",
+      "Z16": "mlp.shared_experts.gate_proj.weight: [1536, 2048] BF16\nmlp.shared_experts.up_proj.weight: [1536, 2048] BF16\nmlp.shared_experts.down_proj.weight: [2048, 1536] BF16",
+      "Z17": "self_attn.q_a_proj.weight: [768, 2048] BF16\nself_attn.q_b_proj.weight: [5120, 768] BF16\nself_attn.kv_a_proj_with_mqa.weight: [576, 2048] BF16\nself_attn.kv_b_proj.weight: [8960, 512] BF16\nself_attn.o_proj.weight: [2048, 5120] BF16",
+      "Z18": "input_layernorm.weight: [2048] BF16\npost_attention_layernorm.weight: [2048] BF16\nself_attn.q_a_layernorm.weight: [768] BF16\nself_attn.kv_a_layernorm.weight: [512] BF16",
+      "Z19": "mlp.gate.weight: [64, 2048] BF16\nmlp.gate.e_score_correction_bias: [64] F32",
+      "Z20": "mlp.experts.gate_proj.weight: [64, 1536, 2048] BF16\nmlp.experts.up_proj.weight: [64, 1536, 2048] BF16\nmlp.experts.down_proj.weight: [64, 2048, 1536] BF16",
       "Z43": true,
       "Z44": true
     },
     "glm-4.7-flash-mtp": {
       "Z01": "1",
       "Z03": "47",
-      "Z05": "[154880, 2048]\n[154880, 2048]",
-      "Z06": "[2048]\n[154880, 2048]\n[2048, 4096]\n[2048]\n[2048]\n[154880, 2048]\n[2048]",
-      "Z07": "[2048]\n[2048]\n[768]\n[512]",
-      "Z08": "[768, 2048]\n[5120, 768]\n[576, 2048]\n[8960, 512]\n[2048, 5120]",
-      "Z09": "[10240, 2048]\n[10240, 2048]\n[2048, 10240]",
+      "Z05": "model.embed_tokens.weight: [154880, 2048] BF16\nlm_head.weight: [154880, 2048] BF16",
+      "Z06": "model.norm.weight: [2048] BF16\nembed_tokens.weight: [154880, 2048] BF16\neh_proj.weight: [2048, 4096] BF16\nenorm.weight: [2048] BF16\nhnorm.weight: [2048] BF16\nshared_head.head.weight: [154880, 2048] BF16\nshared_head.norm.weight: [2048] BF16",
+      "Z07": "input_layernorm.weight: [2048] BF16\npost_attention_layernorm.weight: [2048] BF16\nself_attn.q_a_layernorm.weight: [768] BF16\nself_attn.kv_a_layernorm.weight: [512] BF16",
+      "Z08": "self_attn.q_a_proj.weight: [768, 2048] BF16\nself_attn.q_b_proj.weight: [5120, 768] BF16\nself_attn.kv_a_proj_with_mqa.weight: [576, 2048] BF16\nself_attn.kv_b_proj.weight: [8960, 512] BF16\nself_attn.o_proj.weight: [2048, 5120] BF16",
+      "Z09": "mlp.gate_proj.weight: [10240, 2048] BF16\nmlp.up_proj.weight: [10240, 2048] BF16\nmlp.down_proj.weight: [2048, 10240] BF16",
       "Z13": "64",
       "Z14": "4",
       "Z15": "per_layer",
-      "Z16": "[1536, 2048]\n[1536, 2048]\n[2048, 1536]",
-      "Z17": "[768, 2048]\n[5120, 768]\n[576, 2048]\n[8960, 512]\n[2048, 5120]",
-      "Z18": "[2048]\n[2048]\n[768]\n[512]",
-      "Z19": "[64, 2048]\n[64]",
-      "Z20": "[64, 1536, 2048]\n[64, 1536, 2048]\n[64, 2048, 1536]",
+      "Z16": "mlp.shared_experts.gate_proj.weight: [1536, 2048] BF16\nmlp.shared_experts.up_proj.weight: [1536, 2048] BF16\nmlp.shared_experts.down_proj.weight: [2048, 1536] BF16",
+      "Z17": "self_attn.q_a_proj.weight: [768, 2048] BF16\nself_attn.q_b_proj.weight: [5120, 768] BF16\nself_attn.kv_a_proj_with_mqa.weight: [576, 2048] BF16\nself_attn.kv_b_proj.weight: [8960, 512] BF16\nself_attn.o_proj.weight: [2048, 5120] BF16",
+      "Z18": "input_layernorm.weight: [2048] BF16\npost_attention_layernorm.weight: [2048] BF16\nself_attn.q_a_layernorm.weight: [768] BF16\nself_attn.kv_a_layernorm.weight: [512] BF16",
+      "Z19": "mlp.gate.weight: [64, 2048] BF16\nmlp.gate.e_score_correction_bias: [64] F32",
+      "Z20": "mlp.experts.gate_proj.weight: [64, 1536, 2048] BF16\nmlp.experts.up_proj.weight: [64, 1536, 2048] BF16\nmlp.experts.down_proj.weight: [64, 2048, 1536] BF16",
       "Z43": true,
       "Z44": true
     },
@@ -231,28 +231,28 @@ globalThis.PARAMCALC_PRESETS = {
     },
     "gpt-oss-120b": {
       "Z03": "36",
-      "Z05": "[201088, 2880]\n[201088, 2880]",
-      "Z06": "[2880]",
+      "Z05": "model.embed_tokens.weight: [201088, 2880] BF16\nlm_head.weight: [201088, 2880] BF16",
+      "Z06": "model.norm.weight: [2880] BF16",
       "Z13": "128",
       "Z14": "4",
       "Z15": "per_layer",
-      "Z17": "[4096, 2880]\n[4096]\n[512, 2880]\n[512]\n[512, 2880]\n[512]\n[2880, 4096]\n[2880]\n[64]",
-      "Z18": "[2880]\n[2880]",
-      "Z19": "[128, 2880]\n[128]",
-      "Z20": "[128, 5760, 2880]\n[128, 2880, 2880]\n[128, 5760]\n[128, 2880]",
+      "Z17": "self_attn.q_proj.weight: [4096, 2880] BF16\nself_attn.q_proj.bias: [4096] BF16\nself_attn.k_proj.weight: [512, 2880] BF16\nself_attn.k_proj.bias: [512] BF16\nself_attn.v_proj.weight: [512, 2880] BF16\nself_attn.v_proj.bias: [512] BF16\nself_attn.o_proj.weight: [2880, 4096] BF16\nself_attn.o_proj.bias: [2880] BF16\nself_attn.sinks: [64] BF16",
+      "Z18": "input_layernorm.weight: [2880] BF16\npost_attention_layernorm.weight: [2880] BF16",
+      "Z19": "mlp.router.weight: [128, 2880] BF16\nmlp.router.bias: [128] BF16",
+      "Z20": "mlp.experts.gate_up_proj: [128, 5760, 2880] MXFP4\nmlp.experts.down_proj: [128, 2880, 2880] MXFP4\nmlp.experts.gate_up_proj_bias: [128, 5760] BF16\nmlp.experts.down_proj_bias: [128, 2880] BF16",
       "Z44": true
     },
     "gpt-oss-20b": {
       "Z03": "24",
-      "Z05": "[201088, 2880]\n[201088, 2880]",
-      "Z06": "[2880]",
+      "Z05": "model.embed_tokens.weight: [201088, 2880] BF16\nlm_head.weight: [201088, 2880] BF16",
+      "Z06": "model.norm.weight: [2880] BF16",
       "Z13": "32",
       "Z14": "4",
       "Z15": "per_layer",
-      "Z17": "[4096, 2880]\n[4096]\n[512, 2880]\n[512]\n[512, 2880]\n[512]\n[2880, 4096]\n[2880]\n[64]",
-      "Z18": "[2880]\n[2880]",
-      "Z19": "[32, 2880]\n[32]",
-      "Z20": "[32, 5760, 2880]\n[32, 2880, 2880]\n[32, 5760]\n[32, 2880]",
+      "Z17": "self_attn.q_proj.weight: [4096, 2880] BF16\nself_attn.q_proj.bias: [4096] BF16\nself_attn.k_proj.weight: [512, 2880] BF16\nself_attn.k_proj.bias: [512] BF16\nself_attn.v_proj.weight: [512, 2880] BF16\nself_attn.v_proj.bias: [512] BF16\nself_attn.o_proj.weight: [2880, 4096] BF16\nself_attn.o_proj.bias: [2880] BF16\nself_attn.sinks: [64] BF16",
+      "Z18": "input_layernorm.weight: [2880] BF16\npost_attention_layernorm.weight: [2880] BF16",
+      "Z19": "mlp.router.weight: [32, 2880] BF16\nmlp.router.bias: [32] BF16",
+      "Z20": "mlp.experts.gate_up_proj: [32, 5760, 2880] MXFP4\nmlp.experts.down_proj: [32, 2880, 2880] MXFP4\nmlp.experts.gate_up_proj_bias: [32, 5760] BF16\nmlp.experts.down_proj_bias: [32, 2880] BF16",
       "Z44": true
     },
     "kimi-k2": {
@@ -289,16 +289,16 @@ globalThis.PARAMCALC_PRESETS = {
     },
     "mistral-small-4-119b-2603": {
       "Z03": "36",
-      "Z05": "[131072, 4096]\n[131072, 4096]",
-      "Z06": "[4096]\n[428472320]",
+      "Z05": "language_model.model.embed_tokens.weight: [131072, 4096] BF16\nlanguage_model.lm_head.weight: [131072, 4096] BF16",
+      "Z06": "language_model.model.norm.weight: [4096] BF16\nmulti_modal_projector.* + vision_tower.*: [428472320] BF16",
       "Z13": "128",
       "Z14": "4",
       "Z15": "per_layer",
-      "Z16": "[1]\n[2048, 4096]\n[1]\n[1]\n[2048, 4096]\n[1]\n[1]\n[4096, 2048]\n[1]",
-      "Z17": "[1]\n[1024, 4096]\n[1]\n[1]\n[4096, 1024]\n[1]\n[1]\n[320, 4096]\n[1]\n[1]\n[6144, 256]\n[1]\n[1]\n[4096, 4096]\n[1]",
-      "Z18": "[4096]\n[4096]\n[1024]\n[256]",
-      "Z19": "[128, 4096]",
-      "Z20": "[128, 4096, 4096]\n[128]\n[128, 1, 1]\n[128, 4096, 2048]\n[128]\n[128, 1, 1]",
+      "Z16": "mlp.shared_experts.gate_proj.activation_scale: [1] BF16\nmlp.shared_experts.gate_proj.weight: [2048, 4096] F8_E4M3\nmlp.shared_experts.gate_proj.weight_scale_inv: [1] BF16\nmlp.shared_experts.up_proj.activation_scale: [1] BF16\nmlp.shared_experts.up_proj.weight: [2048, 4096] F8_E4M3\nmlp.shared_experts.up_proj.weight_scale_inv: [1] BF16\nmlp.shared_experts.down_proj.activation_scale: [1] BF16\nmlp.shared_experts.down_proj.weight: [4096, 2048] F8_E4M3\nmlp.shared_experts.down_proj.weight_scale_inv: [1] BF16",
+      "Z17": "self_attn.q_a_proj.activation_scale: [1] BF16\nself_attn.q_a_proj.weight: [1024, 4096] F8_E4M3\nself_attn.q_a_proj.weight_scale_inv: [1] BF16\nself_attn.q_b_proj.activation_scale: [1] BF16\nself_attn.q_b_proj.weight: [4096, 1024] F8_E4M3\nself_attn.q_b_proj.weight_scale_inv: [1] BF16\nself_attn.kv_a_proj_with_mqa.activation_scale: [1] BF16\nself_attn.kv_a_proj_with_mqa.weight: [320, 4096] F8_E4M3\nself_attn.kv_a_proj_with_mqa.weight_scale_inv: [1] BF16\nself_attn.kv_b_proj.activation_scale: [1] BF16\nself_attn.kv_b_proj.weight: [6144, 256] F8_E4M3\nself_attn.kv_b_proj.weight_scale_inv: [1] BF16\nself_attn.o_proj.activation_scale: [1] BF16\nself_attn.o_proj.weight: [4096, 4096] F8_E4M3\nself_attn.o_proj.weight_scale_inv: [1] BF16",
+      "Z18": "input_layernorm.weight: [4096] BF16\npost_attention_layernorm.weight: [4096] BF16\nself_attn.q_a_layernorm.weight: [1024] BF16\nself_attn.kv_a_layernorm.weight: [256] BF16",
+      "Z19": "mlp.gate.weight: [128, 4096] BF16",
+      "Z20": "mlp.experts.gate_up_proj: [128, 4096, 4096] F8_E4M3\nmlp.experts.gate_up_proj_activation_scale: [128] BF16\nmlp.experts.gate_up_proj_scale_inv: [128, 1, 1] BF16\nmlp.experts.down_proj: [128, 4096, 2048] F8_E4M3\nmlp.experts.down_proj_activation_scale: [128] BF16\nmlp.experts.down_proj_scale_inv: [128, 1, 1] BF16",
       "Z43": true,
       "Z44": true
     },
@@ -411,184 +411,434 @@ globalThis.PARAMCALC_PRESETS = {
     "qwen3.5-122b-a10b": {
       "Z03": "12",
       "Z04": "36",
-      "Z05": "[248320, 3072]\n[248320, 3072]",
-      "Z06": "[3072]\n[451290864]",
+      "Z05": "model.language_model.embed_tokens.weight: [248320, 3072] BF16\nlm_head.weight: [248320, 3072] BF16",
+      "Z06": "model.language_model.norm.weight: [3072] BF16\nmodel.visual.*: [451290864] BF16",
       "Z13": "256",
       "Z14": "8",
       "Z15": "per_layer",
-      "Z16": "[1024, 3072]\n[1024, 3072]\n[3072, 1024]",
-      "Z17": "[16384, 3072]\n[512, 3072]\n[512, 3072]\n[3072, 8192]",
-      "Z18": "[3072]\n[3072]\n[256]\n[256]",
-      "Z19": "[256, 3072]\n[1, 3072]",
-      "Z20": "[256, 2048, 3072]\n[256, 3072, 1024]",
-      "Z21": "[12288, 3072]\n[64, 3072]\n[64, 3072]\n[8192, 3072]\n[3072, 8192]\n[12288, 1, 4]",
-      "Z22": "[3072]\n[3072]\n[128]\n[64]\n[64]",
-      "Z23": "[256, 3072]\n[1, 3072]",
-      "Z24": "[256, 2048, 3072]\n[256, 3072, 1024]",
+      "Z16": "mlp.shared_expert.gate_proj.weight: [1024, 3072] BF16\nmlp.shared_expert.up_proj.weight: [1024, 3072] BF16\nmlp.shared_expert.down_proj.weight: [3072, 1024] BF16",
+      "Z17": "self_attn.q_proj.weight: [16384, 3072] BF16\nself_attn.k_proj.weight: [512, 3072] BF16\nself_attn.v_proj.weight: [512, 3072] BF16\nself_attn.o_proj.weight: [3072, 8192] BF16",
+      "Z18": "input_layernorm.weight: [3072] BF16\npost_attention_layernorm.weight: [3072] BF16\nself_attn.q_norm.weight: [256] BF16\nself_attn.k_norm.weight: [256] BF16",
+      "Z19": "mlp.gate.weight: [256, 3072] BF16\nmlp.shared_expert_gate.weight: [1, 3072] BF16",
+      "Z20": "mlp.experts.gate_up_proj: [256, 2048, 3072] BF16\nmlp.experts.down_proj: [256, 3072, 1024] BF16",
+      "Z21": "linear_attn.in_proj_qkv.weight: [12288, 3072] BF16\nlinear_attn.in_proj_a.weight: [64, 3072] BF16\nlinear_attn.in_proj_b.weight: [64, 3072] BF16\nlinear_attn.in_proj_z.weight: [8192, 3072] BF16\nlinear_attn.out_proj.weight: [3072, 8192] BF16\nlinear_attn.conv1d.weight: [12288, 1, 4] BF16",
+      "Z22": "input_layernorm.weight: [3072] BF16\npost_attention_layernorm.weight: [3072] BF16\nlinear_attn.norm.weight: [128] F32\nlinear_attn.A_log: [64] F32\nlinear_attn.dt_bias: [64] BF16",
+      "Z23": "mlp.gate.weight: [256, 3072] BF16\nmlp.shared_expert_gate.weight: [1, 3072] BF16",
+      "Z24": "mlp.experts.gate_up_proj: [256, 2048, 3072] BF16\nmlp.experts.down_proj: [256, 3072, 1024] BF16",
       "Z43": true,
       "Z44": true
     },
     "qwen3.5-122b-a10b-mtp": {
       "Z03": "13",
       "Z04": "36",
-      "Z05": "[248320, 3072]\n[248320, 3072]",
-      "Z06": "[3072]\n[451290864]\n[3072, 6144]\n[3072]\n[3072]\n[3072]",
+      "Z05": "model.language_model.embed_tokens.weight: [248320, 3072] BF16\nlm_head.weight: [248320, 3072] BF16",
+      "Z06": "model.language_model.norm.weight: [3072] BF16\nmodel.visual.*: [451290864] BF16\nmtp.fc.weight: [3072, 6144] BF16\nmtp.pre_fc_norm_embedding.weight: [3072] BF16\nmtp.pre_fc_norm_hidden.weight: [3072] BF16\nmtp.norm.weight: [3072] BF16",
       "Z13": "256",
       "Z14": "8",
       "Z15": "per_layer",
-      "Z16": "[1024, 3072]\n[1024, 3072]\n[3072, 1024]",
-      "Z17": "[16384, 3072]\n[512, 3072]\n[512, 3072]\n[3072, 8192]",
-      "Z18": "[3072]\n[3072]\n[256]\n[256]",
-      "Z19": "[256, 3072]\n[1, 3072]",
-      "Z20": "[256, 2048, 3072]\n[256, 3072, 1024]",
-      "Z21": "[12288, 3072]\n[64, 3072]\n[64, 3072]\n[8192, 3072]\n[3072, 8192]\n[12288, 1, 4]",
-      "Z22": "[3072]\n[3072]\n[128]\n[64]\n[64]",
-      "Z23": "[256, 3072]\n[1, 3072]",
-      "Z24": "[256, 2048, 3072]\n[256, 3072, 1024]",
+      "Z16": "mlp.shared_expert.gate_proj.weight: [1024, 3072] BF16\nmlp.shared_expert.up_proj.weight: [1024, 3072] BF16\nmlp.shared_expert.down_proj.weight: [3072, 1024] BF16",
+      "Z17": "self_attn.q_proj.weight: [16384, 3072] BF16\nself_attn.k_proj.weight: [512, 3072] BF16\nself_attn.v_proj.weight: [512, 3072] BF16\nself_attn.o_proj.weight: [3072, 8192] BF16",
+      "Z18": "input_layernorm.weight: [3072] BF16\npost_attention_layernorm.weight: [3072] BF16\nself_attn.q_norm.weight: [256] BF16\nself_attn.k_norm.weight: [256] BF16",
+      "Z19": "mlp.gate.weight: [256, 3072] BF16\nmlp.shared_expert_gate.weight: [1, 3072] BF16",
+      "Z20": "mlp.experts.gate_up_proj: [256, 2048, 3072] BF16\nmlp.experts.down_proj: [256, 3072, 1024] BF16",
+      "Z21": "linear_attn.in_proj_qkv.weight: [12288, 3072] BF16\nlinear_attn.in_proj_a.weight: [64, 3072] BF16\nlinear_attn.in_proj_b.weight: [64, 3072] BF16\nlinear_attn.in_proj_z.weight: [8192, 3072] BF16\nlinear_attn.out_proj.weight: [3072, 8192] BF16\nlinear_attn.conv1d.weight: [12288, 1, 4] BF16",
+      "Z22": "input_layernorm.weight: [3072] BF16\npost_attention_layernorm.weight: [3072] BF16\nlinear_attn.norm.weight: [128] F32\nlinear_attn.A_log: [64] F32\nlinear_attn.dt_bias: [64] BF16",
+      "Z23": "mlp.gate.weight: [256, 3072] BF16\nmlp.shared_expert_gate.weight: [1, 3072] BF16",
+      "Z24": "mlp.experts.gate_up_proj: [256, 2048, 3072] BF16\nmlp.experts.down_proj: [256, 3072, 1024] BF16",
       "Z43": true,
       "Z44": true
     },
     "qwen3.5-27b": {
       "Z01": "16",
       "Z02": "48",
-      "Z05": "[248320, 5120]\n[248320, 5120]",
-      "Z06": "[5120]\n[460730096]",
-      "Z07": "[5120]\n[5120]\n[256]\n[256]",
-      "Z08": "[12288, 5120]\n[1024, 5120]\n[1024, 5120]\n[5120, 6144]",
-      "Z09": "[17408, 5120]\n[17408, 5120]\n[5120, 17408]",
-      "Z10": "[5120]\n[5120]\n[128]\n[48]\n[48]",
-      "Z11": "[10240, 5120]\n[6144, 5120]\n[5120, 6144]\n[10240, 1, 4]\n[48, 5120]\n[48, 5120]",
-      "Z12": "[17408, 5120]\n[17408, 5120]\n[5120, 17408]"
+      "Z05": "model.language_model.embed_tokens.weight: [248320, 5120] BF16\nlm_head.weight: [248320, 5120] BF16",
+      "Z06": "model.language_model.norm.weight: [5120] BF16\nmodel.visual.*: [460730096] BF16",
+      "Z07": "input_layernorm.weight: [5120] BF16\npost_attention_layernorm.weight: [5120] BF16\nself_attn.q_norm.weight: [256] BF16\nself_attn.k_norm.weight: [256] BF16",
+      "Z08": "self_attn.q_proj.weight: [12288, 5120] BF16\nself_attn.k_proj.weight: [1024, 5120] BF16\nself_attn.v_proj.weight: [1024, 5120] BF16\nself_attn.o_proj.weight: [5120, 6144] BF16",
+      "Z09": "mlp.gate_proj.weight: [17408, 5120] BF16\nmlp.up_proj.weight: [17408, 5120] BF16\nmlp.down_proj.weight: [5120, 17408] BF16",
+      "Z10": "input_layernorm.weight: [5120] BF16\npost_attention_layernorm.weight: [5120] BF16\nlinear_attn.norm.weight: [128] F32\nlinear_attn.A_log: [48] F32\nlinear_attn.dt_bias: [48] BF16",
+      "Z11": "linear_attn.in_proj_qkv.weight: [10240, 5120] BF16\nlinear_attn.in_proj_z.weight: [6144, 5120] BF16\nlinear_attn.out_proj.weight: [5120, 6144] BF16\nlinear_attn.conv1d.weight: [10240, 1, 4] BF16\nlinear_attn.in_proj_a.weight: [48, 5120] BF16\nlinear_attn.in_proj_b.weight: [48, 5120] BF16",
+      "Z12": "mlp.gate_proj.weight: [17408, 5120] BF16\nmlp.up_proj.weight: [17408, 5120] BF16\nmlp.down_proj.weight: [5120, 17408] BF16"
     },
     "qwen3.5-27b-mtp": {
       "Z01": "17",
       "Z02": "48",
-      "Z05": "[248320, 5120]\n[248320, 5120]",
-      "Z06": "[5120]\n[460730096]\n[5120, 10240]\n[5120]\n[5120]\n[5120]",
-      "Z07": "[5120]\n[5120]\n[256]\n[256]",
-      "Z08": "[12288, 5120]\n[1024, 5120]\n[1024, 5120]\n[5120, 6144]",
-      "Z09": "[17408, 5120]\n[17408, 5120]\n[5120, 17408]",
-      "Z10": "[5120]\n[5120]\n[128]\n[48]\n[48]",
-      "Z11": "[10240, 5120]\n[6144, 5120]\n[5120, 6144]\n[10240, 1, 4]\n[48, 5120]\n[48, 5120]",
-      "Z12": "[17408, 5120]\n[17408, 5120]\n[5120, 17408]"
+      "Z05": "model.language_model.embed_tokens.weight: [248320, 5120] BF16\nlm_head.weight: [248320, 5120] BF16",
+      "Z06": "model.language_model.norm.weight: [5120] BF16\nmodel.visual.*: [460730096] BF16\nmtp.fc.weight: [5120, 10240] BF16\nmtp.pre_fc_norm_embedding.weight: [5120] BF16\nmtp.pre_fc_norm_hidden.weight: [5120] BF16\nmtp.norm.weight: [5120] BF16",
+      "Z07": "input_layernorm.weight: [5120] BF16\npost_attention_layernorm.weight: [5120] BF16\nself_attn.q_norm.weight: [256] BF16\nself_attn.k_norm.weight: [256] BF16",
+      "Z08": "self_attn.q_proj.weight: [12288, 5120] BF16\nself_attn.k_proj.weight: [1024, 5120] BF16\nself_attn.v_proj.weight: [1024, 5120] BF16\nself_attn.o_proj.weight: [5120, 6144] BF16",
+      "Z09": "mlp.gate_proj.weight: [17408, 5120] BF16\nmlp.up_proj.weight: [17408, 5120] BF16\nmlp.down_proj.weight: [5120, 17408] BF16",
+      "Z10": "input_layernorm.weight: [5120] BF16\npost_attention_layernorm.weight: [5120] BF16\nlinear_attn.norm.weight: [128] F32\nlinear_attn.A_log: [48] F32\nlinear_attn.dt_bias: [48] BF16",
+      "Z11": "linear_attn.in_proj_qkv.weight: [10240, 5120] BF16\nlinear_attn.in_proj_z.weight: [6144, 5120] BF16\nlinear_attn.out_proj.weight: [5120, 6144] BF16\nlinear_attn.conv1d.weight: [10240, 1, 4] BF16\nlinear_attn.in_proj_a.weight: [48, 5120] BF16\nlinear_attn.in_proj_b.weight: [48, 5120] BF16",
+      "Z12": "mlp.gate_proj.weight: [17408, 5120] BF16\nmlp.up_proj.weight: [17408, 5120] BF16\nmlp.down_proj.weight: [5120, 17408] BF16"
     },
     "qwen3.5-35b-a3b": {
       "Z03": "10",
       "Z04": "30",
-      "Z05": "[248320, 2048]\n[248320, 2048]",
-      "Z06": "[2048]\n[446571248]",
+      "Z05": "model.language_model.embed_tokens.weight: [248320, 2048] BF16\nlm_head.weight: [248320, 2048] BF16",
+      "Z06": "model.language_model.norm.weight: [2048] BF16\nmodel.visual.*: [446571248] BF16",
       "Z13": "256",
       "Z14": "8",
       "Z15": "per_layer",
-      "Z16": "[512, 2048]\n[512, 2048]\n[2048, 512]",
-      "Z17": "[8192, 2048]\n[512, 2048]\n[512, 2048]\n[2048, 4096]",
-      "Z18": "[2048]\n[2048]\n[256]\n[256]",
-      "Z19": "[256, 2048]\n[1, 2048]",
-      "Z20": "[256, 1024, 2048]\n[256, 2048, 512]",
-      "Z21": "[8192, 2048]\n[32, 2048]\n[32, 2048]\n[4096, 2048]\n[2048, 4096]\n[8192, 1, 4]",
-      "Z22": "[2048]\n[2048]\n[128]\n[32]\n[32]",
-      "Z23": "[256, 2048]\n[1, 2048]",
-      "Z24": "[256, 1024, 2048]\n[256, 2048, 512]",
+      "Z16": "mlp.shared_expert.gate_proj.weight: [512, 2048] BF16\nmlp.shared_expert.up_proj.weight: [512, 2048] BF16\nmlp.shared_expert.down_proj.weight: [2048, 512] BF16",
+      "Z17": "self_attn.q_proj.weight: [8192, 2048] BF16\nself_attn.k_proj.weight: [512, 2048] BF16\nself_attn.v_proj.weight: [512, 2048] BF16\nself_attn.o_proj.weight: [2048, 4096] BF16",
+      "Z18": "input_layernorm.weight: [2048] BF16\npost_attention_layernorm.weight: [2048] BF16\nself_attn.q_norm.weight: [256] BF16\nself_attn.k_norm.weight: [256] BF16",
+      "Z19": "mlp.gate.weight: [256, 2048] BF16\nmlp.shared_expert_gate.weight: [1, 2048] BF16",
+      "Z20": "mlp.experts.gate_up_proj: [256, 1024, 2048] BF16\nmlp.experts.down_proj: [256, 2048, 512] BF16",
+      "Z21": "linear_attn.in_proj_qkv.weight: [8192, 2048] BF16\nlinear_attn.in_proj_a.weight: [32, 2048] BF16\nlinear_attn.in_proj_b.weight: [32, 2048] BF16\nlinear_attn.in_proj_z.weight: [4096, 2048] BF16\nlinear_attn.out_proj.weight: [2048, 4096] BF16\nlinear_attn.conv1d.weight: [8192, 1, 4] BF16",
+      "Z22": "input_layernorm.weight: [2048] BF16\npost_attention_layernorm.weight: [2048] BF16\nlinear_attn.norm.weight: [128] F32\nlinear_attn.A_log: [32] F32\nlinear_attn.dt_bias: [32] BF16",
+      "Z23": "mlp.gate.weight: [256, 2048] BF16\nmlp.shared_expert_gate.weight: [1, 2048] BF16",
+      "Z24": "mlp.experts.gate_up_proj: [256, 1024, 2048] BF16\nmlp.experts.down_proj: [256, 2048, 512] BF16",
       "Z43": true,
       "Z44": true
     },
     "qwen3.5-35b-a3b-mtp": {
       "Z03": "11",
       "Z04": "30",
-      "Z05": "[248320, 2048]\n[248320, 2048]",
-      "Z06": "[2048]\n[446571248]\n[2048, 4096]\n[2048]\n[2048]\n[2048]",
+      "Z05": "model.language_model.embed_tokens.weight: [248320, 2048] BF16\nlm_head.weight: [248320, 2048] BF16",
+      "Z06": "model.language_model.norm.weight: [2048] BF16\nmodel.visual.*: [446571248] BF16\nmtp.fc.weight: [2048, 4096] BF16\nmtp.pre_fc_norm_embedding.weight: [2048] BF16\nmtp.pre_fc_norm_hidden.weight: [2048] BF16\nmtp.norm.weight: [2048] BF16",
       "Z13": "256",
       "Z14": "8",
       "Z15": "per_layer",
-      "Z16": "[512, 2048]\n[512, 2048]\n[2048, 512]",
-      "Z17": "[8192, 2048]\n[512, 2048]\n[512, 2048]\n[2048, 4096]",
-      "Z18": "[2048]\n[2048]\n[256]\n[256]",
-      "Z19": "[256, 2048]\n[1, 2048]",
-      "Z20": "[256, 1024, 2048]\n[256, 2048, 512]",
-      "Z21": "[8192, 2048]\n[32, 2048]\n[32, 2048]\n[4096, 2048]\n[2048, 4096]\n[8192, 1, 4]",
-      "Z22": "[2048]\n[2048]\n[128]\n[32]\n[32]",
-      "Z23": "[256, 2048]\n[1, 2048]",
-      "Z24": "[256, 1024, 2048]\n[256, 2048, 512]",
+      "Z16": "mlp.shared_expert.gate_proj.weight: [512, 2048] BF16\nmlp.shared_expert.up_proj.weight: [512, 2048] BF16\nmlp.shared_expert.down_proj.weight: [2048, 512] BF16",
+      "Z17": "self_attn.q_proj.weight: [8192, 2048] BF16\nself_attn.k_proj.weight: [512, 2048] BF16\nself_attn.v_proj.weight: [512, 2048] BF16\nself_attn.o_proj.weight: [2048, 4096] BF16",
+      "Z18": "input_layernorm.weight: [2048] BF16\npost_attention_layernorm.weight: [2048] BF16\nself_attn.q_norm.weight: [256] BF16\nself_attn.k_norm.weight: [256] BF16",
+      "Z19": "mlp.gate.weight: [256, 2048] BF16\nmlp.shared_expert_gate.weight: [1, 2048] BF16",
+      "Z20": "mlp.experts.gate_up_proj: [256, 1024, 2048] BF16\nmlp.experts.down_proj: [256, 2048, 512] BF16",
+      "Z21": "linear_attn.in_proj_qkv.weight: [8192, 2048] BF16\nlinear_attn.in_proj_a.weight: [32, 2048] BF16\nlinear_attn.in_proj_b.weight: [32, 2048] BF16\nlinear_attn.in_proj_z.weight: [4096, 2048] BF16\nlinear_attn.out_proj.weight: [2048, 4096] BF16\nlinear_attn.conv1d.weight: [8192, 1, 4] BF16",
+      "Z22": "input_layernorm.weight: [2048] BF16\npost_attention_layernorm.weight: [2048] BF16\nlinear_attn.norm.weight: [128] F32\nlinear_attn.A_log: [32] F32\nlinear_attn.dt_bias: [32] BF16",
+      "Z23": "mlp.gate.weight: [256, 2048] BF16\nmlp.shared_expert_gate.weight: [1, 2048] BF16",
+      "Z24": "mlp.experts.gate_up_proj: [256, 1024, 2048] BF16\nmlp.experts.down_proj: [256, 2048, 512] BF16",
       "Z43": true,
       "Z44": true
     },
     "qwen3.5-397b-a17b": {
       "Z03": "15",
       "Z04": "45",
-      "Z05": "[248320, 4096]\n[248320, 4096]",
-      "Z06": "[4096]\n[456010480]",
+      "Z05": "model.language_model.embed_tokens.weight: [248320, 4096] BF16\nlm_head.weight: [248320, 4096] BF16",
+      "Z06": "model.language_model.norm.weight: [4096] BF16\nmodel.visual.*: [456010480] BF16",
       "Z13": "512",
       "Z14": "10",
       "Z15": "per_layer",
-      "Z16": "[1024, 4096]\n[1024, 4096]\n[4096, 1024]",
-      "Z17": "[16384, 4096]\n[512, 4096]\n[512, 4096]\n[4096, 8192]",
-      "Z18": "[4096]\n[4096]\n[256]\n[256]",
-      "Z19": "[512, 4096]\n[1, 4096]",
-      "Z20": "[512, 2048, 4096]\n[512, 4096, 1024]",
-      "Z21": "[12288, 4096]\n[64, 4096]\n[64, 4096]\n[8192, 4096]\n[4096, 8192]\n[12288, 1, 4]",
-      "Z22": "[4096]\n[4096]\n[128]\n[64]\n[64]",
-      "Z23": "[512, 4096]\n[1, 4096]",
-      "Z24": "[512, 2048, 4096]\n[512, 4096, 1024]",
+      "Z16": "mlp.shared_expert.gate_proj.weight: [1024, 4096] BF16\nmlp.shared_expert.up_proj.weight: [1024, 4096] BF16\nmlp.shared_expert.down_proj.weight: [4096, 1024] BF16",
+      "Z17": "self_attn.q_proj.weight: [16384, 4096] BF16\nself_attn.k_proj.weight: [512, 4096] BF16\nself_attn.v_proj.weight: [512, 4096] BF16\nself_attn.o_proj.weight: [4096, 8192] BF16",
+      "Z18": "input_layernorm.weight: [4096] BF16\npost_attention_layernorm.weight: [4096] BF16\nself_attn.q_norm.weight: [256] BF16\nself_attn.k_norm.weight: [256] BF16",
+      "Z19": "mlp.gate.weight: [512, 4096] BF16\nmlp.shared_expert_gate.weight: [1, 4096] BF16",
+      "Z20": "mlp.experts.gate_up_proj: [512, 2048, 4096] BF16\nmlp.experts.down_proj: [512, 4096, 1024] BF16",
+      "Z21": "linear_attn.in_proj_qkv.weight: [12288, 4096] BF16\nlinear_attn.in_proj_a.weight: [64, 4096] BF16\nlinear_attn.in_proj_b.weight: [64, 4096] BF16\nlinear_attn.in_proj_z.weight: [8192, 4096] BF16\nlinear_attn.out_proj.weight: [4096, 8192] BF16\nlinear_attn.conv1d.weight: [12288, 1, 4] BF16",
+      "Z22": "input_layernorm.weight: [4096] BF16\npost_attention_layernorm.weight: [4096] BF16\nlinear_attn.norm.weight: [128] F32\nlinear_attn.A_log: [64] F32\nlinear_attn.dt_bias: [64] BF16",
+      "Z23": "mlp.gate.weight: [512, 4096] BF16\nmlp.shared_expert_gate.weight: [1, 4096] BF16",
+      "Z24": "mlp.experts.gate_up_proj: [512, 2048, 4096] BF16\nmlp.experts.down_proj: [512, 4096, 1024] BF16",
       "Z43": true,
       "Z44": true
     },
     "qwen3.5-397b-a17b-mtp": {
       "Z03": "16",
       "Z04": "45",
-      "Z05": "[248320, 4096]\n[248320, 4096]",
-      "Z06": "[4096]\n[456010480]\n[4096, 8192]\n[4096]\n[4096]\n[4096]",
+      "Z05": "model.language_model.embed_tokens.weight: [248320, 4096] BF16\nlm_head.weight: [248320, 4096] BF16",
+      "Z06": "model.language_model.norm.weight: [4096] BF16\nmodel.visual.*: [456010480] BF16\nmtp.fc.weight: [4096, 8192] BF16\nmtp.pre_fc_norm_embedding.weight: [4096] BF16\nmtp.pre_fc_norm_hidden.weight: [4096] BF16\nmtp.norm.weight: [4096] BF16",
       "Z13": "512",
       "Z14": "10",
       "Z15": "per_layer",
-      "Z16": "[1024, 4096]\n[1024, 4096]\n[4096, 1024]",
-      "Z17": "[16384, 4096]\n[512, 4096]\n[512, 4096]\n[4096, 8192]",
-      "Z18": "[4096]\n[4096]\n[256]\n[256]",
-      "Z19": "[512, 4096]\n[1, 4096]",
-      "Z20": "[512, 2048, 4096]\n[512, 4096, 1024]",
-      "Z21": "[12288, 4096]\n[64, 4096]\n[64, 4096]\n[8192, 4096]\n[4096, 8192]\n[12288, 1, 4]",
-      "Z22": "[4096]\n[4096]\n[128]\n[64]\n[64]",
-      "Z23": "[512, 4096]\n[1, 4096]",
-      "Z24": "[512, 2048, 4096]\n[512, 4096, 1024]",
+      "Z16": "mlp.shared_expert.gate_proj.weight: [1024, 4096] BF16\nmlp.shared_expert.up_proj.weight: [1024, 4096] BF16\nmlp.shared_expert.down_proj.weight: [4096, 1024] BF16",
+      "Z17": "self_attn.q_proj.weight: [16384, 4096] BF16\nself_attn.k_proj.weight: [512, 4096] BF16\nself_attn.v_proj.weight: [512, 4096] BF16\nself_attn.o_proj.weight: [4096, 8192] BF16",
+      "Z18": "input_layernorm.weight: [4096] BF16\npost_attention_layernorm.weight: [4096] BF16\nself_attn.q_norm.weight: [256] BF16\nself_attn.k_norm.weight: [256] BF16",
+      "Z19": "mlp.gate.weight: [512, 4096] BF16\nmlp.shared_expert_gate.weight: [1, 4096] BF16",
+      "Z20": "mlp.experts.gate_up_proj: [512, 2048, 4096] BF16\nmlp.experts.down_proj: [512, 4096, 1024] BF16",
+      "Z21": "linear_attn.in_proj_qkv.weight: [12288, 4096] BF16\nlinear_attn.in_proj_a.weight: [64, 4096] BF16\nlinear_attn.in_proj_b.weight: [64, 4096] BF16\nlinear_attn.in_proj_z.weight: [8192, 4096] BF16\nlinear_attn.out_proj.weight: [4096, 8192] BF16\nlinear_attn.conv1d.weight: [12288, 1, 4] BF16",
+      "Z22": "input_layernorm.weight: [4096] BF16\npost_attention_layernorm.weight: [4096] BF16\nlinear_attn.norm.weight: [128] F32\nlinear_attn.A_log: [64] F32\nlinear_attn.dt_bias: [64] BF16",
+      "Z23": "mlp.gate.weight: [512, 4096] BF16\nmlp.shared_expert_gate.weight: [1, 4096] BF16",
+      "Z24": "mlp.experts.gate_up_proj: [512, 2048, 4096] BF16\nmlp.experts.down_proj: [512, 4096, 1024] BF16",
       "Z43": true,
       "Z44": true
     },
     "step-3.5-flash": {
       "Z01": "3",
       "Z03": "42",
-      "Z05": "[128896, 4096]\n[128896, 4096]",
-      "Z06": "[4096]\n[1010565120]",
-      "Z07": "[4096]\n[4096]\n[128]\n[128]",
-      "Z08": "[12288, 4096]\n[1024, 4096]\n[1024, 4096]\n[4096, 12288]\n[96, 4096]",
-      "Z09": "[11264, 4096]\n[11264, 4096]\n[4096, 11264]",
+      "Z05": "model.embed_tokens.weight: [128896, 4096] BF16\nlm_head.weight: [128896, 4096] BF16",
+      "Z06": "model.norm.weight: [4096] BF16\nself_attn extra heads x30: [1010565120] BF16",
+      "Z07": "input_layernorm.weight: [4096] BF16\npost_attention_layernorm.weight: [4096] BF16\nself_attn.q_norm.weight: [128] BF16\nself_attn.k_norm.weight: [128] BF16",
+      "Z08": "self_attn.q_proj.weight: [12288, 4096] BF16\nself_attn.k_proj.weight: [1024, 4096] BF16\nself_attn.v_proj.weight: [1024, 4096] BF16\nself_attn.o_proj.weight: [4096, 12288] BF16\nself_attn.g_proj.weight: [96, 4096] BF16",
+      "Z09": "mlp.gate_proj.weight: [11264, 4096] BF16\nmlp.up_proj.weight: [11264, 4096] BF16\nmlp.down_proj.weight: [4096, 11264] BF16",
       "Z13": "288",
       "Z14": "8",
       "Z15": "per_layer",
-      "Z16": "[1280, 4096]\n[1280, 4096]\n[4096, 1280]",
-      "Z17": "[8192, 4096]\n[1024, 4096]\n[1024, 4096]\n[4096, 8192]\n[64, 4096]",
-      "Z18": "[4096]\n[4096]\n[128]\n[128]",
-      "Z19": "[288, 4096]\n[288]",
-      "Z20": "[288, 1280, 4096]\n[288, 1280, 4096]\n[288, 4096, 1280]",
+      "Z16": "share_expert.gate_proj.weight: [1280, 4096] BF16\nshare_expert.up_proj.weight: [1280, 4096] BF16\nshare_expert.down_proj.weight: [4096, 1280] BF16",
+      "Z17": "self_attn.q_proj.weight: [8192, 4096] BF16\nself_attn.k_proj.weight: [1024, 4096] BF16\nself_attn.v_proj.weight: [1024, 4096] BF16\nself_attn.o_proj.weight: [4096, 8192] BF16\nself_attn.g_proj.weight: [64, 4096] BF16",
+      "Z18": "input_layernorm.weight: [4096] BF16\npost_attention_layernorm.weight: [4096] BF16\nself_attn.q_norm.weight: [128] BF16\nself_attn.k_norm.weight: [128] BF16",
+      "Z19": "moe.gate.weight: [288, 4096] BF16\nmoe.router_bias: [288] F32",
+      "Z20": "moe.gate_proj.weight: [288, 1280, 4096] BF16\nmoe.up_proj.weight: [288, 1280, 4096] BF16\nmoe.down_proj.weight: [288, 4096, 1280] BF16",
       "Z43": true,
       "Z44": true
     },
     "step-3.5-flash-mtp": {
       "Z01": "6",
       "Z03": "42",
-      "Z05": "[128896, 4096]\n[128896, 4096]",
-      "Z06": "[4096]\n[1010565120]\n[4096, 8192]\n[4096]\n[4096]\n[4096]\n[128896, 4096]\n[4096, 8192]\n[4096]\n[4096]\n[4096]\n[128896, 4096]\n[4096, 8192]\n[4096]\n[4096]\n[4096]\n[128896, 4096]",
-      "Z07": "[4096]\n[4096]\n[128]\n[128]",
-      "Z08": "[12288, 4096]\n[1024, 4096]\n[1024, 4096]\n[4096, 12288]\n[96, 4096]",
-      "Z09": "[11264, 4096]\n[11264, 4096]\n[4096, 11264]",
+      "Z05": "model.embed_tokens.weight: [128896, 4096] BF16\nlm_head.weight: [128896, 4096] BF16",
+      "Z06": "model.norm.weight: [4096] BF16\nself_attn extra heads x30: [1010565120] BF16\neh_proj.weight: [4096, 8192] BF16\nenorm.weight: [4096] BF16\nhnorm.weight: [4096] BF16\ntransformer.shared_head.norm.weight: [4096] BF16\ntransformer.shared_head.output.weight: [128896, 4096] BF16\neh_proj.weight: [4096, 8192] BF16\nenorm.weight: [4096] BF16\nhnorm.weight: [4096] BF16\ntransformer.shared_head.norm.weight: [4096] BF16\ntransformer.shared_head.output.weight: [128896, 4096] BF16\neh_proj.weight: [4096, 8192] BF16\nenorm.weight: [4096] BF16\nhnorm.weight: [4096] BF16\ntransformer.shared_head.norm.weight: [4096] BF16\ntransformer.shared_head.output.weight: [128896, 4096] BF16",
+      "Z07": "input_layernorm.weight: [4096] BF16\npost_attention_layernorm.weight: [4096] BF16\nself_attn.q_norm.weight: [128] BF16\nself_attn.k_norm.weight: [128] BF16",
+      "Z08": "self_attn.q_proj.weight: [12288, 4096] BF16\nself_attn.k_proj.weight: [1024, 4096] BF16\nself_attn.v_proj.weight: [1024, 4096] BF16\nself_attn.o_proj.weight: [4096, 12288] BF16\nself_attn.g_proj.weight: [96, 4096] BF16",
+      "Z09": "mlp.gate_proj.weight: [11264, 4096] BF16\nmlp.up_proj.weight: [11264, 4096] BF16\nmlp.down_proj.weight: [4096, 11264] BF16",
       "Z13": "288",
       "Z14": "8",
       "Z15": "per_layer",
-      "Z16": "[1280, 4096]\n[1280, 4096]\n[4096, 1280]",
-      "Z17": "[8192, 4096]\n[1024, 4096]\n[1024, 4096]\n[4096, 8192]\n[64, 4096]",
-      "Z18": "[4096]\n[4096]\n[128]\n[128]",
-      "Z19": "[288, 4096]\n[288]",
-      "Z20": "[288, 1280, 4096]\n[288, 1280, 4096]\n[288, 4096, 1280]",
+      "Z16": "share_expert.gate_proj.weight: [1280, 4096] BF16\nshare_expert.up_proj.weight: [1280, 4096] BF16\nshare_expert.down_proj.weight: [4096, 1280] BF16",
+      "Z17": "self_attn.q_proj.weight: [8192, 4096] BF16\nself_attn.k_proj.weight: [1024, 4096] BF16\nself_attn.v_proj.weight: [1024, 4096] BF16\nself_attn.o_proj.weight: [4096, 8192] BF16\nself_attn.g_proj.weight: [64, 4096] BF16",
+      "Z18": "input_layernorm.weight: [4096] BF16\npost_attention_layernorm.weight: [4096] BF16\nself_attn.q_norm.weight: [128] BF16\nself_attn.k_norm.weight: [128] BF16",
+      "Z19": "moe.gate.weight: [288, 4096] BF16\nmoe.router_bias: [288] F32",
+      "Z20": "moe.gate_proj.weight: [288, 1280, 4096] BF16\nmoe.up_proj.weight: [288, 1280, 4096] BF16\nmoe.down_proj.weight: [288, 4096, 1280] BF16",
       "Z43": true,
       "Z44": true
     }
+  },
+  "architectures": {
+    "deepseek-v3": {
+      "full_attention_layers": 61,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "kv_lora_rank": 512,
+      "qk_rope_head_dim": 64
+    },
+    "deepseek-v3-mtp": {
+      "full_attention_layers": 62,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "kv_lora_rank": 512,
+      "qk_rope_head_dim": 64
+    },
+    "glm-4.5-air": {
+      "full_attention_layers": 46,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "num_key_value_heads": 8,
+      "head_dim": 128
+    },
+    "glm-4.5-air-mtp": {
+      "full_attention_layers": 47,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "num_key_value_heads": 8,
+      "head_dim": 128
+    },
+    "glm-4.7-flash": {
+      "full_attention_layers": 47,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "kv_lora_rank": 512,
+      "qk_rope_head_dim": 64
+    },
+    "glm-4.7-flash-mtp": {
+      "full_attention_layers": 48,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "kv_lora_rank": 512,
+      "qk_rope_head_dim": 64
+    },
+    "glm-4.7": {
+      "full_attention_layers": 92,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "num_key_value_heads": 8,
+      "head_dim": 128
+    },
+    "glm-4.7-mtp": {
+      "full_attention_layers": 93,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "num_key_value_heads": 8,
+      "head_dim": 128
+    },
+    "glm-5": {
+      "full_attention_layers": 78,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "kv_lora_rank": 512,
+      "qk_rope_head_dim": 64
+    },
+    "glm-5-mtp": {
+      "full_attention_layers": 79,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "kv_lora_rank": 512,
+      "qk_rope_head_dim": 64
+    },
+    "gpt-oss-120b": {
+      "full_attention_layers": 18,
+      "sliding_attention_layers": 18,
+      "sliding_window": 128,
+      "linear_attention_layers": 0,
+      "num_key_value_heads": 8,
+      "head_dim": 64
+    },
+    "gpt-oss-20b": {
+      "full_attention_layers": 12,
+      "sliding_attention_layers": 12,
+      "sliding_window": 128,
+      "linear_attention_layers": 0,
+      "num_key_value_heads": 8,
+      "head_dim": 64
+    },
+    "kimi-k2": {
+      "full_attention_layers": 61,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "kv_lora_rank": 512,
+      "qk_rope_head_dim": 64
+    },
+    "minimax-m2.5": {
+      "full_attention_layers": 62,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "num_key_value_heads": 8,
+      "head_dim": 128
+    },
+    "mistral-small-4-119b-2603": {
+      "full_attention_layers": 36,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "kv_lora_rank": 256,
+      "qk_rope_head_dim": 64
+    },
+    "nvidia-nemotron-3-super-120b-a12b": {
+      "full_attention_layers": 8,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 40,
+      "num_key_value_heads": 2,
+      "head_dim": 128
+    },
+    "nvidia-nemotron-3-super-120b-a12b-mtp": {
+      "full_attention_layers": 9,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 40,
+      "num_key_value_heads": 2,
+      "head_dim": 128
+    },
+    "qwen3-235b": {
+      "full_attention_layers": 94,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "num_key_value_heads": 4,
+      "head_dim": 128
+    },
+    "qwen3-30b": {
+      "full_attention_layers": 48,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "num_key_value_heads": 4,
+      "head_dim": 128
+    },
+    "qwen3-next-80b-a3b-thinking": {
+      "full_attention_layers": 12,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 36,
+      "num_key_value_heads": 2,
+      "head_dim": 256
+    },
+    "qwen3-next-80b-a3b-thinking-mtp": {
+      "full_attention_layers": 13,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 36,
+      "num_key_value_heads": 2,
+      "head_dim": 256
+    },
+    "qwen3.5-122b-a10b": {
+      "full_attention_layers": 12,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 36,
+      "num_key_value_heads": 2,
+      "head_dim": 256
+    },
+    "qwen3.5-122b-a10b-mtp": {
+      "full_attention_layers": 13,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 36,
+      "num_key_value_heads": 2,
+      "head_dim": 256
+    },
+    "qwen3.5-27b": {
+      "full_attention_layers": 16,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 48,
+      "num_key_value_heads": 4,
+      "head_dim": 256
+    },
+    "qwen3.5-27b-mtp": {
+      "full_attention_layers": 17,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 48,
+      "num_key_value_heads": 4,
+      "head_dim": 256
+    },
+    "qwen3.5-35b-a3b": {
+      "full_attention_layers": 10,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 30,
+      "num_key_value_heads": 2,
+      "head_dim": 256
+    },
+    "qwen3.5-35b-a3b-mtp": {
+      "full_attention_layers": 11,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 30,
+      "num_key_value_heads": 2,
+      "head_dim": 256
+    },
+    "qwen3.5-397b-a17b": {
+      "full_attention_layers": 15,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 45,
+      "num_key_value_heads": 2,
+      "head_dim": 256
+    },
+    "qwen3.5-397b-a17b-mtp": {
+      "full_attention_layers": 16,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 45,
+      "num_key_value_heads": 2,
+      "head_dim": 256
+    },
+    "step-3.5-flash": {
+      "full_attention_layers": 45,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "num_key_value_heads": 8,
+      "head_dim": 128
+    },
+    "step-3.5-flash-mtp": {
+      "full_attention_layers": 48,
+      "sliding_attention_layers": 0,
+      "sliding_window": null,
+      "linear_attention_layers": 0,
+      "num_key_value_heads": 8,
+      "head_dim": 128
+    }
   }
 };
@@ -4,15 +4,35 @@ const fs = require('node:fs');
 
 const {
   sumShapes,
+  sumShapeBytes,
   computeResults,
   renderSummary,
   renderLetterResults,
+  renderLayerSchedule,
+  computeComposition,
+  renderCompositionCharts,
+  computeTensorBreakdown,
   renderExplanation,
+  computeComparison,
+  renderComparison,
+  computeArchitectureDiff,
+  renderArchitectureDiff,
   buildPresetInput,
   applyFieldInputData,
+  formStateFromInput,
+  buildPresetFile,
+  parsePresetFile,
   getPresetModels,
+  loadMyModels,
+  saveMyModels,
+  createMyModel,
+  updateMyModel,
+  renameMyModel,
+  duplicateMyModel,
+  deleteMyModel,
   STABLE_LABEL_REFS,
 } = require('./paramcalc.js');
+const { inputFromPresetEntry, scheduleFromBuckets } = require('./core.js');
 
 const PRESET_JSON = JSON.parse(fs.readFileSync(require.resolve('./paramcalc.presets.json'), 'utf8'));
 
@@ -45,6 +65,53 @@ test('sumShapes supports scientific notation without truncation', () => {
   assert.equal(sumShapes('[4.096e3, 2]'), 8192);
 });
 
+test('dtype suffixes are ignored for param counts and sized for on-disk bytes', () => {
+  const text = '[4096, 2880] BF16\n[32, 5760, 2880] MXFP4\n[128]';
+  assert.equal(sumShapes(text), 4096 * 2880 + 32 * 5760 * 2880 + 128);
+  assert.deepEqual(sumShapeBytes(text), {
+    bytes: 4096 * 2880 * 2 + 32 * 5760 * 2880 * 4.25 / 8,
+    unknownParams: 128,
+  });
+
+  const r = computeResults(makeInput({ dense_layers: '2', dense_ffn: '[10, 20] F32\n[20] f8_e4m3' }));
+  assert.deepEqual(r.invalidShapeWarnings, []);
+  assert.equal(r.dFfn, 220);
+  assert.equal(r.diskBytes, 2 * (200 * 4 + 20));
+});
+
+test('raw-export presets size to the exported safetensors bytes', () => {
+  const exports = {
+    'gpt-oss-20b': 'gpt-oss-20b',
+    'gpt-oss-120b': 'gpt-oss-120b',
+    'mistral-small-4-119b-2603': 'mistral-small-4-119b-2603',
+    'step-3.5-flash-mtp': 'step-3.5-flash',
+    'qwen3.5-35b-a3b-mtp': 'qwen3.5-35b-a3b',
+    'glm-4.7-flash-mtp': 'glm-4.7-flash',
+  };
+  for (const [presetId, file] of Object.entries(exports)) {
+    const model = JSON.parse(fs.readFileSync(require.resolve(`./models/${file}.json`), 'utf8'));
+    const exportedBytes = Object.values(model.tensors)
+      .reduce((total, tensor) => total + tensor.data_offsets[1] - tensor.data_offsets[0], 0);
+    const r = computeResults(buildPresetInput(presetId));
+    assert.equal(r.diskUnknownParams, 0, presetId);
+    assert.equal(r.diskBytes, exportedBytes, presetId);
+  }
+});
+
+test('gpt-oss packed experts count as 4-bit params rather than bytes', () => {
+  const r = computeResults(buildPresetInput('gpt-oss-20b'));
+  const experts = r.diskBuckets.find(bucket => bucket.label === 'MoE attention-only experts');
+  assert.equal(r.moeExpertTotal, 24 * (32 * 5760 * 2880 + 32 * 2880 * 2880 + 32 * 5760 + 32 * 2880));
+  assert.equal(experts.bytes, 24 * ((32 * 5760 * 2880 + 32 * 2880 * 2880) * 4.25 / 8 + (32 * 5760 + 32 * 2880) * 2));
+  assert.match(renderSummary(r), /<td>Total on-disk size<\/td><td>13,761,264,768 bytes \(13\.76 GB\)<\/td>/);
+});
+
+test('summary explains how to get on-disk sizes when shapes have no dtype', () => {
+  const summary = renderSummary(computeResults(buildPresetInput('kimi-k2')));
+  assert.match(summary, /Add a safetensors dtype after a shape/);
+  assert.doesNotMatch(summary, /Total on-disk size/);
+});
+
 test('invalid symbolic shapes are ignored and surfaced as warnings', () => {
   const r = computeResults(makeInput({
     dense_layers: '1',
@@ -60,6 +127,21 @@ test('invalid symbolic shapes are ignored and surfaced as warnings', () => {
   assert.match(summary, /Invalid shape entries were ignored in I: line 1\./);
 });
 
+test('shape variables make symbolic shapes valid and flag bad variable lines', () => {
+  const r = computeResults(makeInput({
+    shape_variables: 'D = 4096\nQ = D +',
+    dense_layers: '1',
+    dense_ffn: '[D, 4D]\n[4096, 16384]',
+  }));
+
+  assert.equal(r.dFfn, 2 * 4096 * 16384);
+  assert.deepEqual(r.invalidShapeWarnings, []);
+  assert.match(renderSummary(r), /Shape variables could not be evaluated and were ignored: line 2 \(Q = D \+\)\./);
+  const html = renderSummary(computeResults(makeInput({ shape_variables: '<img src=x onerror=alert(1)>' })));
+  assert.ok(!html.includes('<img'));
+  assert.match(html, /line 1 \(&lt;img src=x onerror=alert\(1\)&gt;\)/);
+});
+
 test('zero experts per layer does not render divide-by-zero explanations', () => {
   const r = computeResults(makeInput({
     moe_layers: '2',
@@ -301,3 +383,285 @@ test('preset models preserve explanation stable refs', () => {
     }
   }
 });
+
+test('permalink state keeps only non-empty fields keyed by stable refs', () => {
+  const input = buildPresetInput('qwen3-next-80b-a3b-thinking');
+  const state = formStateFromInput(input, 'qwen3-next-80b-a3b-thinking');
+  assert.equal(state.model, 'qwen3-next-80b-a3b-thinking');
+  assert.ok(Object.keys(state).filter(key => key !== 'model').every(key => /^Z\d\d$/.test(key)));
+  assert.equal(state.Z01, undefined);
+  assert.equal(formStateFromInput(input, 'custom').model, undefined);
+
+  assert.deepEqual(inputFromPresetEntry(state), input);
+});
+
+function makeMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+test('saved models are created, renamed, duplicated and deleted as stable-ref entries', () => {
+  const storage = makeMemoryStorage();
+  const entry = formStateFromInput(buildPresetInput('gpt-oss-20b'));
+
+  let data = saveMyModels(createMyModel(loadMyModels(storage), 'Tweaked OSS', entry), storage);
+  assert.deepEqual(data.modelOrder, ['my:1']);
+  assert.deepEqual(loadMyModels(storage).models['my:1'], entry);
+  assert.deepEqual(inputFromPresetEntry(loadMyModels(storage).models['my:1']), buildPresetInput('gpt-oss-20b'));
+
+  data = saveMyModels(renameMyModel(loadMyModels(storage), 'my:1', 'OSS 20B'), storage);
+  data = saveMyModels(duplicateMyModel(data, 'my:1'), storage);
+  assert.deepEqual(data.modelOrder, ['my:1', 'my:2']);
+  assert.equal(data.names['my:2'], 'OSS 20B copy');
+
+  data = saveMyModels(updateMyModel(data, 'my:2', { ...entry, Z03: '12' }), storage);
+  assert.equal(loadMyModels(storage).models['my:2'].Z03, '12');
+  assert.equal(loadMyModels(storage).models['my:1'].Z03, '24');
+
+  data = saveMyModels(deleteMyModel(data, 'my:1'), storage);
+  assert.deepEqual(loadMyModels(storage).modelOrder, ['my:2']);
+  assert.equal(loadMyModels(storage).names['my:1'], undefined);
+  data = saveMyModels(createMyModel(data, 'Another', entry), storage);
+  assert.deepEqual(data.modelOrder, ['my:2', 'my:3']);
+});
+
+test('unreadable saved-model storage falls back to an empty workspace', () => {
+  const storage = makeMemoryStorage();
+  storage.setItem('moespeedcalc-my-models', '{not json');
+  assert.deepEqual(loadMyModels(storage).modelOrder, []);
+  assert.deepEqual(loadMyModels(null).modelOrder, []);
+});
+
+test('saving reports a refused write instead of throwing', () => {
+  const storage = makeMemoryStorage();
+  const data = saveMyModels(createMyModel(loadMyModels(storage), 'Kept', formStateFromInput(buildPresetInput('gpt-oss-20b'))), storage);
+  const full = {
+    getItem: storage.getItem,
+    setItem: () => { throw new Error('QuotaExceededError'); },
+  };
+  assert.equal(saveMyModels(createMyModel(data, 'Too many', data.models['my:1']), full), null);
+  assert.deepEqual(loadMyModels(storage).modelOrder, ['my:1']);
+  assert.equal(saveMyModels(data, null), null);
+});
+
+test('exported preset files import back to the same form input', () => {
+  const input = buildPresetInput('glm-4.7-flash');
+  const file = buildPresetFile('glm-4.7-flash', formStateFromInput(input), PRESET_JSON.architectures['glm-4.7-flash']);
+  assert.equal(file.meta.format, 'stable-ref-v1');
+
+  const parsed = parsePresetFile(JSON.stringify(file));
+  assert.deepEqual(parsed.modelOrder, ['glm-4.7-flash']);
+  assert.deepEqual(inputFromPresetEntry(parsed.models['glm-4.7-flash']), input);
+  assert.deepEqual(parsed.architectures['glm-4.7-flash'], PRESET_JSON.architectures['glm-4.7-flash']);
+
+  assert.deepEqual(parsePresetFile(JSON.stringify(PRESET_JSON)).modelOrder, PRESET_JSON.modelOrder);
+});
+
+test('preset import rejects other formats and unknown stable refs', () => {
+  assert.throws(() => parsePresetFile('{'), /not valid JSON/);
+  assert.throws(() => parsePresetFile(JSON.stringify({ meta: { format: 'v0' }, models: {} })), /Unsupported preset format "v0"/);
+  assert.throws(
+    () => parsePresetFile(JSON.stringify({ meta: { format: 'stable-ref-v1' }, models: { m: { Z03: '2', Z99: '1', Z35: '5' } } })),
+    /Model "m" has unknown stable refs: Z99, Z35\./,
+  );
+  assert.throws(
+    () => parsePresetFile(JSON.stringify({ meta: { format: 'stable-ref-v1' }, models: { m: { Z05: ['[1]'] } } })),
+    /invalid value for Z05/,
+  );
+  assert.deepEqual(
+    parsePresetFile(JSON.stringify({ meta: { format: 'stable-ref-v1' }, models: { m: { Z03: 2, Z44: true } } })).models.m,
+    { Z03: '2', Z44: true },
+  );
+});
+
+test('comparison lists computeResults metrics with deltas against the baseline', () => {
+  const models = ['qwen3.5-27b', 'qwen3.5-35b-a3b', 'qwen3.5-122b-a10b'].map(id => ({ id }));
+  const comparison = computeComparison(models, { baseline: 'qwen3.5-35b-a3b' });
+  const byId = Object.fromEntries(comparison.rows.map(row => [row.id, row]));
+  const base = computeResults(buildPresetInput('qwen3.5-35b-a3b'));
+  const big = computeResults(buildPresetInput('qwen3.5-122b-a10b'));
+
+  assert.equal(comparison.baseline, 'qwen3.5-35b-a3b');
+  assert.equal(byId['qwen3.5-122b-a10b'].values.totalActive, big.totalActive);
+  assert.equal(byId['qwen3.5-35b-a3b'].deltas.totalParams, null);
+  assert.equal(byId['qwen3.5-122b-a10b'].deltas.totalParams, 100 * (big.totalParams - base.totalParams) / base.totalParams);
+  assert.equal(byId['qwen3.5-27b'].deltas.moeExpertsPct, -base.moeExpertsPct);
+
+  const html = renderComparison(comparison);
+  assert.match(html, /qwen3\.5-35b-a3b <span class="muted">\(baseline\)<\/span>/);
+  assert.match(html, /data-sort-key="totalMlp"/);
+});
+
+test('comparison sorts by any metric or by name', () => {
+  const models = ['qwen3.5-122b-a10b', 'qwen3.5-27b', 'qwen3.5-397b-a17b'].map(id => ({ id }));
+  const ids = options => computeComparison(models, options).rows.map(row => row.id);
+  assert.deepEqual(ids({ sortKey: 'totalParams', sortDir: 'asc' }), ['qwen3.5-27b', 'qwen3.5-122b-a10b', 'qwen3.5-397b-a17b']);
+  assert.deepEqual(ids({ sortKey: 'totalActive', sortDir: 'desc' }), ['qwen3.5-27b', 'qwen3.5-397b-a17b', 'qwen3.5-122b-a10b']);
+  assert.deepEqual(ids({ sortKey: 'label', sortDir: 'asc' }), ['qwen3.5-122b-a10b', 'qwen3.5-27b', 'qwen3.5-397b-a17b']);
+  assert.match(renderComparison(computeComparison([])), /Pick two or more models/);
+  // Labels come from My-model names and imported preset ids
+  const named = renderComparison(computeComparison([{ id: 'qwen3.5-27b', label: '<img src=x onerror=alert(1)>' }, { id: 'gpt-oss-20b' }]));
+  assert.ok(!named.includes('<img'));
+  assert.match(named, /<td>&lt;img src=x onerror=alert\(1\)&gt; <span class="muted">\(baseline\)/);
+});
+
+test('architecture diff shows shape line changes and per-row deltas', () => {
+  const diff = computeArchitectureDiff(PRESET_JSON.models['glm-4.7'], PRESET_JSON.models['glm-4.7-mtp']);
+  const base = computeResults(buildPresetInput('glm-4.7'));
+  const mtp = computeResults(buildPresetInput('glm-4.7-mtp'));
+
+  assert.deepEqual(diff.fields.map(field => field.stableRef), ['Z03', 'Z06']);
+  assert.deepEqual(diff.fields[0], { stableRef: 'Z03', fieldId: 'moe_attention_layers', code: 'C', title: 'MoE attention-only layers', from: '89', to: '90' });
+  assert.deepEqual(diff.fields[1].removed, []);
+  assert.equal(diff.fields[1].added.length, 6);
+  assert.equal(diff.fields[1].added.filter(line => line === '[5120]').length, 3);
+
+  const letters = Object.fromEntries(diff.letters.map(row => [row.code, row]));
+  assert.equal(diff.letters.length, 23);
+  assert.equal(letters.F.delta, mtp.preFirstCount - base.preFirstCount);
+  assert.equal(letters.T.delta, 0);
+  const rows = Object.fromEntries(diff.explanation.map(row => [row.code, row]));
+  assert.equal(rows.EM.from, base.totalParams);
+  assert.equal(rows.EM.delta, mtp.totalParams - base.totalParams);
+  assert.equal(rows.EA.delta, 0);
+
+  const html = renderArchitectureDiff(diff);
+  assert.match(html, /<span class="diff-added">\+ \[151552, 5120\]<\/span>/);
+  assert.match(html, /89 → 90/);
+  const explanationHtml = renderExplanation(base);
+  diff.explanation.forEach(({ code, title }) => assert.ok(explanationHtml.includes(`${code}: ${title}`), code));
+});
+
+test('architecture diff escapes shape lines and field values', () => {
+  const from = formStateFromInput(makeInput({ dense_attention_layers: '1', dense_attn: 'q: [1, 2]' }));
+  const to = formStateFromInput(makeInput({ dense_attention_layers: '<b>2</b>', dense_attn: '<img src=x onerror=alert(1)>: [1, 2]' }));
+  const html = renderArchitectureDiff(computeArchitectureDiff(from, to));
+  assert.ok(!html.includes('<img') && !html.includes('<b>'));
+  assert.match(html, /<span class="diff-added">\+ &lt;img src=x onerror=alert\(1\)&gt;: \[1, 2\]<\/span>/);
+  assert.match(html, /1 → &lt;b&gt;2&lt;\/b&gt;/);
+});
+
+test('architecture diff of identical entries has no changed fields', () => {
+  const diff = computeArchitectureDiff(PRESET_JSON.models['qwen3.5-27b'], PRESET_JSON.models['qwen3.5-27b']);
+  assert.deepEqual(diff.fields, []);
+  assert.ok(diff.letters.every(row => row.delta === 0));
+  assert.match(renderArchitectureDiff(diff), /identical inputs/);
+});
+
+test('letter results list the named tensor lines under each sum', () => {
+  const r = computeResults(buildPresetInput('qwen3.5-27b'));
+  const html = renderLetterResults(r);
+  assert.equal(r.tensorLines.H.reduce((total, entry) => total + entry.params, 0), r.denseAttentionOnly.attn);
+  assert.deepEqual(r.tensorLines.H.map(entry => entry.name), [
+    'self_attn.q_proj.weight',
+    'self_attn.k_proj.weight',
+    'self_attn.v_proj.weight',
+    'self_attn.o_proj.weight',
+  ]);
+  assert.match(html, /<tr class="tensor-line-row" data-letter="H" hidden><td><\/td><td>self_attn\.q_proj\.weight <span class="muted">\[12288, 5120\] BF16<\/span><\/td><td>62,914,560/);
+  assert.deepEqual(computeResults(makeInput({ shared_expert_tensors: '[29]' })).tensorLines.P, []);
+});
+
+test('tensor line names and shapes are escaped in the letter results', () => {
+  const r = computeResults(makeInput({ dense_attention_layers: '1', dense_attn: '<img src=x onerror=alert(1)>: [1, 2] <b>' }));
+  const html = renderLetterResults(r, new Set(['H']));
+  assert.equal(r.tensorLines.H[0].name, '<img src=x onerror=alert(1)>');
+  assert.ok(!html.includes('<img'));
+  assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt; <span class="muted">\[1, 2\]/);
+});
+
+test('generated presets label every shape line with its tensor name', () => {
+  ['gpt-oss-20b', 'qwen3.5-27b', 'step-3.5-flash', 'mistral-small-4-119b-2603'].forEach((model) => {
+    const r = computeResults(buildPresetInput(model));
+    Object.values(r.tensorLines).flat().forEach(entry => assert.ok(entry.name, `${model} line ${entry.line}`));
+  });
+  const experts = computeResults(buildPresetInput('gpt-oss-20b')).tensorLines.T.map(entry => entry.name);
+  assert.deepEqual(experts.slice(0, 2), ['mlp.experts.gate_up_proj', 'mlp.experts.down_proj']);
+});
+
+test('tensor drill-down shares add up to the bucket and to the total', () => {
+  ['qwen3.5-35b-a3b', 'gpt-oss-20b', 'kimi-k2'].forEach((model) => {
+    const r = computeResults(buildPresetInput(model));
+    let totalPct = 0;
+    Object.keys(r.tensorLines).forEach((code) => {
+      const breakdown = computeTensorBreakdown(r, code);
+      if (breakdown.length === 0) return;
+      const bucketPct = breakdown.reduce((total, entry) => total + entry.bucketPct, 0);
+      if (breakdown.some(entry => entry.params > 0)) assert.ok(Math.abs(bucketPct - 100) < 1e-9, `${model} ${code}`);
+      totalPct += breakdown.reduce((total, entry) => total + entry.totalPct, 0);
+    });
+    assert.ok(Math.abs(totalPct - 100) < 1e-9, `${model} ${totalPct}`);
+  });
+});
+
+test('tensor drill-down rows stay collapsed until their letter is expanded', () => {
+  const r = computeResults(buildPresetInput('qwen3.5-27b'));
+  const collapsed = renderLetterResults(r);
+  assert.match(collapsed, /<tr class="tensor-toggle" data-letter="H" tabindex="0" aria-expanded="false"><td>H<\/td>/);
+  assert.match(collapsed, /<tr><td>A<\/td><td>Dense attention-only layers<\/td>/);
+  const expanded = renderLetterResults(r, new Set(['H']));
+  assert.match(expanded, /data-letter="H" tabindex="0" aria-expanded="true">/);
+  assert.match(expanded, /<tr class="tensor-line-row" data-letter="H"><td><\/td><td>self_attn\.q_proj\.weight/);
+  assert.match(expanded, /% of H · [0-9.]+% of total<\/div>/);
+  assert.match(expanded, /<tr class="tensor-line-row" data-letter="I" hidden>/);
+});
+
+test('composition splits add up to total and active params', () => {
+  ['kimi-k2', 'qwen3.5-27b', 'qwen3.5-35b-a3b', 'gpt-oss-20b', 'nvidia-nemotron-3-super-120b-a12b'].forEach((model) => {
+    const r = computeResults(buildPresetInput(model));
+    const composition = computeComposition(r);
+    const sum = values => Object.values(values).reduce((total, value) => total + value, 0);
+    assert.equal(sum(composition.total), r.totalParams, model);
+    assert.equal(sum(composition.active), r.totalActive, model);
+    assert.equal(composition.layerTypes.reduce((total, slice) => total + slice.value, 0), r.totalParams, model);
+    assert.equal(composition.total.experts, r.moeExpertTotal);
+    assert.equal(composition.active.experts, r.moeExpertsOnly);
+  });
+});
+
+test('composition charts render inline SVG bars and a layer-type pie', () => {
+  const moe = renderCompositionCharts(computeResults(buildPresetInput('qwen3.5-35b-a3b')));
+  assert.equal((moe.match(/<svg /g) || []).length, 2);
+  assert.equal((moe.match(/<rect class="chart-series-/g) || []).length, 10);
+  assert.match(moe, /<title>Active Routed experts: [0-9,]+ \([0-9.]+%\)<\/title>/);
+  assert.equal((moe.match(/<path class="chart-series-/g) || []).length, 3);
+  assert.doesNotMatch(moe, /https?:/);
+
+  const dense = renderCompositionCharts(computeResults(makeInput({ dense_attention_layers: '2', dense_attn: '[4, 4]' })));
+  assert.match(dense, /<circle class="chart-series-1" r="100"><title>Dense attention-only layers: 32 \(100\.00%\)/);
+  assert.match(renderCompositionCharts(computeResults(makeInput())), /Charts appear once/);
+});
+
+test('bucket presets converted to a layer schedule keep their totals', () => {
+  ['kimi-k2', 'qwen3.5-27b', 'qwen3.5-35b-a3b', 'gpt-oss-20b', 'nvidia-nemotron-3-super-120b-a12b'].forEach((model) => {
+    const input = buildPresetInput(model);
+    const converted = scheduleFromBuckets(input);
+    const before = computeResults(input);
+    const after = computeResults(converted);
+    assert.equal(after.scheduledLayers, before.totalLayersComputed, model);
+    ['totalParams', 'totalActive', 'totalAlwaysActive', 'totalMlp', 'totalAttn', 'moeExpertTotal', 'diskBytes'].forEach((key) => {
+      assert.equal(after[key], before[key], `${model} ${key}`);
+    });
+    assert.deepEqual(after.invalidScheduleLines, [], model);
+  });
+});
+
+test('unreadable layer schedule lines are escaped in the summary warning', () => {
+  const html = renderSummary(computeResults(makeInput({ layer_schedule: 'template a\n<img src=x onerror=alert(1)>' })));
+  assert.ok(!html.includes('<img'));
+  assert.match(html, /Layer schedule lines could not be read and were ignored: line 2 \(&lt;img src=x onerror=alert\(1\)&gt;\)/);
+});
+
+test('scheduled layers show in the explanation and the layer schedule table', () => {
+  const input = scheduleFromBuckets(buildPresetInput('qwen3.5-35b-a3b'));
+  const r = computeResults(input);
+  const explanation = renderExplanation(r);
+  ['Z50', 'Z51', 'Z52', 'Z53'].forEach(ref => assert.match(explanation, new RegExp(`data-stable-ref="${ref}"`)));
+  assert.match(explanation, /C × \(ED \+ EF\) \+ D × \(EE \+ EG\) \+ EW/);
+  assert.match(renderLayerSchedule(r), /<td>0-9<\/td><td>moe_attn<\/td><td>MoE<\/td>.*<td>10-39<\/td><td>moe_ssm<\/td>/);
+  assert.equal(renderLayerSchedule(computeResults(buildPresetInput('qwen3.5-35b-a3b'))), '');
+  assert.doesNotMatch(renderExplanation(computeResults(buildPresetInput('qwen3.5-35b-a3b'))), /\+ EW/);
+});
@@ -3,10 +3,18 @@
  *
  * This script reads hardware and model parameters from the form,
  * computes intermediate values, and renders a table of results
- * complete with human‑readable formulas.  Calculations assume
- * bandwidth‑bound execution; compute capabilities are not factored in.
+ * complete with human‑readable formulas.  Each device is limited by
+ * the slower of reading its weights and doing its share of the FLOPs.
  */
 
+const {
+  inputFromPresetEntry,
+  computeResults,
+  computeSpeedCounts,
+  encodeHashState,
+  decodeHashState,
+} = typeof module !== 'undefined' && module.exports ? require('./core.js') : globalThis.CALC_CORE;
+
 // Helper: format a large number with commas as thousands separators
 function formatNumber(n) {
   return n.toLocaleString('en-US');
@@ -59,116 +67,19 @@ const modelDisplayNames = {
 
 const presetModelCache = new Map();
 
-function normalizeNumStr(s) {
-  return String(s)
-    .replace(/[\u00A0\u202F\u2009\s_]/g, '')
-    .replace(/[,']/g, '');
-}
-
-function parseDimToken(raw) {
-  const token = normalizeNumStr(raw);
-  if (!token) return { value: 0, valid: false };
-  const value = Number(token);
-  return { value, valid: Number.isFinite(value) && value >= 0 };
-}
-
-function parseShapeGroup(group) {
-  const content = group.replace(/^[^\[]*\[/, '').replace(/\].*$/, '');
-  const tokens = content.split(/\s*,\s*/).filter(Boolean);
-  if (tokens.length === 0) return 0;
-  const dims = tokens.map(parseDimToken);
-  if (dims.some((dim) => !dim.valid)) return 0;
-  return dims.reduce((acc, dim) => acc * dim.value, 1);
-}
-
-function sumShapes(text) {
-  if (!text) return 0;
-  let total = 0;
-  const lines = String(text).split(/\r?\n/);
-  for (const rawLine of lines) {
-    const line = rawLine.trim();
-    if (!line) continue;
-    const groups = line.match(/\[[^\]]*\]/g);
-    if (groups) {
-      groups.forEach((group) => {
-        total += parseShapeGroup(group);
-      });
-    } else {
-      total += parseShapeGroup(`[${line}]`);
-    }
-  }
-  return total;
-}
-
-function parseCount(value) {
-  return parseInt(value || '0', 10) || 0;
-}
-
-function getPresetField(entry, stableRef, fallback = '') {
-  const value = entry?.[stableRef];
-  return typeof value === 'boolean' ? value : (value || fallback);
-}
-
+// Preset counts come from the same bucket math the param calculator uses.
 function computeModelPreset(entry) {
-  const denseAttentionLayers = parseCount(getPresetField(entry, 'Z01'));
-  const denseSsmAttentionLayers = parseCount(getPresetField(entry, 'Z02'));
-  const moeAttentionLayers = parseCount(getPresetField(entry, 'Z03'));
-  const moeSsmAttentionLayers = parseCount(getPresetField(entry, 'Z04'));
-  const moeLayers = moeAttentionLayers + moeSsmAttentionLayers;
-  const expertsPer = parseCount(getPresetField(entry, 'Z13'));
-  const activeExperts = parseCount(getPresetField(entry, 'Z14'));
-  const activeExpertsClamped = Math.max(0, Math.min(activeExperts, expertsPer));
-  const expertsIncludeDim = !!entry?.Z44;
-  const hasSharedExpert = !!entry?.Z43;
-  const sharedScope = getPresetField(entry, 'Z15', 'per_layer');
-
-  const denseAttentionPerLayer = sumShapes(getPresetField(entry, 'Z07')) + sumShapes(getPresetField(entry, 'Z08')) + sumShapes(getPresetField(entry, 'Z09'));
-  const denseSsmPerLayer = sumShapes(getPresetField(entry, 'Z10')) + sumShapes(getPresetField(entry, 'Z11')) + sumShapes(getPresetField(entry, 'Z12'));
-  const denseTotal = denseAttentionLayers * denseAttentionPerLayer + denseSsmAttentionLayers * denseSsmPerLayer;
-  const embeddingTotal = sumShapes(getPresetField(entry, 'Z05'));
-  const preFirstNorms = sumShapes(getPresetField(entry, 'Z06'));
-
-  const sharedExpertParams = hasSharedExpert ? sumShapes(getPresetField(entry, 'Z16')) : 0;
-  const sharedPerLayer = hasSharedExpert
-    ? (sharedScope === 'per_layer' ? sharedExpertParams : (moeLayers > 0 ? (sharedExpertParams / moeLayers) : 0))
-    : 0;
-
-  const moeAttentionAlwaysPerLayer = sumShapes(getPresetField(entry, 'Z17'))
-    + sumShapes(getPresetField(entry, 'Z18'))
-    + sumShapes(getPresetField(entry, 'Z19'))
-    + (moeAttentionLayers > 0 ? sharedPerLayer : 0);
-  const moeSsmAlwaysPerLayer = sumShapes(getPresetField(entry, 'Z21'))
-    + sumShapes(getPresetField(entry, 'Z22'))
-    + sumShapes(getPresetField(entry, 'Z23'))
-    + (moeSsmAttentionLayers > 0 ? sharedPerLayer : 0);
-
-  const moeAttentionExpertsInput = sumShapes(getPresetField(entry, 'Z20'));
-  const moeSsmExpertsInput = sumShapes(getPresetField(entry, 'Z24'));
-  const moeAttentionExpertsPerLayer = expertsIncludeDim
-    ? moeAttentionExpertsInput
-    : (moeAttentionExpertsInput * expertsPer);
-  const moeSsmExpertsPerLayer = expertsIncludeDim
-    ? moeSsmExpertsInput
-    : (moeSsmExpertsInput * expertsPer);
-
-  const moeAttentionExpertsActivePerLayer = expertsIncludeDim
-    ? (expertsPer > 0 ? moeAttentionExpertsInput * (activeExpertsClamped / expertsPer) : 0)
-    : (moeAttentionExpertsInput * activeExpertsClamped);
-  const moeSsmExpertsActivePerLayer = expertsIncludeDim
-    ? (expertsPer > 0 ? moeSsmExpertsInput * (activeExpertsClamped / expertsPer) : 0)
-    : (moeSsmExpertsInput * activeExpertsClamped);
-
-  const denseParams = embeddingTotal + preFirstNorms + denseTotal + moeAttentionLayers * moeAttentionAlwaysPerLayer + moeSsmAttentionLayers * moeSsmAlwaysPerLayer;
-  const moeParams = moeAttentionLayers * moeAttentionExpertsActivePerLayer + moeSsmAttentionLayers * moeSsmExpertsActivePerLayer;
-  const totalParams = denseParams
-    + moeParams
-    + moeAttentionLayers * Math.max(0, moeAttentionExpertsPerLayer - moeAttentionExpertsActivePerLayer)
-    + moeSsmAttentionLayers * Math.max(0, moeSsmExpertsPerLayer - moeSsmExpertsActivePerLayer);
-
+  const input = inputFromPresetEntry(entry);
+  const counts = computeSpeedCounts(input, computeResults(input));
   return {
-    totalParams,
-    denseParams,
-    moeParams,
+    totalParams: counts.totalParams,
+    denseParams: counts.alwaysActiveParams,
+    moeParams: counts.activeExpertParams,
+    classParams: counts.classParams,
+    hiddenSize: counts.hiddenSize,
+    layerCount: counts.layerCount,
+    expertsPerLayer: counts.expertsPerLayer,
+    activeExperts: counts.activeExperts,
   };
 }
 
@@ -187,12 +98,519 @@ function getModelPreset(model) {
   return computed;
 }
 
+function getModelArchitecture(model) {
+  return globalThis.PARAMCALC_PRESETS?.architectures?.[model] || null;
+}
+
+// The multi-token prediction head of a model with both `foo` and `foo-mtp`
+// presets: whatever `foo-mtp` holds beyond `foo`.  Either name finds it.
+function computeMtpHead(model) {
+  const base = String(model || '').replace(/-mtp$/, '');
+  const main = getModelPreset(base);
+  const withMtp = getModelPreset(`${base}-mtp`);
+  if (!main || !withMtp) return null;
+  return {
+    base,
+    totalParams: withMtp.totalParams - main.totalParams,
+    denseParams: withMtp.denseParams - main.denseParams,
+    moeParams: withMtp.moeParams - main.moeParams,
+    layerCount: withMtp.layerCount - main.layerCount,
+    // The head works on the main model's hidden states
+    hiddenSize: main.hiddenSize,
+  };
+}
+
+// KV cache bytes from attention geometry.  Full-attention layers cache the
+// whole context, sliding-window layers cache at most the window, and MLA
+// layers cache one compressed latent (kv_lora_rank + rope dim) instead of
+// separate K and V heads.  SSM/linear-attention layers keep no KV cache.
+function computeKvCache(kv) {
+  const usesLatent = kv.latentDim > 0;
+  const valuesPerTokenLayer = usesLatent ? kv.latentDim : 2 * kv.kvHeads * kv.headDim;
+  const slidingTokens = kv.slidingWindow > 0 ? Math.min(kv.contextLength, kv.slidingWindow) : kv.contextLength;
+  const cachedTokenLayers = kv.fullLayers * kv.contextLength + kv.slidingLayers * slidingTokens;
+  const bytes = kv.batchSize * cachedTokenLayers * valuesPerTokenLayer * kv.kvBits / 8;
+  return {
+    usesLatent,
+    valuesPerTokenLayer,
+    slidingTokens,
+    cachedTokenLayers,
+    bytes,
+    sizeGB: bytes / 1e9,
+  };
+}
+
+// Tensor classes a quantization plan can give their own type, with the
+// preset buckets (stable Z refs) each one is summed from.  Routed experts
+// and the unclaimed rest of the always-active parameters are the two
+// remaining rows of the plan.
+const quantPlanClasses = [
+  { key: 'embeddings', label: 'Token embeddings', refs: 'Z05' },
+  { key: 'output_head', label: 'Output head (lm_head)', refs: 'Z05' },
+  { key: 'norms', label: 'Norms and small tensors', refs: 'Z06, Z07, Z10, Z18, Z22', defaultScheme: 'f32' },
+  { key: 'attention', label: 'Attention/SSM', refs: 'Z08, Z11, Z17, Z21' },
+  { key: 'dense_ffn', label: 'Dense-layer FFN', refs: 'Z09, Z12' },
+  { key: 'router', label: 'Router and other always-active FFN', refs: 'Z19, Z23' },
+  { key: 'shared_experts', label: 'Shared experts', refs: 'Z16' },
+];
+
+// Quantization schemes with their exact storage cost.  Block formats give
+// the bytes of one block (values plus scales, as laid out in ggml); group
+// formats give the element bits plus the scale / zero-point bits shared by
+// each group, where a 'row' group means one scale per output channel (a row
+// of hidden-size inputs).  Mixes such as Q4_K_M blend their base types by the
+// share of weights each one covers.
+const quantSchemes = [
+  { key: 'f32', name: 'F32', family: 'Float', elementBits: 32 },
+  { key: 'f16', name: 'F16', family: 'Float', elementBits: 16 },
+  { key: 'bf16', name: 'BF16', family: 'Float', elementBits: 16 },
+  // FP8 E4M3 with an FP32 scale per output channel, or per 128×128 block as in DeepSeek V3
+  { key: 'fp8_channel', name: 'FP8 E4M3, per-channel scales', family: 'FP8', elementBits: 8, groupSize: 'row', scaleBits: 32 },
+  { key: 'fp8_block128', name: 'FP8 E4M3, 128×128 block scales', family: 'FP8', elementBits: 8, groupSize: 128 * 128, scaleBits: 32 },
+  // OCP MXFP4: E2M1 values with one E8M0 scale per 32; NVFP4: one E4M3 scale per 16
+  { key: 'mxfp4', name: 'MXFP4', family: 'Microscaling FP4', elementBits: 4, groupSize: 32, scaleBits: 8 },
+  { key: 'nvfp4', name: 'NVFP4', family: 'Microscaling FP4', elementBits: 4, groupSize: 16, scaleBits: 8 },
+  { key: 'q8_0', name: 'Q8_0', family: 'GGUF', blockSize: 32, blockBytes: 34 },
+  { key: 'q5_0', name: 'Q5_0', family: 'GGUF', blockSize: 32, blockBytes: 22 },
+  { key: 'q4_0', name: 'Q4_0', family: 'GGUF', blockSize: 32, blockBytes: 18 },
+  { key: 'q6_k', name: 'Q6_K', family: 'GGUF k-quants', blockSize: 256, blockBytes: 210 },
+  { key: 'q5_k', name: 'Q5_K', family: 'GGUF k-quants', blockSize: 256, blockBytes: 176 },
+  { key: 'q4_k', name: 'Q4_K', family: 'GGUF k-quants', blockSize: 256, blockBytes: 144 },
+  { key: 'q3_k', name: 'Q3_K', family: 'GGUF k-quants', blockSize: 256, blockBytes: 110 },
+  { key: 'q2_k', name: 'Q2_K', family: 'GGUF k-quants', blockSize: 256, blockBytes: 84 },
+  // llama.cpp's _M mixes move ffn_down and attn_v to Q6_K in about half of the
+  // layers; ffn_down is a third of the FFN weights, so about 1/6 of the weights.
+  { key: 'q5_k_m', name: 'Q5_K_M', family: 'GGUF k-quant mixes', mix: [{ scheme: 'q5_k', share: 5 / 6 }, { scheme: 'q6_k', share: 1 / 6 }] },
+  { key: 'q4_k_m', name: 'Q4_K_M', family: 'GGUF k-quant mixes', mix: [{ scheme: 'q4_k', share: 5 / 6 }, { scheme: 'q6_k', share: 1 / 6 }] },
+  { key: 'iq4_xs', name: 'IQ4_XS', family: 'GGUF i-quants', blockSize: 256, blockBytes: 136 },
+  { key: 'iq3_xxs', name: 'IQ3_XXS', family: 'GGUF i-quants', blockSize: 256, blockBytes: 98 },
+  { key: 'iq2_xs', name: 'IQ2_XS', family: 'GGUF i-quants', blockSize: 256, blockBytes: 74 },
+  { key: 'iq2_xxs', name: 'IQ2_XXS', family: 'GGUF i-quants', blockSize: 256, blockBytes: 66 },
+  { key: 'iq1_s', name: 'IQ1_S', family: 'GGUF i-quants', blockSize: 256, blockBytes: 50 },
+  { key: 'tq1_0', name: 'TQ1_0', family: 'Ternary', blockSize: 256, blockBytes: 54 },
+  { key: 'bitnet', name: 'BitNet b1.58 (ideal)', family: 'Ternary', elementBits: Math.log2(3) },
+  // 4-bit integers with an FP16 scale and a packed 4-bit zero point per 128 weights
+  { key: 'gptq_g128', name: 'GPTQ 4-bit, group size 128', family: 'Integer group quants', elementBits: 4, groupSize: 128, scaleBits: 16, zeroBits: 4 },
+  { key: 'awq_g128', name: 'AWQ 4-bit, group size 128', family: 'Integer group quants', elementBits: 4, groupSize: 128, scaleBits: 16, zeroBits: 4 },
+  { key: 'gptq_8bit_g128', name: 'GPTQ 8-bit, group size 128', family: 'Integer group quants', elementBits: 8, groupSize: 128, scaleBits: 16, zeroBits: 8 },
+];
+
+function findQuantScheme(key) {
+  return quantSchemes.find((scheme) => scheme.key === key) || null;
+}
+
+// Effective bits per weight of a scheme including its scales.  Per-channel
+// schemes need the row length; without one the scale overhead is left out.
+function getSchemeBits(scheme, rowLength = 0) {
+  if (scheme.mix) {
+    return scheme.mix.reduce((sum, part) => sum + part.share * getSchemeBits(findQuantScheme(part.scheme), rowLength), 0);
+  }
+  if (scheme.blockBytes) return scheme.blockBytes * 8 / scheme.blockSize;
+  const groupSize = scheme.groupSize === 'row' ? rowLength : scheme.groupSize;
+  const overheadBits = groupSize > 0 ? ((scheme.scaleBits || 0) + (scheme.zeroBits || 0)) / groupSize : 0;
+  return scheme.elementBits + overheadBits;
+}
+
+// Option label: the exact bpw, or the formula for per-channel schemes.  The
+// _M mixes only approximate llama.cpp's per-tensor choices, so their bpw is
+// marked as an estimate.
+function formatSchemeLabel(scheme) {
+  if (scheme.mix) {
+    return `${scheme.name} (≈${formatFloat(getSchemeBits(scheme), 4)} bpw, approximate mix)`;
+  }
+  if (scheme.groupSize === 'row') {
+    return `${scheme.name} (${scheme.elementBits} + ${scheme.scaleBits}/hidden size bpw)`;
+  }
+  return `${scheme.name} (${formatFloat(getSchemeBits(scheme), 4)} bpw)`;
+}
+
+// Size every tensor class at its own bits per weight.  Classes without a
+// type use the default always-active type, as does whatever part of the
+// always-active parameters no class claims.  Routed experts use the expert
+// type for both the stored total and the active share read per token.
+function computeQuantPlan(r) {
+  const classes = r.classes.map((c) => {
+    const bits = c.bits > 0 ? c.bits : r.denseBits;
+    return { ...c, bits, sizeGB: c.params * bits / 8 / 1e9 };
+  });
+  const claimedParams = classes.reduce((sum, c) => sum + c.params, 0);
+  const otherParams = Math.max(0, r.denseParams - claimedParams);
+  const otherSizeGB = otherParams * r.denseBits / 8 / 1e9;
+  const denseSizeGB = classes.reduce((sum, c) => sum + c.sizeGB, 0) + otherSizeGB;
+  const denseParams = claimedParams + otherParams;
+  return {
+    classes,
+    otherParams,
+    otherSizeGB,
+    overclaimedParams: Math.max(0, claimedParams - r.denseParams),
+    denseSizeGB,
+    denseBits: denseParams > 0 ? denseSizeGB * 8e9 / denseParams : r.denseBits,
+    moeTotalGB: r.totalMoeParams * r.moeBits / 8 / 1e9,
+  };
+}
+
+// Roofline time for one device: it must both stream `bytesGB` from memory and
+// execute `flops`, so the slower of the two sets the pace.  A device holding
+// nothing costs nothing; zero bandwidth means it cannot serve reads.  Blank or
+// zero TFLOPS means compute is not modelled for that device and only bandwidth
+// counts.
+function computeDeviceTime(bytesGB, bwGBs, flops, tflops) {
+  const bandwidthMs = bytesGB <= 0 ? 0 : (bwGBs > 0 ? (bytesGB / bwGBs) * 1000 : Infinity);
+  const computeMs = tflops > 0 ? (flops / (tflops * 1e12)) * 1000 : 0;
+  return {
+    bytesGB,
+    flops,
+    bandwidthMs,
+    computeMs,
+    ms: Math.max(bandwidthMs, computeMs),
+    bound: computeMs > bandwidthMs ? 'compute' : 'bandwidth',
+  };
+}
+
+// Place the model across memory tiers.  Every GPU first reserves the runtime
+// overhead (CUDA context, compute buffers, activations).  Tiers are then
+// filled fastest first (by bandwidth, list order breaking ties):
+// always-active weights, then the KV cache, then MoE experts, each spilling
+// into the next tier once one is full.  Tiers without bandwidth cannot serve
+// reads and are skipped.  `gpuMoeGB`, when given, is how much of the experts
+// should be cached on the GPUs: the rest go to RAM first, and only what RAM
+// cannot hold goes back into free VRAM.  Whatever is left once every tier is
+// full stays on the slowest usable tier and is reported as overflow.
+function placeModel(tiers, parts) {
+  const placements = tiers.map((tier) => {
+    const overheadGB = tier.kind === 'gpu' && tier.bw > 0 ? parts.overheadGB || 0 : 0;
+    return { tier, overheadGB, denseGB: 0, kvGB: 0, moeGB: 0, usedGB: overheadGB };
+  });
+  const fillOrder = placements.filter((p) => p.tier.bw > 0).sort((a, b) => b.tier.bw - a.tier.bw);
+  let overflowGB = placements.reduce((sum, p) => sum + Math.max(0, p.overheadGB - p.tier.capacityGB), 0);
+  let gpuMoeLeftGB = parts.gpuMoeGB ?? Infinity;
+  [['denseGB', parts.denseGB], ['kvGB', parts.kvGB], ['moeGB', parts.moeGB]].forEach(([key, sizeGB]) => {
+    let remaining = sizeGB;
+    const fill = (capGpuMoe) => {
+      for (const p of fillOrder) {
+        if (remaining <= 0) break;
+        const capped = capGpuMoe && key === 'moeGB' && p.tier.kind === 'gpu';
+        const take = Math.min(remaining, Math.max(p.tier.capacityGB - p.usedGB, 0), capped ? gpuMoeLeftGB : Infinity);
+        if (capped) gpuMoeLeftGB -= take;
+        p[key] += take;
+        p.usedGB += take;
+        remaining -= take;
+      }
+    };
+    fill(true);
+    if (key === 'moeGB') fill(false);
+    if (remaining > 0 && fillOrder.length > 0) {
+      const slowest = fillOrder[fillOrder.length - 1];
+      slowest[key] += remaining;
+      slowest.usedGB += remaining;
+      overflowGB += remaining;
+    }
+  });
+  return { tiers: placements, overflowGB, fits: fillOrder.length > 0 && overflowGB === 0 };
+}
+
+// Per-expert share of routing picks in one layer, hottest first.  Uniform
+// routing returns null so callers keep the plain proportional model.  Zipf
+// gives the expert of rank i a weight of 1 / i^s; a histogram of pick counts
+// is used as measured, with its length as the expert count.
+function computeRoutingDistribution({ kind, expertsPerLayer, zipfS, histogram }) {
+  let weights = null;
+  if (kind === 'zipf' && expertsPerLayer > 0) {
+    weights = Array.from({ length: expertsPerLayer }, (_, i) => 1 / Math.pow(i + 1, zipfS));
+  } else if (kind === 'histogram' && histogram && histogram.length > 0) {
+    weights = histogram.slice();
+  }
+  if (!weights) return null;
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (!(total > 0)) return null;
+  return weights.sort((a, b) => b - a).map((w) => w / total);
+}
+
+// Pick counts per expert, separated by commas or whitespace.  Returns null
+// unless every entry is a non-negative number.
+function parseExpertHistogram(text) {
+  const tokens = String(text || '').split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+  const counts = tokens.map(Number);
+  return counts.every((n) => Number.isFinite(n) && n >= 0) ? counts : null;
+}
+
+// Sum of per-expert values over a fractional range of expert ranks, so a
+// tier holding 2.5 experts' worth of weights gets half of the third expert.
+function sumExpertRange(values, start, end) {
+  let sum = 0;
+  for (let i = Math.max(0, Math.floor(start)); i < Math.min(values.length, Math.ceil(end)); i++) {
+    sum += values[i] * Math.max(0, Math.min(end, i + 1) - Math.max(start, i));
+  }
+  return sum;
+}
+
+// Share of expert reads served by the hottest `cachedExperts` experts.
+function computeExpertCacheHitRate(probs, cachedExperts) {
+  return sumExpertRange(probs, 0, cachedExperts);
+}
+
+// Hot experts are pinned on the fastest tiers, so each tier holds a range of
+// expert ranks.  Its share of decode reads is the routing mass of that range
+// and its share of prefill reads the experts in it that P tokens touch, where
+// an expert picked with probability min(1, N × p) per token is touched with
+// probability 1 - (1 - min(1, N × p))^P.
+function computeExpertShares(placement, moeTotalGB, routing, promptLength) {
+  const expertCount = routing.probs.length;
+  const touched = routing.probs.map((p) => 1 - Math.pow(1 - Math.min(1, routing.activeExperts * p), promptLength));
+  const shares = placement.tiers.map(() => ({ readShare: 0, touchedShare: 0 }));
+  const fillOrder = placement.tiers
+    .map((p, index) => index)
+    .filter((index) => placement.tiers[index].moeGB > 0)
+    .sort((a, b) => placement.tiers[b].tier.bw - placement.tiers[a].tier.bw);
+  let start = 0;
+  fillOrder.forEach((index) => {
+    const end = start + placement.tiers[index].moeGB / moeTotalGB * expertCount;
+    shares[index] = {
+      readShare: sumExpertRange(routing.probs, start, end),
+      touchedShare: sumExpertRange(touched, start, end) / expertCount,
+    };
+    start = end;
+  });
+  return { shares, touchedFraction: touched.reduce((sum, t) => sum + t, 0) / expertCount };
+}
+
+// Decode and prefill estimates for a placement.  Every active parameter costs
+// 2 FLOPs (multiply + add) per token, executed by the tier that holds it.
+// Decode reads each tier's always-active weights and one sequence's KV cache
+// (the cache holds r.batchSize of them) plus the active/total share of its
+// experts once per token.  Prefill reads each weight once for the whole
+// prompt but runs every prompt token through it; the share of experts
+// touched by P tokens that each pick active/total of them is
+// 1 - (1 - active/total)^P.  A caller that knows k of E experts are routed
+// gives r.routedFraction = k/E: the distinct experts then follow
+// 1 - (1 - k/E)^P, scaled by (active/total) ÷ (k/E) so that one token still
+// reads exactly its active parameters, as in decode.  With skewed routing (r.routing) the expert shares come from
+// computeExpertShares instead.  Tiers run one after another, so their times
+// add up.
+function computeRoofline(r) {
+  const promptLength = r.promptLength;
+  const activeMoeFraction = r.totalMoeParams > 0 ? Math.min(1, r.activeMoeParams / r.totalMoeParams) : 0;
+  const routedFraction = r.routedFraction ?? activeMoeFraction;
+  const sequences = r.batchSize > 1 ? r.batchSize : 1;
+  const skew = r.routing && r.moeTotalGB > 0 ? computeExpertShares(r.placement, r.moeTotalGB, r.routing, promptLength) : null;
+  // Share of the experts of a layer that at least one of the P tokens picks
+  const pickedFraction = skew ? skew.touchedFraction : 1 - Math.pow(1 - routedFraction, promptLength);
+  const touchedMoeFraction = r.totalMoeParams > 0
+    ? (skew ? skew.touchedFraction : Math.min(1, routedFraction > 0 ? pickedFraction * activeMoeFraction / routedFraction : pickedFraction))
+    : 0;
+
+  const tiers = r.placement.tiers.map(({ tier, denseGB, kvGB, moeGB }, index) => {
+    const denseFraction = r.denseSizeGB > 0 ? denseGB / r.denseSizeGB : 0;
+    const moeFraction = r.moeTotalGB > 0 ? moeGB / r.moeTotalGB : 0;
+    const moeReadShare = skew ? skew.shares[index].readShare : moeFraction;
+    const decodeMoeGB = skew ? r.moeTotalGB * activeMoeFraction * moeReadShare : moeGB * activeMoeFraction;
+    const prefillMoeGB = skew ? r.moeTotalGB * skew.shares[index].touchedShare : moeGB * touchedMoeFraction;
+    const flopsPerToken = 2 * (denseFraction * r.denseParams + moeReadShare * r.activeMoeParams);
+    return {
+      tier,
+      moeReadShare,
+      decode: computeDeviceTime(denseGB + kvGB / sequences + decodeMoeGB, tier.bw, flopsPerToken, tier.tflops),
+      prefill: computeDeviceTime(denseGB + kvGB + prefillMoeGB, tier.bw, flopsPerToken * promptLength, tier.tflops),
+    };
+  });
+  const decodeMs = tiers.reduce((sum, t) => sum + t.decode.ms, 0);
+  const prefillMs = tiers.reduce((sum, t) => sum + t.prefill.ms, 0);
+
+  return {
+    tiers,
+    decode: {
+      ms: decodeMs,
+      tokensPerSec: decodeMs > 0 ? 1000 / decodeMs : 0,
+    },
+    prefill: {
+      activeMoeFraction,
+      routedFraction,
+      pickedFraction,
+      touchedMoeFraction,
+      ms: prefillMs,
+      tokensPerSec: prefillMs > 0 ? promptLength * 1000 / prefillMs : 0,
+    },
+  };
+}
+
+// Split the model evenly across GPUs for tensor or pipeline parallelism.
+// Both modes keep every weight on the GPUs, so anything beyond a GPU's
+// capacity is reported as overflow rather than spilled to system RAM.  Each
+// GPU also holds its own runtime overhead.
+function splitAcrossDevices(tiers, parts) {
+  const count = tiers.length;
+  let overflowGB = 0;
+  const placements = tiers.map((tier) => {
+    const overheadGB = parts.overheadGB || 0;
+    const denseGB = parts.denseGB / count;
+    const kvGB = parts.kvGB / count;
+    const moeGB = parts.moeGB / count;
+    const usedGB = overheadGB + denseGB + kvGB + moeGB;
+    overflowGB += Math.max(0, usedGB - tier.capacityGB);
+    return { tier, overheadGB, denseGB, kvGB, moeGB, usedGB };
+  });
+  return { tiers: placements, overflowGB, fits: count > 0 && overflowGB === 0 };
+}
+
+// Interconnect time for one forward pass over `tokens` tokens.  Each message
+// carries tokens × hidden size activations.  Tensor parallelism all-reduces
+// after attention and after the FFN in every layer; a ring all-reduce takes
+// 2(N - 1) steps that each move 1/N of the message.  Pipeline parallelism
+// hands the activations from one stage to the next N - 1 times.
+function computeCommunication(r, deviceCount, tokens) {
+  if (deviceCount <= 1 || (r.mode !== 'tensor' && r.mode !== 'pipeline')) {
+    return { messageBytes: 0, steps: 0, bytesPerDevice: 0, ms: 0 };
+  }
+  const messageBytes = tokens * r.hiddenSize * r.activationBytes;
+  const allReduces = 2 * r.layerCount;
+  const steps = r.mode === 'tensor' ? allReduces * 2 * (deviceCount - 1) : deviceCount - 1;
+  const bytesPerDevice = r.mode === 'tensor'
+    ? allReduces * 2 * (deviceCount - 1) / deviceCount * messageBytes
+    : (deviceCount - 1) * messageBytes;
+  const transferMs = bytesPerDevice <= 0 ? 0 : (r.linkBw > 0 ? bytesPerDevice / (r.linkBw * 1e9) * 1000 : Infinity);
+  return {
+    messageBytes,
+    steps,
+    bytesPerDevice,
+    ms: steps * r.linkLatencyUs / 1000 + transferMs,
+  };
+}
+
+// Speed estimate for a parallelism mode.  Offload places the model across all
+// tiers and runs them one after another.  Tensor parallelism splits every
+// layer across the GPUs, which work at the same time, so the slowest GPU sets
+// the pace.  Pipeline parallelism gives each GPU a contiguous block of layers
+// that a single sequence visits in turn, so stage times add up.  Both
+// parallel modes add the interconnect time on top and spread every expert
+// evenly, so routing skew only matters when offloading.
+function computeSpeedEstimate(r) {
+  const parallel = r.mode === 'tensor' || r.mode === 'pipeline';
+  // A set number of cached experts per layer limits the expert bytes on the GPUs
+  const expertCount = r.routing ? r.routing.probs.length : r.expertsPerLayer;
+  const gpuMoeGB = !parallel && r.cachedExperts != null && expertCount > 0
+    ? Math.min(r.cachedExperts, expertCount) / expertCount * r.moeTotalGB
+    : null;
+  const parts = { denseGB: r.denseSizeGB, kvGB: r.kvCacheSizeGB, moeGB: r.moeTotalGB, overheadGB: r.runtimeOverheadGB, gpuMoeGB };
+  const placement = parallel
+    ? splitAcrossDevices(r.tiers.filter((tier) => tier.kind === 'gpu' && tier.bw > 0), parts)
+    : placeModel(r.tiers, parts);
+  const roofline = computeRoofline({ ...r, placement, routing: parallel ? null : r.routing });
+  const deviceCount = placement.tiers.length;
+  const deviceMs = (phase) => (r.mode === 'tensor'
+    ? Math.max(0, ...roofline.tiers.map((t) => t[phase].ms))
+    : roofline[phase].ms);
+  const decodeComm = computeCommunication(r, deviceCount, 1);
+  const prefillComm = computeCommunication(r, deviceCount, r.promptLength);
+  const decodeMs = deviceMs('decode') + decodeComm.ms;
+  const prefillMs = deviceMs('prefill') + prefillComm.ms;
+
+  return {
+    mode: r.mode,
+    placement,
+    tiers: roofline.tiers,
+    decode: {
+      deviceMs: deviceMs('decode'),
+      communication: decodeComm,
+      ms: decodeMs,
+      tokensPerSec: decodeMs > 0 ? 1000 / decodeMs : 0,
+    },
+    prefill: {
+      activeMoeFraction: roofline.prefill.activeMoeFraction,
+      routedFraction: roofline.prefill.routedFraction,
+      pickedFraction: roofline.prefill.pickedFraction,
+      touchedMoeFraction: roofline.prefill.touchedMoeFraction,
+      deviceMs: deviceMs('prefill'),
+      communication: prefillComm,
+      ms: prefillMs,
+      tokensPerSec: prefillMs > 0 ? r.promptLength * 1000 / prefillMs : 0,
+    },
+  };
+}
+
+// Expected tokens produced per draft-and-verify step when each of the k
+// drafted tokens is accepted with probability α until the first rejection,
+// plus the one token the verify pass always yields:
+// 1 + α + α² + … + α^k = (1 - α^(k+1)) ÷ (1 - α).
+function computeExpectedTokensPerStep(draftLength, acceptanceRate) {
+  if (acceptanceRate >= 1) return draftLength + 1;
+  return (1 - Math.pow(acceptanceRate, draftLength + 1)) / (1 - acceptanceRate);
+}
+
+// Speculative decoding on top of a speed estimate.  The drafter (an MTP head
+// or a separate small model) is placed in whatever memory the target left
+// free and runs k single-token decode steps; the target then verifies all
+// k + 1 positions in one forward pass, which costs the same as a k + 1 token
+// prefill.  The drafter's KV cache is not counted and it shares the target's
+// runtime overhead.  Only the hardware settings carry over from the target;
+// the drafter's own counts and shape come from r.draft, and its experts are
+// read with plain active/total routing.
+function computeSpeculativeDecoding(r) {
+  const draftLength = r.draftLength;
+  const usedGB = new Map(r.estimate.placement.tiers.map((p) => [p.tier, p.usedGB]));
+  const freeTiers = r.tiers.map((tier) => ({ ...tier, capacityGB: Math.max(tier.capacityGB - (usedGB.get(tier) || 0), 0) }));
+  const draft = computeSpeedEstimate({
+    mode: r.mode,
+    tiers: freeTiers,
+    denseParams: r.draft.denseParams,
+    activeMoeParams: r.draft.activeMoeParams,
+    totalMoeParams: r.draft.totalMoeParams,
+    denseSizeGB: r.draft.denseSizeGB,
+    moeTotalGB: r.draft.moeTotalGB,
+    kvCacheSizeGB: 0,
+    runtimeOverheadGB: 0,
+    promptLength: 1,
+    hiddenSize: r.draft.hiddenSize,
+    layerCount: r.draft.layerCount,
+    activationBytes: r.activationBytes,
+    linkBw: r.linkBw,
+    linkLatencyUs: r.linkLatencyUs,
+    routing: null,
+  });
+  const verify = computeSpeedEstimate({ ...r, promptLength: draftLength + 1 });
+  const expectedTokens = computeExpectedTokensPerStep(draftLength, r.acceptanceRate);
+  const stepMs = draftLength * draft.decode.ms + verify.prefill.ms;
+  const tokensPerSec = stepMs > 0 ? expectedTokens * 1000 / stepMs : 0;
+  return {
+    draft,
+    verify,
+    draftMs: draft.decode.ms,
+    verifyMs: verify.prefill.ms,
+    expectedTokens,
+    stepMs,
+    tokensPerSec,
+    speedup: r.estimate.decode.tokensPerSec > 0 ? tokensPerSec / r.estimate.decode.tokensPerSec : 0,
+    fits: r.estimate.placement.fits && draft.placement.fits,
+  };
+}
+
+// Batched decode: B sequences each add one token per step.  A step reads the
+// always-active weights and the whole batch's KV cache once plus every expert
+// any of the B tokens routes to, and runs B tokens' worth of FLOPs, so it
+// costs the same as a B-token prefill.  Under uniform routing each expert of
+// a layer is loaded with probability 1 - (1 - k/E)^B; a batch of one reads
+// exactly what plain decode does.
+function computeBatchDecode(r) {
+  const routedFraction = r.expertsPerLayer > 0 && r.activeExperts > 0 ? Math.min(1, r.activeExperts / r.expertsPerLayer) : undefined;
+  const batch = computeSpeedEstimate({ ...r, promptLength: r.batchSize, routedFraction });
+  const stepMs = batch.prefill.ms;
+  return {
+    estimate: batch,
+    touchedMoeFraction: batch.prefill.touchedMoeFraction,
+    uniqueExperts: (r.expertsPerLayer || 0) * batch.prefill.pickedFraction,
+    bytesGB: batch.tiers.reduce((sum, t) => sum + t.prefill.bytesGB, 0),
+    stepMs,
+    aggregateTokensPerSec: stepMs > 0 ? r.batchSize * 1000 / stepMs : 0,
+    perUserTokensPerSec: stepMs > 0 ? 1000 / stepMs : 0,
+  };
+}
+
 function getModelDisplayName(model) {
   return modelDisplayNames[model] || model;
 }
 
-function populateModelSelect() {
-  const select = document.getElementById('model-select');
+function populateModelSelect(selectId = 'model-select') {
+  const select = document.getElementById(selectId);
   const modelOrder = globalThis.PARAMCALC_PRESETS?.modelOrder || [];
 
   modelOrder.forEach((model) => {
@@ -203,33 +621,217 @@ function populateModelSelect() {
   });
 }
 
+const kvGeometryFieldIds = [
+  'kv_full_layers',
+  'kv_sliding_layers',
+  'kv_sliding_window',
+  'kv_linear_layers',
+  'kv_heads',
+  'kv_head_dim',
+  'kv_latent_dim',
+];
+
+// Prefill KV cache geometry from the preset's architecture block
+function prefillKvGeometry(architecture) {
+  kvGeometryFieldIds.forEach((id) => {
+    document.getElementById(id).value = '';
+  });
+  if (!architecture) return;
+
+  const latentDim = (architecture.kv_lora_rank || 0) + (architecture.qk_rope_head_dim || 0);
+  document.getElementById('kv_full_layers').value = architecture.full_attention_layers || 0;
+  document.getElementById('kv_sliding_layers').value = architecture.sliding_attention_layers || 0;
+  document.getElementById('kv_sliding_window').value = architecture.sliding_window || '';
+  document.getElementById('kv_linear_layers').value = architecture.linear_attention_layers || 0;
+  document.getElementById('kv_heads').value = architecture.num_key_value_heads || '';
+  document.getElementById('kv_head_dim').value = architecture.head_dim || '';
+  document.getElementById('kv_latent_dim').value = latentDim || '';
+}
+
+// Fill a select with the scheme library grouped by family, optionally led by
+// a "Default" choice
+function populateSchemeSelect(select, withDefault, selectedKey) {
+  if (withDefault) {
+    const opt = document.createElement('option');
+    opt.value = '';
+    opt.textContent = 'Default';
+    select.appendChild(opt);
+  }
+  const groups = new Map();
+  quantSchemes.forEach((scheme) => {
+    if (!groups.has(scheme.family)) {
+      const group = document.createElement('optgroup');
+      group.label = scheme.family;
+      groups.set(scheme.family, group);
+      select.appendChild(group);
+    }
+    const opt = document.createElement('option');
+    opt.value = scheme.key;
+    opt.textContent = formatSchemeLabel(scheme);
+    groups.get(scheme.family).appendChild(opt);
+  });
+  select.value = selectedKey || '';
+}
+
+// Build the quantization plan table: one row per tensor class, then the
+// computed "other always-active" and routed expert rows whose types are the
+// default always-active and expert types.
+function buildQuantPlanRows() {
+  const body = document.getElementById('quant-plan-body');
+  const rows = [
+    ...quantPlanClasses.map((c) => ({ ...c, paramsId: `quant_${c.key}_params`, schemeId: `quant_${c.key}_scheme` })),
+    { label: 'Other always-active', refs: '', paramsId: 'quant_other_params', schemeId: 'dense_quantization', computed: true, defaultScheme: 'q8_0' },
+    { label: 'Routed experts', refs: 'Z20, Z24', paramsId: 'quant_routed_params', schemeId: 'moe_quantization', computed: true, defaultScheme: 'q8_0' },
+  ];
+  rows.forEach((row) => {
+    const tr = document.createElement('tr');
+    const paramsCell = row.computed
+      ? `<output id="${row.paramsId}">0</output>`
+      : `<input type="number" id="${row.paramsId}" min="0" step="1" aria-label="${row.label} parameters" />`;
+    tr.innerHTML = `
+      <th scope="row">${row.label}${row.refs ? ` <span class="quant-plan-refs">${row.refs}</span>` : ''}</th>
+      <td>${paramsCell}</td>
+      <td><select id="${row.schemeId}" aria-label="${row.label} type"></select></td>`;
+    body.appendChild(tr);
+    populateSchemeSelect(tr.querySelector('select'), !row.computed, row.defaultScheme);
+    if (!row.computed) {
+      tr.querySelector('input').addEventListener('input', updateQuantPlanTotals);
+    }
+  });
+}
+
+// Read the per-class rows of the quantization plan; classes left on
+// "Default" have no scheme and no bits of their own
+function getQuantPlanClasses(rowLength) {
+  return quantPlanClasses.map((c) => {
+    const scheme = findQuantScheme(document.getElementById(`quant_${c.key}_scheme`).value);
+    return {
+      key: c.key,
+      label: c.label,
+      params: parseFloat(document.getElementById(`quant_${c.key}_params`).value) || 0,
+      scheme,
+      bits: scheme ? getSchemeBits(scheme, rowLength) : null,
+    };
+  });
+}
+
+// Refresh the computed "other always-active" and routed expert counts
+function updateQuantPlanTotals() {
+  const totalParams = parseFloat(document.getElementById('total_params').value) || 0;
+  const denseParams = parseFloat(document.getElementById('dense_params').value) || 0;
+  const claimedParams = getQuantPlanClasses().reduce((sum, c) => sum + c.params, 0);
+  document.getElementById('quant_other_params').value = formatNumber(Math.max(0, denseParams - claimedParams));
+  document.getElementById('quant_routed_params').value = formatNumber(Math.max(0, totalParams - denseParams));
+}
+
+// Prefill the per-class parameter counts of the quantization plan
+function prefillQuantPlanParams(classParams) {
+  quantPlanClasses.forEach(({ key }) => {
+    document.getElementById(`quant_${key}_params`).value = classParams ? classParams[key] : '';
+  });
+  updateQuantPlanTotals();
+}
+
 // Prefill model fields based on selection
 function prefillModel(model) {
   const totalParamsEl = document.getElementById('total_params');
   const denseParamsEl = document.getElementById('dense_params');
   const moeParamsEl = document.getElementById('moe_params');
-  const kvCacheEl = document.getElementById('kv_cache');
+  const hiddenSizeEl = document.getElementById('hidden_size');
+  const layerCountEl = document.getElementById('layer_count');
+  const expertsPerLayerEl = document.getElementById('experts_per_layer');
+  const activeExpertsEl = document.getElementById('active_experts');
 
   if (model === 'custom') {
-    // Custom – clear fields including KV cache
+    // Custom – clear fields including KV cache geometry
     totalParamsEl.value = '';
     denseParamsEl.value = '';
     moeParamsEl.value = '';
-    kvCacheEl.value = '';
+    hiddenSizeEl.value = '';
+    layerCountEl.value = '';
+    expertsPerLayerEl.value = '';
+    activeExpertsEl.value = '';
+    prefillKvGeometry(null);
+    prefillQuantPlanParams(null);
     return;
   }
 
   const preset = getModelPreset(model);
+  prefillKvGeometry(getModelArchitecture(model));
   if (!preset) {
     totalParamsEl.value = '';
     denseParamsEl.value = '';
     moeParamsEl.value = '';
+    hiddenSizeEl.value = '';
+    layerCountEl.value = '';
+    expertsPerLayerEl.value = '';
+    activeExpertsEl.value = '';
+    prefillQuantPlanParams(null);
     return;
   }
 
   totalParamsEl.value = preset.totalParams;
   denseParamsEl.value = preset.denseParams;
   moeParamsEl.value = preset.moeParams;
+  hiddenSizeEl.value = preset.hiddenSize || '';
+  layerCountEl.value = preset.layerCount || '';
+  expertsPerLayerEl.value = preset.expertsPerLayer || '';
+  activeExpertsEl.value = preset.activeExperts || '';
+  prefillQuantPlanParams(preset.classParams);
+}
+
+const drafterFieldIds = ['draft_total_params', 'draft_dense_params', 'draft_moe_params', 'draft_layer_count', 'draft_hidden_size'];
+
+function setDrafterFields(counts) {
+  const values = counts ? [counts.totalParams, counts.denseParams, counts.moeParams, counts.layerCount, counts.hiddenSize] : [];
+  drafterFieldIds.forEach((id, index) => {
+    document.getElementById(id).value = values[index] ?? '';
+  });
+}
+
+// Prefill the drafter for the chosen speculative decoding mode.  An MTP head
+// is modelled separately from the target, so a `foo-mtp` target is swapped
+// for its `foo` base preset to keep the head from being counted twice.
+function prefillDrafter() {
+  const mode = document.getElementById('spec_mode').value;
+  if (mode === 'mtp') {
+    const modelSelect = document.getElementById('model-select');
+    const head = computeMtpHead(modelSelect.value);
+    if (head && modelSelect.value !== head.base) {
+      modelSelect.value = head.base;
+      prefillModel(head.base);
+    }
+    setDrafterFields(head);
+  } else if (mode === 'draft') {
+    const draftModel = document.getElementById('draft-model-select').value;
+    if (draftModel !== 'custom') setDrafterFields(getModelPreset(draftModel));
+  }
+}
+
+// The param calculator's "Send to speed calculator" action opens this page
+// with its counts JSON-encoded in the hash (#paramcalc=...).
+function parseParamcalcHandoff(hash) {
+  const match = String(hash || '').match(/^#?paramcalc=(.*)$/);
+  if (!match) return null;
+  try {
+    const handoff = JSON.parse(decodeURIComponent(match[1]));
+    return handoff && typeof handoff === 'object' ? handoff : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function applyParamcalcHandoff(handoff) {
+  document.getElementById('model-select').value = 'custom';
+  document.getElementById('total_params').value = handoff.totalParams ?? '';
+  document.getElementById('dense_params').value = handoff.alwaysActiveParams ?? '';
+  document.getElementById('moe_params').value = handoff.activeExpertParams ?? '';
+  document.getElementById('hidden_size').value = handoff.hiddenSize || '';
+  document.getElementById('layer_count').value = handoff.layerCount || '';
+  document.getElementById('experts_per_layer').value = handoff.expertsPerLayer || '';
+  document.getElementById('active_experts').value = handoff.activeExperts || '';
+  prefillKvGeometry(handoff.architecture || null);
+  prefillQuantPlanParams(handoff.classParams || null);
 }
 
 // GPU presets definition.  Each entry defines a friendly name along with
@@ -258,36 +860,54 @@ function prefillModel(model) {
 //【233235703089481†L120-L167】, the A100 in 2020【522355814013881†L66-L70】, the H100 in
 // 2022【226245728211610†L66-L68】 and the B200 in 2024【655953145353578†L64-L108】.  See
 // script.js comments at top for bandwidth citations.
+// Compute figures are dense (non-sparse) tensor TFLOPS per precision from
+// the same manufacturer datasheets.  A null entry means the GPU has no native
+// path for that precision, so inference falls back to the FP16 rate; the P40,
+// P100 and Radeon VII have no matrix units and list plain shader throughput.
 const gpuPresets = [
-  { key: 'custom', name: 'Custom (enter your own values)', vram: null, bw: null },
+  { key: 'custom', name: 'Custom (enter your own values)', vram: null, bw: null, tflops: null },
   // NVIDIA consumer GPUs
-  { key: 'rtx3060', name: 'NVIDIA GeForce RTX 3060 (8 GB, 240 GB/s)', vram: 8, bw: 240 },
-  { key: 'rtx3090', name: 'NVIDIA GeForce RTX 3090 (24 GB, 936 GB/s)', vram: 24, bw: 936 },
-  { key: 'rtx4060', name: 'NVIDIA GeForce RTX 4060 (8 GB, 272 GB/s)', vram: 8, bw: 272 },
-  { key: 'rtx4060ti', name: 'NVIDIA GeForce RTX 4060 Ti (16 GB, 288 GB/s)', vram: 16, bw: 288 },
-  { key: 'rtx4070', name: 'NVIDIA GeForce RTX 4070 (12 GB, 504 GB/s)', vram: 12, bw: 504 },
-  { key: 'rtx4090', name: 'NVIDIA GeForce RTX 4090 (24 GB, 1008 GB/s)', vram: 24, bw: 1008 },
-  { key: 'rtx5090', name: 'NVIDIA GeForce RTX 5090 (32 GB, 1792 GB/s)', vram: 32, bw: 1792 },
+  { key: 'rtx3060', name: 'NVIDIA GeForce RTX 3060 (8 GB, 240 GB/s)', vram: 8, bw: 240, tflops: { fp16: 51, fp8: null, fp4: null } },
+  { key: 'rtx3090', name: 'NVIDIA GeForce RTX 3090 (24 GB, 936 GB/s)', vram: 24, bw: 936, tflops: { fp16: 142, fp8: null, fp4: null } },
+  { key: 'rtx4060', name: 'NVIDIA GeForce RTX 4060 (8 GB, 272 GB/s)', vram: 8, bw: 272, tflops: { fp16: 60, fp8: 121, fp4: null } },
+  { key: 'rtx4060ti', name: 'NVIDIA GeForce RTX 4060 Ti (16 GB, 288 GB/s)', vram: 16, bw: 288, tflops: { fp16: 88, fp8: 177, fp4: null } },
+  { key: 'rtx4070', name: 'NVIDIA GeForce RTX 4070 (12 GB, 504 GB/s)', vram: 12, bw: 504, tflops: { fp16: 117, fp8: 233, fp4: null } },
+  { key: 'rtx4090', name: 'NVIDIA GeForce RTX 4090 (24 GB, 1008 GB/s)', vram: 24, bw: 1008, tflops: { fp16: 330, fp8: 661, fp4: null } },
+  { key: 'rtx5090', name: 'NVIDIA GeForce RTX 5090 (32 GB, 1792 GB/s)', vram: 32, bw: 1792, tflops: { fp16: 419, fp8: 838, fp4: 1676 } },
   // NVIDIA workstation GPUs
-  { key: 'a5000', name: 'NVIDIA RTX A5000 (24 GB, 768 GB/s)', vram: 24, bw: 768 },
-  { key: 'a6000', name: 'NVIDIA RTX A6000 (48 GB, 768 GB/s)', vram: 48, bw: 768 },
-  { key: 'rtxpro6000', name: 'NVIDIA RTX Pro 6000 Blackwell (96 GB, 1792 GB/s)', vram: 96, bw: 1792 },
+  { key: 'a5000', name: 'NVIDIA RTX A5000 (24 GB, 768 GB/s)', vram: 24, bw: 768, tflops: { fp16: 111, fp8: null, fp4: null } },
+  { key: 'a6000', name: 'NVIDIA RTX A6000 (48 GB, 768 GB/s)', vram: 48, bw: 768, tflops: { fp16: 155, fp8: null, fp4: null } },
+  { key: 'rtxpro6000', name: 'NVIDIA RTX Pro 6000 Blackwell (96 GB, 1792 GB/s)', vram: 96, bw: 1792, tflops: { fp16: 504, fp8: 1007, fp4: 2015 } },
   // NVIDIA datacenter GPUs
-  { key: 'p40', name: 'NVIDIA P40 (24 GB, 346 GB/s)', vram: 24, bw: 346 },
-  { key: 'p100', name: 'NVIDIA P100 (16 GB, 732 GB/s)', vram: 16, bw: 732 },
-  { key: 'a100', name: 'NVIDIA A100 80GB (80 GB, 1940 GB/s)', vram: 80, bw: 1940 },
-  { key: 'h100', name: 'NVIDIA H100 80GB (80 GB, 2000 GB/s)', vram: 80, bw: 2000 },
-  { key: 'b200', name: 'NVIDIA B200 (192 GB, 8200 GB/s)', vram: 192, bw: 8200 },
+  { key: 'p40', name: 'NVIDIA P40 (24 GB, 346 GB/s)', vram: 24, bw: 346, tflops: { fp16: 11.8, fp8: null, fp4: null } },
+  { key: 'p100', name: 'NVIDIA P100 (16 GB, 732 GB/s)', vram: 16, bw: 732, tflops: { fp16: 19, fp8: null, fp4: null } },
+  { key: 'a100', name: 'NVIDIA A100 80GB (80 GB, 1940 GB/s)', vram: 80, bw: 1940, tflops: { fp16: 312, fp8: null, fp4: null } },
+  { key: 'h100', name: 'NVIDIA H100 80GB (80 GB, 2000 GB/s)', vram: 80, bw: 2000, tflops: { fp16: 756, fp8: 1513, fp4: null } },
+  { key: 'b200', name: 'NVIDIA B200 (192 GB, 8200 GB/s)', vram: 192, bw: 8200, tflops: { fp16: 2250, fp8: 4500, fp4: 9000 } },
   // AMD consumer GPUs
-  { key: 'radeonvii', name: 'AMD Radeon VII (16 GB, 1024 GB/s)', vram: 16, bw: 1024 },
-  { key: 'rx7900xtx', name: 'AMD Radeon RX 7900 XTX (24 GB, 960 GB/s)', vram: 24, bw: 960 },
+  { key: 'radeonvii', name: 'AMD Radeon VII (16 GB, 1024 GB/s)', vram: 16, bw: 1024, tflops: { fp16: 26.9, fp8: null, fp4: null } },
+  { key: 'rx7900xtx', name: 'AMD Radeon RX 7900 XTX (24 GB, 960 GB/s)', vram: 24, bw: 960, tflops: { fp16: 123, fp8: null, fp4: null } },
   // Intel consumer GPU
-  { key: 'arca770', name: 'Intel Arc A770 (16 GB, 560 GB/s)', vram: 16, bw: 560 }
+  { key: 'arca770', name: 'Intel Arc A770 (16 GB, 560 GB/s)', vram: 16, bw: 560, tflops: { fp16: 138, fp8: null, fp4: null } }
 ];
 
+// Dense TFLOPS a preset delivers at the chosen compute precision, falling back
+// to FP16 when the GPU has no native support for that precision.
+function getPresetTflops(preset, precision) {
+  if (!preset?.tflops) return null;
+  return preset.tflops[precision] ?? preset.tflops.fp16;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // Populate a GPU select element with preset options
-function populateGpuSelect(selectId) {
-  const select = document.getElementById(selectId);
+function populateGpuSelect(select) {
   gpuPresets.forEach(preset => {
     const opt = document.createElement('option');
     opt.value = preset.key;
@@ -296,134 +916,908 @@ function populateGpuSelect(selectId) {
   });
 }
 
-// Prefill GPU VRAM and bandwidth fields when a preset is selected
-function handleGpuPresetChange(selectId, vramInputId, bwInputId) {
-  const select = document.getElementById(selectId);
-  const vramInput = document.getElementById(vramInputId);
-  const bwInput = document.getElementById(bwInputId);
-  select.addEventListener('change', () => {
-    const selectedKey = select.value;
-    const preset = gpuPresets.find(p => p.key === selectedKey);
-    if (!preset) return;
+// Device rows a fresh page starts with.  System RAM gets a typical desktop
+// capacity so the fit check has a real limit from the start.
+const defaultDevices = [
+  { kind: 'gpu' },
+  { kind: 'ram', capacityGB: 64 },
+];
+
+let deviceRowCounter = 0;
+
+// Default name for a new device: "GPU 3", "System RAM", "RAM pool 2"
+function nextDeviceName(kind) {
+  const count = document.querySelectorAll(`.device-row[data-device-kind="${kind}"]`).length + 1;
+  if (kind === 'gpu') return `GPU ${count}`;
+  return count === 1 ? 'System RAM' : `RAM pool ${count}`;
+}
+
+// Fill a GPU row's TFLOPS field from its preset at the selected compute precision
+function prefillDeviceTflops(row) {
+  const select = row.querySelector('[data-device-field="preset"]');
+  const preset = select && gpuPresets.find(p => p.key === select.value);
+  if (!preset || preset.key === 'custom') return;
+  const precision = document.getElementById('compute_precision').value;
+  row.querySelector('[data-device-field="tflops"]').value = getPresetTflops(preset, precision);
+}
+
+// Disable the remove button when only one device is left
+function updateDeviceRemoveButtons() {
+  const buttons = document.querySelectorAll('#device-list .device-remove');
+  buttons.forEach((button) => {
+    button.disabled = buttons.length <= 1;
+  });
+}
+
+// Append a memory tier to the device list.  GPUs get a preset selector that
+// prefills capacity, bandwidth and TFLOPS; RAM pools are entered by hand.
+function addDeviceRow(kind, values = {}) {
+  const list = document.getElementById('device-list');
+  const id = `device-${++deviceRowCounter}`;
+  const isGpu = kind === 'gpu';
+  const row = document.createElement('div');
+  row.className = 'quantization-group device-row';
+  row.dataset.deviceKind = kind;
+  row.innerHTML = `
+    <div class="form-row quantization-row">
+      ${isGpu ? `<div class="form-group">
+        <label for="${id}-preset">GPU preset</label>
+        <select id="${id}-preset" data-device-field="preset"></select>
+      </div>` : ''}
+      <div class="form-group">
+        <label for="${id}-name">Name</label>
+        <input type="text" id="${id}-name" data-device-field="name" />
+      </div>
+    </div>
+    <div class="form-row quantization-row">
+      <div class="form-group">
+        <label for="${id}-capacity">${isGpu ? 'VRAM' : 'RAM'} capacity (GB)</label>
+        <input type="number" id="${id}-capacity" data-device-field="capacity" min="0" step="0.1" />
+      </div>
+      <div class="form-group">
+        <label for="${id}-bw">Bandwidth (GB/s)</label>
+        <input type="number" id="${id}-bw" data-device-field="bw" min="0" step="0.1" />
+      </div>
+      <div class="form-group">
+        <label for="${id}-tflops">${isGpu ? 'Compute (dense TFLOPS)' : 'CPU compute (TFLOPS)'}</label>
+        <input type="number" id="${id}-tflops" data-device-field="tflops" min="0" step="0.1" />
+      </div>
+    </div>
+    <div class="device-actions">
+      <button type="button" class="device-remove">Remove ${isGpu ? 'GPU' : 'RAM pool'}</button>
+    </div>`;
+
+  const field = (name) => row.querySelector(`[data-device-field="${name}"]`);
+  field('name').value = values.name || nextDeviceName(kind);
+  field('capacity').value = values.capacityGB ?? '';
+  field('bw').value = values.bw ?? '';
+  field('tflops').value = values.tflops ?? '';
+  if (isGpu) {
+    const select = field('preset');
+    populateGpuSelect(select);
+    select.value = values.preset || 'custom';
     // Only override values when a preset other than custom is chosen
-    if (preset.key !== 'custom') {
-      vramInput.value = preset.vram;
-      bwInput.value = preset.bw;
+    select.addEventListener('change', () => {
+      const preset = gpuPresets.find(p => p.key === select.value);
+      if (!preset || preset.key === 'custom') return;
+      field('capacity').value = preset.vram;
+      field('bw').value = preset.bw;
+      prefillDeviceTflops(row);
+    });
+  }
+  row.querySelector('.device-remove').addEventListener('click', () => {
+    row.remove();
+    updateDeviceRemoveButtons();
+    populateSweepAxisSelects();
+  });
+  field('name').addEventListener('change', populateSweepAxisSelects);
+  list.appendChild(row);
+  updateDeviceRemoveButtons();
+  populateSweepAxisSelects();
+  return row;
+}
+
+// Permalink state: every form field outside the device list by id, plus one
+// [kind, preset, name, capacity, bw, tflops] entry per device row.
+function collectSpeedFormState() {
+  const fields = {};
+  document.querySelectorAll('input[id], select[id], textarea[id]').forEach((el) => {
+    if (el.closest('#device-list')) return;
+    fields[el.id] = el.value;
+  });
+  const devices = Array.from(document.querySelectorAll('#device-list .device-row')).map((row) => {
+    const field = (name) => row.querySelector(`[data-device-field="${name}"]`)?.value ?? '';
+    return [row.dataset.deviceKind, field('preset'), field('name'), field('capacity'), field('bw'), field('tflops')];
+  });
+  return { fields, devices };
+}
+
+function applySpeedFormState(state) {
+  // Devices first, so sweep axes that name a device exist when fields are set
+  const devices = Array.isArray(state.devices) ? state.devices : [];
+  if (devices.length > 0) {
+    document.getElementById('device-list').innerHTML = '';
+    devices.forEach(([kind, preset, name, capacityGB, bw, tflops]) => {
+      addDeviceRow(kind === 'gpu' ? 'gpu' : 'ram', { preset, name, capacityGB, bw, tflops });
+    });
+  }
+  Object.entries(state.fields || {}).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (el && !el.closest('#device-list')) el.value = value;
+  });
+  updateQuantPlanTotals();
+}
+
+let stateSaveTimer = null;
+let stateSaveSeq = 0;
+
+function scheduleSpeedStateSave() {
+  clearTimeout(stateSaveTimer);
+  stateSaveTimer = setTimeout(() => {
+    const seq = ++stateSaveSeq;
+    encodeHashState(collectSpeedFormState())
+      .then((encoded) => {
+        if (seq === stateSaveSeq) history.replaceState(null, '', `#state=${encoded}`);
+      })
+      .catch(() => {});
+  }, 250);
+}
+
+async function restoreSpeedStateFromHash() {
+  const match = window.location.hash.match(/^#state=(.+)$/);
+  const state = match ? await decodeHashState(match[1]) : null;
+  if (!state) return false;
+  applySpeedFormState(state);
+  return true;
+}
+
+// Read the device list into memory tiers.  Every device needs its capacity
+// filled in, so a blank one is left missing (NaN).  Blank TFLOPS means
+// compute is not modelled for that tier.
+function getDeviceTiers() {
+  return Array.from(document.querySelectorAll('#device-list .device-row')).map((row) => {
+    const field = (name) => row.querySelector(`[data-device-field="${name}"]`).value.trim();
+    const capacity = field('capacity');
+    return {
+      name: field('name') || (row.dataset.deviceKind === 'gpu' ? 'GPU' : 'RAM'),
+      kind: row.dataset.deviceKind,
+      capacityGB: parseFloat(capacity),
+      bw: parseFloat(field('bw')),
+      tflops: parseFloat(field('tflops')) || 0,
+    };
+  });
+}
+
+// Roofline equation for one device: the larger of the memory and compute times
+function describeDeviceTime(device, bwGBs, tflops) {
+  const bandwidthEq = `${formatFloat(device.bytesGB, 4)} GB ÷ ${bwGBs} GB/s × 1000 ms/s = ${formatFloat(device.bandwidthMs, 3)} ms`;
+  if (!(tflops > 0)) return `${bandwidthEq} (compute not modelled)`;
+  const computeEq = `${formatNumber(Math.round(device.flops))} FLOPs ÷ (${tflops} TFLOPS × 1e12) × 1000 ms/s = ${formatFloat(device.computeMs, 3)} ms`;
+  return `max(${bandwidthEq}, ${computeEq}) → ${device.bound}-bound`;
+}
+
+// Batched decode results: experts loaded per step, bytes read, and the
+// aggregate and per-sequence speeds of B concurrent sequences.
+function renderBatchDecode(r) {
+  const batch = computeBatchDecode(r);
+  const B = formatNumber(r.batchSize);
+  let html = '<h2>Batched decode</h2>';
+  if (r.totalMoeParams > 0) {
+    html += '<div class="result-row">';
+    const skewed = r.routing && r.mode === 'offload';
+    const routed = !skewed && r.expertsPerLayer > 0 && r.activeExperts > 0;
+    const pickedEq = skewed
+      ? `average over ${formatNumber(r.routing.probs.length)} experts of 1 − (1 − min(1, ${formatNumber(r.activeExperts)} × routing share))^${B} sequences`
+      : `1 − (1 − ${routed ? `${formatNumber(r.activeExperts)} ÷ ${formatNumber(r.expertsPerLayer)}` : `${formatNumber(r.activeMoeParams)} ÷ ${formatNumber(r.totalMoeParams)}`})^${B} sequences`;
+    const touchedEq = `${pickedEq} = ${formatFloat(batch.touchedMoeFraction, 4)}`;
+    if (r.expertsPerLayer > 0) {
+      html += '<span class="result-title">Unique experts loaded per layer per step:</span>';
+      html += `<span class="result-value">${formatFloat(batch.uniqueExperts, 2)} of ${formatNumber(r.expertsPerLayer)}</span>`;
+      html += `<div class="equation">${formatNumber(r.expertsPerLayer)} experts × (${pickedEq}) = ${formatFloat(batch.uniqueExperts, 2)} experts</div>`;
+      if (routed) {
+        // Scaled so a single sequence reads exactly its active expert parameters
+        html += `<div class="equation">Share of expert bytes loaded: min(1, (${pickedEq}) × (${formatNumber(r.activeMoeParams)} ÷ ${formatNumber(r.totalMoeParams)}) ÷ (${formatNumber(r.activeExperts)} ÷ ${formatNumber(r.expertsPerLayer)})) = ${formatFloat(batch.touchedMoeFraction, 4)}</div>`;
+      }
+    } else {
+      html += '<span class="result-title">Share of experts loaded per step:</span>';
+      html += `<span class="result-value">${formatFloat(batch.touchedMoeFraction * 100, 2)}&nbsp;%</span>`;
+      html += `<div class="equation">${touchedEq}</div>`;
     }
-    // For custom, leave existing values unchanged
-    syncSingleGpu();
-  });
-}
-
-// Keep GPU2 bandwidth synced and enforce single GPU values
-function syncSingleGpu() {
-  const checkbox = document.getElementById('single-gpu');
-  if (checkbox && checkbox.checked) {
-    const gpu1Bw = document.getElementById('gpu1_bw').value;
-    document.getElementById('gpu2_bw').value = gpu1Bw;
-  }
-}
-
-// Enable or disable GPU2 fields based on Single GPU checkbox
-function updateSingleGpuState() {
-  const checkbox = document.getElementById('single-gpu');
-  if (!checkbox) return;
-  const gpu2Select = document.getElementById('gpu2-select');
-  const gpu2Vram = document.getElementById('gpu2_vram');
-  const gpu2Bw = document.getElementById('gpu2_bw');
-  const gpu2Fields = document.querySelectorAll('[data-gpu2-field]');
-  if (checkbox.checked) {
-    gpu2Select.disabled = true;
-    gpu2Vram.disabled = true;
-    gpu2Bw.disabled = true;
-    gpu2Select.value = 'custom';
-    gpu2Vram.value = 0;
-    gpu2Bw.value = document.getElementById('gpu1_bw').value;
-    gpu2Fields.forEach((field) => field.classList.add('is-disabled'));
+    html += '</div>';
+  }
+  html += '<div class="result-row">';
+  html += '<span class="result-title">Bytes read per step:</span>';
+  html += `<span class="result-value">${formatFloat(batch.bytesGB, 4)}&nbsp;GB</span>`;
+  html += `<div class="equation">${formatFloat(r.denseSizeGB, 4)} GB always-active + ${formatFloat(r.kvCacheSizeGB, 4)} GB KV cache + ${formatFloat(r.moeTotalGB, 4)} GB experts × ${formatFloat(batch.touchedMoeFraction, 4)} loaded = ${formatFloat(batch.bytesGB, 4)} GB</div>`;
+  html += '</div>';
+  html += '<div class="result-row">';
+  html += '<span class="result-title">Time per batched step:</span>';
+  html += `<span class="result-value">${formatFloat(batch.stepMs, 3)}&nbsp;ms</span>`;
+  html += `<div class="equation">${B} tokens through every used device, timed like a ${B}-token prefill = ${formatFloat(batch.stepMs, 3)} ms</div>`;
+  html += '</div>';
+  html += '<div class="result-row">';
+  html += '<span class="result-title">Aggregate tokens per second:</span>';
+  html += `<span class="result-value">${formatFloat(batch.aggregateTokensPerSec, 2)}&nbsp;tokens/s</span>`;
+  html += `<div class="equation">${B} sequences × 1000 ms/s ÷ ${formatFloat(batch.stepMs, 3)} ms = ${formatFloat(batch.aggregateTokensPerSec, 2)} tokens/s</div>`;
+  html += '</div>';
+  html += '<div class="result-row">';
+  html += '<span class="result-title">Tokens per second per sequence:</span>';
+  html += `<span class="result-value">${formatFloat(batch.perUserTokensPerSec, 2)}&nbsp;tokens/s</span>`;
+  html += `<div class="equation">1000 ms/s ÷ ${formatFloat(batch.stepMs, 3)} ms = ${formatFloat(batch.perUserTokensPerSec, 2)} tokens/s</div>`;
+  html += '</div>';
+  return html;
+}
+
+// Speculative decoding results: drafter size, the draft and verify times of
+// one step, and the effective decode speed they add up to.  The drafter has
+// no per-class counts, so its always-active weights take the plan's average
+// bits per weight.
+function renderSpeculativeDecoding(r) {
+  const { draftCounts, draftLength, quantPlan, moeQuantBits } = r;
+  const denseBits = quantPlan.denseBits;
+  const acceptanceRate = r.acceptancePct / 100;
+  const draftMoeTotal = Math.max(draftCounts.totalParams - draftCounts.denseParams, 0);
+  const draftDenseGB = draftCounts.denseParams * denseBits / 8 / 1e9;
+  const draftMoeGB = draftMoeTotal * moeQuantBits / 8 / 1e9;
+  const spec = computeSpeculativeDecoding({
+    ...r,
+    draftLength,
+    acceptanceRate,
+    draft: {
+      denseParams: draftCounts.denseParams,
+      activeMoeParams: draftCounts.moeParams,
+      totalMoeParams: draftMoeTotal,
+      denseSizeGB: draftDenseGB,
+      moeTotalGB: draftMoeGB,
+      layerCount: draftCounts.layerCount,
+      hiddenSize: draftCounts.hiddenSize,
+    },
+  });
+  const drafterLabel = r.specMode === 'mtp' ? 'MTP head' : 'draft model';
+  const alpha = formatFloat(acceptanceRate, 4);
+
+  let html = '<h2>Speculative decoding</h2>';
+  html += '<div class="result-row">';
+  html += `<span class="result-title">Size of the ${drafterLabel}:</span>`;
+  html += `<span class="result-value">${formatFloat(draftDenseGB + draftMoeGB, 4)}&nbsp;GB</span>`;
+  html += `<div class="equation">${formatNumber(draftCounts.denseParams)} params × (${formatFloat(denseBits, 5)} bits/param ÷ 8 bits/byte) ÷ 1e9 bytes/GB + ${formatNumber(draftMoeTotal)} expert params × (${formatFloat(moeQuantBits, 5)} bits/param ÷ 8 bits/byte) ÷ 1e9 bytes/GB = ${formatFloat(draftDenseGB + draftMoeGB, 4)} GB</div>`;
+  if (!spec.draft.placement.fits) {
+    html += `<div class="info-text">The ${drafterLabel} does not fit in the memory the target model leaves free; ${formatFloat(spec.draft.placement.overflowGB, 4)} GB is counted on the slowest device.</div>`;
+  }
+  html += '</div>';
+  html += '<div class="result-row">';
+  html += '<span class="result-title">Time per drafted token:</span>';
+  html += `<span class="result-value">${formatFloat(spec.draftMs, 3)}&nbsp;ms</span>`;
+  const draftTerms = spec.draft.tiers
+    .filter((t, index) => spec.draft.placement.tiers[index].usedGB > 0)
+    .map((t) => `${formatFloat(t.decode.ms, 3)} ms on ${escapeHtml(t.tier.name)}`);
+  html += `<div class="equation">${draftTerms.length > 0 ? draftTerms.join(' + ') : '0 ms'}${spec.draft.decode.communication.ms > 0 ? ` + ${formatFloat(spec.draft.decode.communication.ms, 3)} ms interconnect` : ''} = ${formatFloat(spec.draftMs, 3)} ms</div>`;
+  html += '</div>';
+  html += '<div class="result-row">';
+  html += `<span class="result-title">Verify pass over ${formatNumber(draftLength + 1)} tokens:</span>`;
+  html += `<span class="result-value">${formatFloat(spec.verifyMs, 3)}&nbsp;ms</span>`;
+  html += `<div class="equation">One target forward pass over ${formatNumber(draftLength)} drafted + 1 tokens, timed like a ${formatNumber(draftLength + 1)}-token prefill that touches ${formatFloat(spec.verify.prefill.touchedMoeFraction * 100, 2)} % of the experts = ${formatFloat(spec.verifyMs, 3)} ms</div>`;
+  html += '</div>';
+  html += '<div class="result-row">';
+  html += '<span class="result-title">Expected tokens per step:</span>';
+  html += `<span class="result-value">${formatFloat(spec.expectedTokens, 3)}&nbsp;tokens</span>`;
+  const eqTokens = acceptanceRate >= 1
+    ? `${formatNumber(draftLength)} drafted + 1 = ${formatFloat(spec.expectedTokens, 3)} tokens`
+    : `(1 − ${alpha}^${formatNumber(draftLength + 1)}) ÷ (1 − ${alpha}) = ${formatFloat(spec.expectedTokens, 3)} tokens`;
+  html += `<div class="equation">${eqTokens}</div>`;
+  html += '</div>';
+  html += '<div class="result-row">';
+  html += '<span class="result-title">Time per step:</span>';
+  html += `<span class="result-value">${formatFloat(spec.stepMs, 3)}&nbsp;ms</span>`;
+  html += `<div class="equation">${formatNumber(draftLength)} × ${formatFloat(spec.draftMs, 3)} ms + ${formatFloat(spec.verifyMs, 3)} ms = ${formatFloat(spec.stepMs, 3)} ms</div>`;
+  html += '</div>';
+  html += '<div class="result-row">';
+  html += '<span class="result-title">Effective tokens per second:</span>';
+  html += `<span class="result-value">${formatFloat(spec.tokensPerSec, 2)}&nbsp;tokens/s</span>`;
+  html += `<div class="equation">${formatFloat(spec.expectedTokens, 3)} tokens × 1000 ms/s ÷ ${formatFloat(spec.stepMs, 3)} ms = ${formatFloat(spec.tokensPerSec, 2)} tokens/s (${formatFloat(spec.speedup, 2)}× plain decode)</div>`;
+  html += '</div>';
+  return html;
+}
+
+// Read every input of the speed form into plain values
+function readSpeedForm() {
+  // Gather hardware parameters
+  const tiers = getDeviceTiers();
+  const promptLength = parseFloat(document.getElementById('prompt_length').value);
+  const mode = document.getElementById('parallel_mode').value;
+  const linkBw = parseFloat(document.getElementById('link_bw').value) || 0;
+  const linkLatencyUs = parseFloat(document.getElementById('link_latency').value) || 0;
+  const activationBits = parseFloat(document.getElementById('activation_bits').value);
+  const runtimeOverheadGB = parseFloat(document.getElementById('runtime_overhead').value) || 0;
+  // Gather model parameters
+  const hiddenSize = parseFloat(document.getElementById('hidden_size').value) || 0;
+  const cachedExpertsText = document.getElementById('cached_experts').value.trim();
+  // Per-channel schemes spread one scale over a row of hidden-size inputs
+  const denseScheme = findQuantScheme(document.getElementById('dense_quantization').value);
+  const moeScheme = findQuantScheme(document.getElementById('moe_quantization').value);
+  return {
+    tiers,
+    promptLength,
+    mode,
+    linkBw,
+    linkLatencyUs,
+    activationBits,
+    runtimeOverheadGB,
+    totalParams: parseFloat(document.getElementById('total_params').value),
+    denseParams: parseFloat(document.getElementById('dense_params').value),
+    activeMoeParams: parseFloat(document.getElementById('moe_params').value),
+    hiddenSize,
+    layerCount: parseFloat(document.getElementById('layer_count').value) || 0,
+    expertsPerLayer: parseFloat(document.getElementById('experts_per_layer').value) || 0,
+    activeExperts: parseFloat(document.getElementById('active_experts').value) || 0,
+    routingKind: document.getElementById('routing_skew').value,
+    zipfS: parseFloat(document.getElementById('zipf_s').value),
+    histogram: parseExpertHistogram(document.getElementById('expert_histogram').value),
+    cachedExperts: cachedExpertsText === '' ? null : parseFloat(cachedExpertsText),
+    kvGeometry: {
+      contextLength: parseFloat(document.getElementById('context_length').value) || 0,
+      batchSize: parseFloat(document.getElementById('batch_size').value) || 1,
+      kvBits: parseFloat(document.getElementById('kv_quantization').value),
+      fullLayers: parseFloat(document.getElementById('kv_full_layers').value) || 0,
+      slidingLayers: parseFloat(document.getElementById('kv_sliding_layers').value) || 0,
+      slidingWindow: parseFloat(document.getElementById('kv_sliding_window').value) || 0,
+      linearLayers: parseFloat(document.getElementById('kv_linear_layers').value) || 0,
+      kvHeads: parseFloat(document.getElementById('kv_heads').value) || 0,
+      headDim: parseFloat(document.getElementById('kv_head_dim').value) || 0,
+      latentDim: parseFloat(document.getElementById('kv_latent_dim').value) || 0,
+    },
+    denseScheme,
+    moeScheme,
+    denseQuantBits: getSchemeBits(denseScheme, hiddenSize),
+    moeQuantBits: getSchemeBits(moeScheme, hiddenSize),
+    planClasses: getQuantPlanClasses(hiddenSize),
+    specMode: document.getElementById('spec_mode').value,
+    draftLength: parseFloat(document.getElementById('draft_length').value),
+    acceptancePct: parseFloat(document.getElementById('acceptance_rate').value),
+    draftCounts: {
+      totalParams: parseFloat(document.getElementById('draft_total_params').value),
+      denseParams: parseFloat(document.getElementById('draft_dense_params').value),
+      moeParams: parseFloat(document.getElementById('draft_moe_params').value) || 0,
+      layerCount: parseFloat(document.getElementById('draft_layer_count').value) || 0,
+      hiddenSize: parseFloat(document.getElementById('draft_hidden_size').value) || 0,
+    },
+  };
+}
+
+// The first problem that keeps the form from being calculated, or null
+function validateSpeedForm(v) {
+  if (v.tiers.some((tier) => tier.kind === 'gpu' && isNaN(tier.capacityGB))) {
+    return 'Enter the VRAM capacity of every GPU before calculating.';
+  }
+  if (v.tiers.some((tier) => tier.kind === 'ram' && isNaN(tier.capacityGB))) {
+    return 'Enter the capacity of every RAM pool before calculating, so the check can tell whether the rest of the model fits.';
+  }
+  const tierValues = v.tiers.flatMap((tier) => [tier.capacityGB, tier.bw, tier.tflops]);
+  if ([v.promptLength, v.linkBw, v.linkLatencyUs, v.activationBits, v.runtimeOverheadGB, v.hiddenSize, v.layerCount, v.totalParams, v.denseParams, v.activeMoeParams, v.denseQuantBits, v.moeQuantBits, ...v.planClasses.map((c) => c.params), ...tierValues, ...Object.values(v.kvGeometry)].some(n => isNaN(n) || n < 0)) {
+    return 'Please fill in all fields with valid (non‑negative) numbers before calculating.';
+  }
+  if (!v.tiers.some((tier) => tier.bw > 0)) {
+    return 'Add at least one device with a non-zero bandwidth before calculating.';
+  }
+  const parallel = v.mode === 'tensor' || v.mode === 'pipeline';
+  const gpuCount = v.tiers.filter((tier) => tier.kind === 'gpu' && tier.bw > 0).length;
+  if (parallel && gpuCount === 0) {
+    return 'Tensor and pipeline parallelism need at least one GPU with a non-zero bandwidth.';
+  }
+  if (parallel && gpuCount > 1 && (!(v.hiddenSize > 0) || !(v.layerCount > 0) || !(v.linkBw > 0))) {
+    return 'Enter the hidden size, layer count and interconnect bandwidth to estimate communication between GPUs.';
+  }
+  if (v.routingKind === 'histogram' && !v.histogram) {
+    return 'Enter the per-expert pick counts as non-negative numbers for histogram routing.';
+  }
+  if (!parallel && v.cachedExperts !== null && v.routingKind !== 'histogram' && !(v.expertsPerLayer > 0)) {
+    return 'Enter the experts per MoE layer to cache a set number of experts per layer.';
+  }
+  if ((v.routingKind === 'zipf' && (!(v.zipfS >= 0) || !(v.expertsPerLayer > 0)))
+    || (v.routingKind !== 'uniform' && !(v.activeExperts > 0)) || (v.cachedExperts !== null && !(v.cachedExperts >= 0))) {
+    return 'Skewed routing needs the active experts per token, Zipf also the experts per MoE layer and a non-negative exponent, and cached experts must be a non-negative number.';
+  }
+  const speculative = v.specMode === 'mtp' || v.specMode === 'draft';
+  if (speculative && (!(v.draftLength >= 1) || !Number.isInteger(v.draftLength) || !(v.acceptancePct >= 0 && v.acceptancePct <= 100)
+    || Object.values(v.draftCounts).some(n => isNaN(n) || n < 0))) {
+    return 'Enter a whole draft length of at least 1, an acceptance rate between 0 and 100 % and the drafter parameters for speculative decoding.';
+  }
+  return null;
+}
+
+// Sizes, KV cache and routing derived from the form values, and the input
+// computeSpeedEstimate takes
+function buildSpeedInput(v) {
+  const totalMoeParams = Math.max(v.totalParams - v.denseParams, 0);
+  const routingProbs = computeRoutingDistribution({ kind: v.routingKind, expertsPerLayer: v.expertsPerLayer, zipfS: v.zipfS, histogram: v.histogram });
+  // Size in GB = params × bits per param ÷ 8 ÷ 1e9, per tensor class of the plan
+  const quantPlan = computeQuantPlan({
+    classes: v.planClasses,
+    denseParams: v.denseParams,
+    totalMoeParams,
+    activeMoeParams: v.activeMoeParams,
+    denseBits: v.denseQuantBits,
+    moeBits: v.moeQuantBits,
+  });
+  const kvCache = computeKvCache(v.kvGeometry);
+  return {
+    quantPlan,
+    kvCache,
+    routingProbs,
+    speedInput: {
+      mode: v.mode,
+      tiers: v.tiers,
+      denseParams: v.denseParams,
+      activeMoeParams: v.activeMoeParams,
+      totalMoeParams,
+      denseSizeGB: quantPlan.denseSizeGB,
+      kvCacheSizeGB: kvCache.sizeGB,
+      moeTotalGB: quantPlan.moeTotalGB,
+      promptLength: v.promptLength,
+      hiddenSize: v.hiddenSize,
+      layerCount: v.layerCount,
+      activationBytes: v.activationBits / 8,
+      runtimeOverheadGB: v.runtimeOverheadGB,
+      linkBw: v.linkBw,
+      linkLatencyUs: v.linkLatencyUs,
+      routing: routingProbs ? { probs: routingProbs, activeExperts: v.activeExperts } : null,
+      expertsPerLayer: v.expertsPerLayer,
+      activeExperts: v.activeExperts,
+      cachedExperts: v.cachedExperts,
+      batchSize: v.kvGeometry.batchSize,
+    },
+  };
+}
+
+// Inputs a sweep can range, as changes to the values readSpeedForm returns.
+// Every device row adds a capacity and a bandwidth axis of its own.
+const sweepAxes = [
+  { key: 'moe_bits', label: 'MoE expert bits/weight', apply: (v, x) => ({ ...v, moeQuantBits: x }) },
+  { key: 'dense_bits', label: 'Always-active bits/weight', apply: (v, x) => ({ ...v, denseQuantBits: x }) },
+  { key: 'kv_bits', label: 'KV cache bits/value', apply: (v, x) => ({ ...v, kvGeometry: { ...v.kvGeometry, kvBits: x } }) },
+  { key: 'context_length', label: 'Context length (tokens)', apply: (v, x) => ({ ...v, kvGeometry: { ...v.kvGeometry, contextLength: x } }) },
+];
+
+function getSweepAxes(tiers) {
+  const setTier = (index, field) => (v, x) => ({ ...v, tiers: v.tiers.map((tier, i) => (i === index ? { ...tier, [field]: x } : tier)) });
+  return [
+    ...sweepAxes,
+    ...tiers.flatMap((tier, index) => [
+      { key: `device_${index}_capacity`, label: `${tier.name} capacity (GB)`, apply: setTier(index, 'capacityGB') },
+      { key: `device_${index}_bw`, label: `${tier.name} bandwidth (GB/s)`, apply: setTier(index, 'bw') },
+    ]),
+  ];
+}
+
+// `steps` evenly spaced values from `from` to `to`, both included
+function computeSweepValues(from, to, steps) {
+  if (steps <= 1) return [from];
+  return Array.from({ length: steps }, (_, i) => Number((from + (to - from) * i / (steps - 1)).toFixed(6)));
+}
+
+// Decode tokens/s and fit status at every point of a one- or two-axis grid.
+// Each axis is { axis, values }; rows list the points with x varying fastest.
+function computeSweep(form, axes) {
+  const [xAxis, yAxis] = axes;
+  const yValues = yAxis ? yAxis.values : [null];
+  const rows = yValues.flatMap((y) => xAxis.values.map((x) => {
+    let v = xAxis.axis.apply(form, x);
+    if (yAxis) v = yAxis.axis.apply(v, y);
+    const estimate = computeSpeedEstimate(buildSpeedInput(v).speedInput);
+    return {
+      x,
+      y,
+      tokensPerSec: estimate.decode.tokensPerSec,
+      fits: estimate.placement.fits,
+      overflowGB: estimate.placement.overflowGB,
+    };
+  }));
+  return { axes, rows };
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One line per sweep point, ready for a spreadsheet
+function buildSweepCsv(sweep) {
+  const [xAxis, yAxis] = sweep.axes;
+  const header = [xAxis.axis.label, ...(yAxis ? [yAxis.axis.label] : []), 'Decode tokens/s', 'Fits', 'Overflow (GB)'];
+  const lines = sweep.rows.map((row) => [
+    row.x,
+    ...(yAxis ? [row.y] : []),
+    formatFloat(row.tokensPerSec, 4),
+    row.fits ? 'yes' : 'no',
+    formatFloat(row.overflowGB, 4),
+  ]);
+  return `${[header, ...lines].map((line) => line.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+// A table for one axis, or a heatmap with one row per y value for two.
+// Cells that do not fit in device memory are marked.
+function renderSweep(sweep) {
+  const [xAxis, yAxis] = sweep.axes;
+  const best = Math.max(0, ...sweep.rows.map((row) => row.tokensPerSec));
+  const cell = (row) => {
+    const share = best > 0 ? row.tokensPerSec / best : 0;
+    const style = yAxis ? ` style="background-color: hsla(${Math.round(share * 120)}, 70%, 45%, 0.35)"` : '';
+    return `<td${row.fits ? '' : ' class="sweep-no-fit"'}${style}>${formatFloat(row.tokensPerSec, 2)}${row.fits ? '' : ' (no fit)'}</td>`;
+  };
+  let html = '<h2>Sweep</h2>';
+  html += '<div class="sweep-table-wrap"><table class="sweep-table">';
+  if (!yAxis) {
+    html += `<thead><tr><th scope="col">${escapeHtml(xAxis.axis.label)}</th><th scope="col">Decode tokens/s</th><th scope="col">Fits</th></tr></thead><tbody>`;
+    sweep.rows.forEach((row) => {
+      html += `<tr><th scope="row">${formatFloat(row.x, 6)}</th>${cell(row)}<td>${row.fits ? 'Yes' : `No, ${formatFloat(row.overflowGB, 4)} GB over`}</td></tr>`;
+    });
   } else {
-    gpu2Select.disabled = false;
-    gpu2Vram.disabled = false;
-    gpu2Bw.disabled = false;
-    gpu2Fields.forEach((field) => field.classList.remove('is-disabled'));
+    html += `<thead><tr><th scope="col">${escapeHtml(yAxis.axis.label)} \\ ${escapeHtml(xAxis.axis.label)}</th>`;
+    xAxis.values.forEach((x) => {
+      html += `<th scope="col">${formatFloat(x, 6)}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+    yAxis.values.forEach((y, yIndex) => {
+      html += `<tr><th scope="row">${formatFloat(y, 6)}</th>`;
+      sweep.rows.slice(yIndex * xAxis.values.length, (yIndex + 1) * xAxis.values.length).forEach((row) => {
+        html += cell(row);
+      });
+      html += '</tr>';
+    });
+  }
+  html += '</tbody></table></div>';
+  html += '<div class="info-text">Values are single-sequence decode tokens/s.</div>';
+  return html;
+}
+
+// Refill the sweep axis selects, keeping the chosen axes where they still exist
+function populateSweepAxisSelects() {
+  const axes = getSweepAxes(getDeviceTiers());
+  ['sweep_x_axis', 'sweep_y_axis'].forEach((id) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = id === 'sweep_y_axis' ? '<option value="">None</option>' : '';
+    axes.forEach((axis) => {
+      const opt = document.createElement('option');
+      opt.value = axis.key;
+      opt.textContent = axis.label;
+      select.appendChild(opt);
+    });
+    if (Array.from(select.options).some((opt) => opt.value === current)) select.value = current;
+  });
+}
+
+let lastSweep = null;
+
+function readSweepAxis(prefix, axes) {
+  const axis = axes.find((a) => a.key === document.getElementById(`${prefix}_axis`).value);
+  if (!axis) return null;
+  const from = parseFloat(document.getElementById(`${prefix}_from`).value);
+  const to = parseFloat(document.getElementById(`${prefix}_to`).value);
+  const steps = parseInt(document.getElementById(`${prefix}_steps`).value, 10);
+  if ([from, to].some((n) => isNaN(n) || n < 0) || !(steps >= 1 && steps <= 50)) return { axis, invalid: true };
+  return { axis, values: computeSweepValues(from, to, steps) };
+}
+
+function runSweep() {
+  const sweepDiv = document.getElementById('sweep-results');
+  const form = readSpeedForm();
+  const axes = getSweepAxes(form.tiers);
+  const xAxis = readSweepAxis('sweep_x', axes);
+  const yAxis = readSweepAxis('sweep_y', axes);
+  const error = validateSpeedForm(form)
+    || (!xAxis || xAxis.invalid || yAxis?.invalid ? 'Give each swept input a non-negative range and between 1 and 50 steps.' : null);
+  lastSweep = null;
+  document.getElementById('sweep-csv-btn').disabled = true;
+  sweepDiv.classList.remove('hidden');
+  if (error) {
+    sweepDiv.innerHTML = `<div class="info-text">${error}</div>`;
+    return;
+  }
+  lastSweep = computeSweep(form, yAxis ? [xAxis, yAxis] : [xAxis]);
+  sweepDiv.innerHTML = renderSweep(lastSweep);
+  document.getElementById('sweep-csv-btn').disabled = false;
+}
+
+function exportSweepCsv() {
+  if (!lastSweep) return;
+  const blob = new Blob([buildSweepCsv(lastSweep)], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'speed-sweep.csv';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Preset name without the "(24 GB, 936 GB/s)" suffix
+function gpuShortName(preset) {
+  return preset.name.replace(/ \(.*\)$/, '');
+}
+
+// Every set of 1 to `maxGpus` GPUs drawn from at most two of `gpus`, as
+// [{ gpu, count }] groups
+function enumerateGpuConfigs(gpus, maxGpus) {
+  const configs = [];
+  gpus.forEach((gpu, i) => {
+    for (let count = 1; count <= maxGpus; count++) configs.push([{ gpu, count }]);
+    gpus.slice(i + 1).forEach((other) => {
+      for (let a = 1; a < maxGpus; a++) {
+        for (let b = 1; a + b <= maxGpus; b++) configs.push([{ gpu, count: a }, { gpu: other, count: b }]);
+      }
+    });
+  });
+  return configs;
+}
+
+// Inverse of the speed estimate: try every GPU set from enumerateGpuConfigs
+// against every system RAM bandwidth and keep those that fit and decode at
+// least `targetTokensPerSec`.  Matches are ranked by total VRAM or, for
+// `rankBy: 'price'`, by the summed GPU price, in which case GPUs without a
+// price are left out of the search.  Ties go to the faster configuration.
+// Tensor and pipeline parallelism run on the GPUs alone, so there each GPU
+// set is tried once and its matches carry no RAM bandwidth.
+function solveHardware(form, options) {
+  const base = buildSpeedInput(form).speedInput;
+  const parallel = base.mode === 'tensor' || base.mode === 'pipeline';
+  const ramBandwidths = parallel ? [null] : options.ram.bandwidths;
+  const gpus = options.gpus.filter((g) => options.rankBy !== 'price' || g.price > 0);
+  const configs = enumerateGpuConfigs(gpus, options.maxGpus);
+  const matches = [];
+  configs.forEach((groups) => {
+    // Faster GPUs first, so offload fills them before the slower ones
+    const ordered = [...groups].sort((a, b) => b.gpu.preset.bw - a.gpu.preset.bw);
+    const gpuTiers = ordered.flatMap(({ gpu, count }) => Array.from({ length: count }, (_, i) => ({
+      name: `${gpuShortName(gpu.preset)} ${i + 1}`,
+      kind: 'gpu',
+      preset: gpu.preset.key,
+      capacityGB: gpu.preset.vram,
+      bw: gpu.preset.bw,
+      tflops: getPresetTflops(gpu.preset, options.precision) || 0,
+    })));
+    ramBandwidths.forEach((ramBw) => {
+      const ramTier = { name: 'System RAM', kind: 'ram', capacityGB: options.ram.capacityGB, bw: ramBw ?? options.ram.bandwidths[0], tflops: options.ram.tflops };
+      const estimate = computeSpeedEstimate({ ...base, tiers: [...gpuTiers, ramTier] });
+      if (!estimate.placement.fits || !(estimate.decode.tokensPerSec >= options.targetTokensPerSec)) return;
+      matches.push({
+        groups: ordered,
+        tiers: [...gpuTiers, ramTier],
+        ramBw,
+        totalVramGB: gpuTiers.reduce((sum, tier) => sum + tier.capacityGB, 0),
+        price: ordered.every(({ gpu }) => gpu.price > 0) ? ordered.reduce((sum, { gpu, count }) => sum + gpu.price * count, 0) : null,
+        tokensPerSec: estimate.decode.tokensPerSec,
+      });
+    });
+  });
+  const cost = (match) => (options.rankBy === 'price' ? match.price : match.totalVramGB);
+  matches.sort((a, b) => cost(a) - cost(b) || b.tokensPerSec - a.tokensPerSec);
+  return { searched: configs.length * ramBandwidths.length, matches };
+}
+
+// Up to `limit` matches with a button that loads each one into the devices
+function renderHardwareSolver(result, options, limit = 20) {
+  let html = '<h2>Hardware Solver</h2>';
+  if (result.matches.length === 0) {
+    html += `<div class="info-text">None of the ${formatNumber(result.searched)} configurations searched fits the model and reaches ${formatFloat(options.targetTokensPerSec, 2)} tokens/s.</div>`;
+    return html;
   }
+  html += `<div class="info-text">${formatNumber(result.matches.length)} of ${formatNumber(result.searched)} configurations fit and reach ${formatFloat(options.targetTokensPerSec, 2)} tokens/s, ${options.rankBy === 'price' ? 'cheapest' : 'least VRAM'} first.</div>`;
+  html += '<div class="sweep-table-wrap"><table class="sweep-table solver-table">';
+  html += '<thead><tr><th scope="col">GPUs</th><th scope="col">System RAM (GB/s)</th><th scope="col">Total VRAM (GB)</th><th scope="col">Price</th><th scope="col">Decode tokens/s</th><th scope="col"></th></tr></thead><tbody>';
+  result.matches.slice(0, limit).forEach((match, index) => {
+    const gpus = match.groups.map(({ gpu, count }) => `${count} × ${escapeHtml(gpuShortName(gpu.preset))}`).join(' + ');
+    html += `<tr><th scope="row">${gpus}</th><td>${match.ramBw === null ? '–' : formatFloat(match.ramBw, 2)}</td><td>${formatFloat(match.totalVramGB, 2)}</td>`;
+    html += `<td>${match.price === null ? '–' : formatNumber(match.price)}</td><td>${formatFloat(match.tokensPerSec, 2)}</td>`;
+    html += `<td class="device-actions"><button type="button" data-solver-match="${index}">Use</button></td></tr>`;
+  });
+  html += '</tbody></table></div>';
+  return html;
+}
+
+// One price input per GPU preset, kept by id in the permalink state
+function populateSolverPriceTable() {
+  const tbody = document.querySelector('#solver-price-table tbody');
+  gpuPresets.filter((preset) => preset.key !== 'custom').forEach((preset) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<th scope="row"><label for="solver_price_${preset.key}">${escapeHtml(preset.name)}</label></th>
+      <td><input type="number" id="solver_price_${preset.key}" min="0" step="1" placeholder="No price" /></td>`;
+    tbody.appendChild(tr);
+  });
+}
+
+let lastSolverResult = null;
+
+function runHardwareSolver() {
+  const solverDiv = document.getElementById('solver-results');
+  const form = readSpeedForm();
+  const ramRow = form.tiers.find((tier) => tier.kind === 'ram');
+  const bwText = document.getElementById('solver_ram_bw').value.trim();
+  const options = {
+    targetTokensPerSec: parseFloat(document.getElementById('solver_target').value),
+    maxGpus: parseInt(document.getElementById('solver_max_gpus').value, 10),
+    rankBy: document.getElementById('solver_rank').value,
+    precision: document.getElementById('compute_precision').value,
+    gpus: gpuPresets.filter((preset) => preset.key !== 'custom').map((preset) => ({
+      preset,
+      price: parseFloat(document.getElementById(`solver_price_${preset.key}`).value) || 0,
+    })),
+    ram: {
+      capacityGB: ramRow ? ramRow.capacityGB : 0,
+      tflops: ramRow ? ramRow.tflops : 0,
+      bandwidths: bwText === '' ? (ramRow ? [ramRow.bw] : []) : bwText.split(/[\s,]+/).map(parseFloat),
+    },
+  };
+  // The solver supplies the devices, so check the rest of the form against stand-in GPUs
+  const standInGpu = { kind: 'gpu', capacityGB: 1, bw: 1, tflops: 0 };
+  let error = validateSpeedForm({ ...form, tiers: options.maxGpus > 1 ? [standInGpu, standInGpu] : [standInGpu] });
+  if (!error && !(options.targetTokensPerSec > 0)) error = 'Please enter a target speed above zero.';
+  if (!error && !(options.maxGpus >= 1 && options.maxGpus <= 8)) error = 'Please allow between 1 and 8 GPUs.';
+  if (!error && !(options.ram.capacityGB >= 0)) error = 'Enter the capacity of the first RAM pool; the solver uses it for system RAM.';
+  if (!error && (options.ram.bandwidths.length === 0 || options.ram.bandwidths.some((bw) => !(bw >= 0)))) {
+    error = 'Please list system RAM bandwidths as non-negative numbers in GB/s.';
+  }
+  if (!error && options.rankBy === 'price' && !options.gpus.some((g) => g.price > 0)) error = 'Enter a price for at least one GPU to rank by price.';
+  solverDiv.classList.remove('hidden');
+  lastSolverResult = null;
+  if (error) {
+    solverDiv.innerHTML = `<div class="info-text">${error}</div>`;
+    return;
+  }
+  lastSolverResult = solveHardware(form, options);
+  solverDiv.innerHTML = renderHardwareSolver(lastSolverResult, options);
+}
+
+// Replace the device list with a solver match
+function applySolverMatch(match) {
+  document.getElementById('device-list').innerHTML = '';
+  match.tiers.forEach((tier) => {
+    addDeviceRow(tier.kind, {
+      preset: tier.preset,
+      name: tier.name,
+      capacityGB: tier.capacityGB,
+      bw: tier.bw,
+      tflops: tier.tflops || '',
+    });
+  });
+  calculate();
+}
+
+// Memory map: what each device holds, with used and free GB.  Devices over
+// their capacity are marked; offload puts everything that did not fit on the
+// slowest device.
+function renderMemoryMap(placement, moeTotalGB) {
+  const cell = (gb) => `<td>${formatFloat(gb, 4)}</td>`;
+  let html = '<div class="sweep-table-wrap"><table class="sweep-table memory-map-table">';
+  html += '<thead><tr><th scope="col">Device</th><th scope="col">Always-active (GB)</th><th scope="col">KV cache (GB)</th><th scope="col">Experts (GB)</th>';
+  html += '<th scope="col">Runtime overhead (GB)</th><th scope="col">Used (GB)</th><th scope="col">Capacity (GB)</th><th scope="col">Free (GB)</th></tr></thead><tbody>';
+  placement.tiers.forEach(({ tier, overheadGB, denseGB, kvGB, moeGB, usedGB }) => {
+    const overGB = Math.max(0, usedGB - tier.capacityGB);
+    const moePercent = moeTotalGB > 0 && moeGB > 0 ? ` (${formatFloat(moeGB / moeTotalGB * 100, 2)} %)` : '';
+    html += `<tr${overGB > 0 ? ' class="memory-map-over"' : ''}><th scope="row">${escapeHtml(tier.name)}</th>`;
+    if (tier.bw > 0) {
+      html += `${cell(denseGB)}${cell(kvGB)}<td>${formatFloat(moeGB, 4)}${moePercent}</td>${cell(overheadGB)}${cell(usedGB)}`;
+    } else {
+      html += '<td colspan="5">No bandwidth, so nothing is placed on this device.</td>';
+    }
+    const freeLabel = overGB > 0 ? `${formatFloat(overGB, 4)} over` : formatFloat(tier.capacityGB - usedGB, 4);
+    html += `<td>${formatFloat(tier.capacityGB, 4)}</td><td>${freeLabel}</td></tr>`;
+  });
+  html += '</tbody></table></div>';
+  return html;
 }
 
 // Perform the calculations and render results
 function calculate() {
   const resultsDiv = document.getElementById('results');
-  // Gather hardware parameters
-  const gpu1Vram = parseFloat(document.getElementById('gpu1_vram').value);
-  const gpu1Bw = parseFloat(document.getElementById('gpu1_bw').value);
-  const gpu2Vram = parseFloat(document.getElementById('gpu2_vram').value);
-  const gpu2Bw = parseFloat(document.getElementById('gpu2_bw').value);
-  const systemBw = parseFloat(document.getElementById('system_bw').value);
-  // Gather model parameters
-  const totalParams = parseFloat(document.getElementById('total_params').value);
-  const denseParams = parseFloat(document.getElementById('dense_params').value);
-  const activeMoeParams = parseFloat(document.getElementById('moe_params').value);
-  const kvCache = parseFloat(document.getElementById('kv_cache').value) || 0;
-  const denseQuantBits = parseFloat(document.getElementById('dense_quantization').value);
-  const moeQuantBits = parseFloat(document.getElementById('moe_quantization').value);
-
-  // Validate required fields; if any are missing or invalid, abort
-  if ([gpu1Vram, gpu1Bw, gpu2Vram, gpu2Bw, systemBw, totalParams, denseParams, activeMoeParams, denseQuantBits, moeQuantBits].some(v => isNaN(v) || v < 0)) {
-    resultsDiv.innerHTML = '<div class="info-text">Please fill in all fields with valid (non‑negative) numbers before calculating.</div>';
+  const form = readSpeedForm();
+  const error = validateSpeedForm(form);
+  if (error) {
+    resultsDiv.innerHTML = `<div class="info-text">${error}</div>`;
     resultsDiv.classList.remove('hidden');
     return;
   }
+  const {
+    tiers, promptLength, mode, linkBw, linkLatencyUs, activationBits, denseParams, activeMoeParams,
+    hiddenSize, layerCount, expertsPerLayer, activeExperts, routingKind, zipfS, cachedExperts, kvGeometry,
+    denseScheme, moeScheme, denseQuantBits, moeQuantBits, specMode, draftLength, acceptancePct, draftCounts,
+  } = form;
+  const parallel = mode === 'tensor' || mode === 'pipeline';
+  const speculative = specMode === 'mtp' || specMode === 'draft';
 
   // Derived values
-  const totalMoeParams = Math.max(totalParams - denseParams, 0);
-  const denseBytesPerParam = denseQuantBits / 8;
-  const moeBytesPerParam = moeQuantBits / 8;
-
-  // Dense part size in GB = dense params * bytes per param / 1e9
-  const denseSizeGB = denseParams * denseBytesPerParam / 1e9;
-  const kvCacheSizeGB = kvCache;
+  const { quantPlan, kvCache, routingProbs, speedInput } = buildSpeedInput(form);
+  const { totalMoeParams, routing } = speedInput;
+  const denseSizeGB = quantPlan.denseSizeGB;
+  const kvCacheSizeGB = kvCache.sizeGB;
   const denseKvGB = denseSizeGB + kvCacheSizeGB;
-  const fitsOnGpu1 = denseKvGB <= gpu1Vram;
+  const moeTotalGB = quantPlan.moeTotalGB;
 
-  // Time to load dense+kv (ms) = size (GB) / bandwidth (GB/s) * 1000
-  const denseLoadMs = gpu1Bw > 0 ? (denseKvGB / gpu1Bw) * 1000 : Infinity;
-
-  // Total MoE size in GB
-  const moeTotalGB = totalMoeParams * moeBytesPerParam / 1e9;
-  // Share of MoE stored on GPU2
-  let moeShare = 0;
-  if (moeTotalGB > 0 && gpu2Vram > 0) {
-    moeShare = Math.min(1, gpu2Vram / moeTotalGB);
-  }
-  // Time for MoE portion on GPU2
-  const activeMoeSizeGB = activeMoeParams * moeBytesPerParam / 1e9;
-  const gpu2MoeMs = gpu2Bw > 0 ? (moeShare * activeMoeSizeGB / gpu2Bw) * 1000 : Infinity;
-  // Time for MoE portion from system RAM
-  const systemShare = 1 - moeShare;
-  const systemMoeMs = systemBw > 0 ? (systemShare * activeMoeSizeGB / systemBw) * 1000 : Infinity;
-
-  // Total time per token (ms) and throughput (tokens/s)
-  const totalMsPerToken = denseLoadMs + gpu2MoeMs + systemMoeMs;
-  const tokensPerSec = totalMsPerToken > 0 ? (1000 / totalMsPerToken) : 0;
+  // Per-device roofline: time (ms) = max(size (GB) / bandwidth (GB/s), FLOPs / TFLOPS) × 1000
+  const estimate = computeSpeedEstimate(speedInput);
+  const { placement, decode, prefill } = estimate;
+  const totalMsPerToken = decode.ms;
+  const tokensPerSec = decode.tokensPerSec;
+  const usedTiers = estimate.tiers.filter((t, index) => placement.tiers[index].usedGB > placement.tiers[index].overheadGB);
+  const deviceCount = placement.tiers.length;
+  // Offload and pipeline stages run one after another; tensor-parallel GPUs run together
+  const combineMs = (phase) => {
+    const terms = usedTiers.map((t) => `${formatFloat(t[phase].ms, 3)} ms`);
+    if (terms.length === 0) return '0 ms';
+    return mode === 'tensor' ? `max(${terms.join(', ')})` : terms.join(' + ');
+  };
+  const sumMs = (phase) => (parallel && deviceCount > 1
+    ? `${combineMs(phase)} + ${formatFloat(estimate[phase].communication.ms, 3)} ms interconnect`
+    : combineMs(phase));
+  const describeCommunication = (comm, tokens) => {
+    const eqMessage = `${formatNumber(tokens)} tokens × ${formatNumber(hiddenSize)} hidden × ${formatFloat(activationBits / 8, 3)} bytes = ${formatNumber(comm.messageBytes)} bytes per message`;
+    const eqVolume = mode === 'tensor'
+      ? `2 all-reduces × ${formatNumber(layerCount)} layers × 2 × (${deviceCount} − 1) ÷ ${deviceCount} × ${formatNumber(comm.messageBytes)} bytes = ${formatNumber(Math.round(comm.bytesPerDevice))} bytes`
+      : `(${deviceCount} − 1) stage hand-offs × ${formatNumber(comm.messageBytes)} bytes = ${formatNumber(comm.bytesPerDevice)} bytes`;
+    const eqTime = `${formatNumber(comm.steps)} steps × ${linkLatencyUs} µs + ${formatNumber(Math.round(comm.bytesPerDevice))} bytes ÷ (${linkBw} GB/s × 1e9) × 1000 ms/s = ${formatFloat(comm.ms, 3)} ms`;
+    return `${eqMessage}; ${eqVolume}; ${eqTime}`;
+  };
 
   // Build HTML output with formulas and values
   let html = '';
   html += '<h2>Results</h2>';
   html += '<div class="result-row">';
   html += '<span class="result-title">Selected parameter size:</span>';
-  html += `<span class="result-value">Always-active ${formatBitLabel(denseQuantBits)}, Active MoE ${formatBitLabel(moeQuantBits)}</span>`;
-  html += `<div class="equation">Always-active uses ${formatFloat(denseQuantBits, 5)} bits/param and active MoE uses ${formatFloat(moeQuantBits, 5)} bits/param. KV cache is used directly as entered in GB.</div>`;
+  html += `<span class="result-value">Always-active ${formatBitLabel(quantPlan.denseBits)}, Active MoE ${escapeHtml(moeScheme.name)} (${formatBitLabel(moeQuantBits)})</span>`;
+  html += `<div class="equation">Always-active averages ${formatFloat(quantPlan.denseBits, 5)} bits/param across the quantization plan (default ${escapeHtml(denseScheme.name)}) and active MoE uses ${formatFloat(moeQuantBits, 5)} bits/param. KV cache uses ${formatFloat(kvGeometry.kvBits, 5)} bits/value.</div>`;
   html += '</div>';
+  // Always-active size per tensor class
+  quantPlan.classes.filter((c) => c.params > 0).forEach((c) => {
+    html += '<div class="result-row">';
+    html += `<span class="result-title">${c.label} (${escapeHtml((c.scheme || denseScheme).name)}):</span>`;
+    html += `<span class="result-value">${formatFloat(c.sizeGB, 4)}&nbsp;GB</span>`;
+    html += `<div class="equation">${formatNumber(c.params)} params × (${formatFloat(c.bits, 5)} bits/param ÷ 8 bits/byte) ÷ 1e9 bytes/GB = ${formatFloat(c.sizeGB, 4)} GB</div>`;
+    html += '</div>';
+  });
+  if (quantPlan.otherParams > 0) {
+    html += '<div class="result-row">';
+    html += `<span class="result-title">Other always-active (${escapeHtml(denseScheme.name)}):</span>`;
+    html += `<span class="result-value">${formatFloat(quantPlan.otherSizeGB, 4)}&nbsp;GB</span>`;
+    html += `<div class="equation">${formatNumber(quantPlan.otherParams)} params × (${formatFloat(denseQuantBits, 5)} bits/param ÷ 8 bits/byte) ÷ 1e9 bytes/GB = ${formatFloat(quantPlan.otherSizeGB, 4)} GB</div>`;
+    html += '</div>';
+  }
   // Dense and KV components
   html += '<div class="result-row">';
   html += '<span class="result-title">Always-active parameter size:</span>';
   html += `<span class="result-value">${formatFloat(denseSizeGB, 4)}&nbsp;GB</span>`;
-  const eqDense = `${formatNumber(denseParams)} params × (${formatFloat(denseQuantBits, 5)} bits/param ÷ 8 bits/byte) ÷ 1e9 bytes/GB = ${formatFloat(denseSizeGB, 4)} GB`;
+  const denseTerms = [
+    ...quantPlan.classes.filter((c) => c.params > 0).map((c) => c.sizeGB),
+    ...(quantPlan.otherParams > 0 ? [quantPlan.otherSizeGB] : []),
+  ];
+  const eqDense = denseTerms.length > 1
+    ? `${denseTerms.map((sizeGB) => `${formatFloat(sizeGB, 4)} GB`).join(' + ')} = ${formatFloat(denseSizeGB, 4)} GB`
+    : `${formatNumber(denseParams)} params × (${formatFloat(quantPlan.denseBits, 5)} bits/param ÷ 8 bits/byte) ÷ 1e9 bytes/GB = ${formatFloat(denseSizeGB, 4)} GB`;
   html += `<div class="equation">${eqDense}</div>`;
+  if (quantPlan.overclaimedParams > 0) {
+    html += `<div class="info-text">The tensor classes add up to ${formatNumber(quantPlan.overclaimedParams)} more parameters than the always-active count; their sizes are used as entered.</div>`;
+  }
+  html += '</div>';
+  html += '<div class="result-row">';
+  html += '<span class="result-title">KV cache values per token per layer:</span>';
+  html += `<span class="result-value">${formatNumber(kvCache.valuesPerTokenLayer)}&nbsp;values</span>`;
+  const eqKvValues = kvCache.usesLatent
+    ? `${formatNumber(kvGeometry.latentDim)} MLA latent dim = ${formatNumber(kvCache.valuesPerTokenLayer)} values`
+    : `2 (K and V) × ${formatNumber(kvGeometry.kvHeads)} KV heads × ${formatNumber(kvGeometry.headDim)} head dim = ${formatNumber(kvCache.valuesPerTokenLayer)} values`;
+  html += `<div class="equation">${eqKvValues}</div>`;
   html += '</div>';
   html += '<div class="result-row">';
   html += '<span class="result-title">KV cache size:</span>';
   html += `<span class="result-value">${formatFloat(kvCacheSizeGB, 4)}&nbsp;GB</span>`;
-  const eqKv = `${formatFloat(kvCache, 4)} GB`;
+  const slidingTerm = kvGeometry.slidingWindow > 0
+    ? `min(${formatNumber(kvGeometry.contextLength)}, ${formatNumber(kvGeometry.slidingWindow)}) tokens`
+    : `${formatNumber(kvGeometry.contextLength)} tokens`;
+  const eqKv = `${formatNumber(kvGeometry.batchSize)} seq × (${formatNumber(kvGeometry.fullLayers)} full layers × ${formatNumber(kvGeometry.contextLength)} tokens + ${formatNumber(kvGeometry.slidingLayers)} sliding layers × ${slidingTerm}) × ${formatNumber(kvCache.valuesPerTokenLayer)} values × (${formatFloat(kvGeometry.kvBits, 5)} bits/value ÷ 8 bits/byte) ÷ 1e9 bytes/GB = ${formatFloat(kvCacheSizeGB, 4)} GB`;
   html += `<div class="equation">${eqKv}</div>`;
+  if (kvGeometry.linearLayers > 0) {
+    html += `<div class="info-text">${formatNumber(kvGeometry.linearLayers)} SSM/linear-attention layers keep a fixed-size state instead of a KV cache and are not counted.</div>`;
+  }
   html += '</div>';
   // Dense + KV size
   html += '<div class="result-row">';
@@ -433,22 +1827,6 @@ function calculate() {
   const eq1 = `${formatFloat(denseSizeGB, 4)} GB + ${formatFloat(kvCacheSizeGB, 4)} GB = ${formatFloat(denseKvGB, 4)} GB`;
   html += `<div class="equation">${eq1}</div>`;
   html += '</div>';
-  // Fit in GPU1
-  html += '<div class="result-row">';
-  html += '<span class="result-title">Fits in GPU&nbsp;1 memory?</span>';
-  html += `<span class="result-value">${fitsOnGpu1 ? 'Yes' : 'No'}</span>`;
-  // Indicate units when checking memory fit (GB).
-  const eqFit = `${formatFloat(denseKvGB, 4)} GB ≤ ${gpu1Vram} GB → ${fitsOnGpu1 ? 'True' : 'False'}`;
-  html += `<div class="equation">${eqFit}</div>`;
-  html += '</div>';
-  // Dense+KV load time
-  html += '<div class="result-row">';
-  html += '<span class="result-title">Dense/KV load time:</span>';
-  html += `<span class="result-value">${formatFloat(denseLoadMs, 3)}&nbsp;ms</span>`;
-  // For load time, divide GB by GB/s then multiply by 1000 ms/s.
-  const eq2 = `${formatFloat(denseKvGB, 4)} GB ÷ ${gpu1Bw} GB/s × 1000 ms/s = ${formatFloat(denseLoadMs, 3)} ms`;
-  html += `<div class="equation">${eq2}</div>`;
-  html += '</div>';
   // MoE total size
   html += '<div class="result-row">';
   html += '<span class="result-title">Total MoE size:</span>';
@@ -456,46 +1834,142 @@ function calculate() {
   const eq3 = `${formatNumber(totalMoeParams)} params × (${formatFloat(moeQuantBits, 5)} bits/param ÷ 8 bits/byte) ÷ 1e9 bytes/GB = ${formatFloat(moeTotalGB, 4)} GB`;
   html += `<div class="equation">${eq3}</div>`;
   html += '</div>';
-  // GPU2 share
-  html += '<div class="result-row">';
-  html += '<span class="result-title">Percentage of MoE on GPU&nbsp;2:</span>';
-  html += `<span class="result-value">${formatFloat(moeShare * 100, 2)}&nbsp;%</span>`;
-  // GPU2 share calculation shows GB units cancelling out.
-  const eq4 = moeTotalGB > 0
-    ? `min(1, ${gpu2Vram} GB ÷ ${formatFloat(moeTotalGB, 4)} GB) = ${formatFloat(moeShare, 4)}`
-    : 'No MoE parameters remain after subtracting dense parameters, so GPU 2 stores 0% of the MoE.';
-  html += `<div class="equation">${eq4}</div>`;
-  html += '</div>';
-  // GPU2 MoE time
-  html += '<div class="result-row">';
-  html += '<span class="result-title">MoE load time on GPU&nbsp;2:</span>';
-  html += `<span class="result-value">${formatFloat(gpu2MoeMs, 3)}&nbsp;ms</span>`;
-  const eq5 = `${formatFloat(moeShare, 4)} × (${formatNumber(activeMoeParams)} params × (${formatFloat(moeQuantBits, 5)} bits/param ÷ 8 bits/byte) ÷ 1e9 bytes/GB) ÷ ${gpu2Bw} GB/s × 1000 ms/s = ${formatFloat(gpu2MoeMs, 3)} ms`;
-  html += `<div class="equation">${eq5}</div>`;
-  html += '</div>';
-  // System RAM time
+
+  // Placement: fastest tiers fill first with always-active weights, KV cache, then experts
+  html += '<h2>Placement</h2>';
+  if (parallel) {
+    const modeLabel = mode === 'tensor' ? 'Tensor parallelism splits every layer' : 'Pipeline parallelism splits the layers';
+    html += `<div class="info-text">${modeLabel} evenly across ${deviceCount} GPU${deviceCount === 1 ? '' : 's'}; system RAM is not used.</div>`;
+  }
+  html += renderMemoryMap(placement, moeTotalGB);
   html += '<div class="result-row">';
-  html += '<span class="result-title">MoE load time from system RAM:</span>';
-  html += `<span class="result-value">${formatFloat(systemMoeMs, 3)}&nbsp;ms</span>`;
-  const eq6 = `${formatFloat(systemShare, 4)} × (${formatNumber(activeMoeParams)} params × (${formatFloat(moeQuantBits, 5)} bits/param ÷ 8 bits/byte) ÷ 1e9 bytes/GB) ÷ ${systemBw} GB/s × 1000 ms/s = ${formatFloat(systemMoeMs, 3)} ms`;
-  html += `<div class="equation">${eq6}</div>`;
+  html += '<span class="result-title">Fits in device memory?</span>';
+  html += `<span class="result-value">${placement.fits ? 'Yes' : 'No'}</span>`;
+  const totalCapacityGB = placement.tiers.filter(({ tier }) => tier.bw > 0).reduce((sum, { tier }) => sum + tier.capacityGB, 0);
+  const totalOverheadGB = placement.tiers.reduce((sum, p) => sum + p.overheadGB, 0);
+  const overheadTerm = totalOverheadGB > 0 ? ` + ${formatFloat(totalOverheadGB, 4)} GB runtime overhead` : '';
+  const eqFit = `${formatFloat(denseKvGB + moeTotalGB, 4)} GB model${overheadTerm} ≤ ${formatFloat(totalCapacityGB, 4)} GB → ${placement.fits ? 'True' : `False, ${formatFloat(placement.overflowGB, 4)} GB over`}`;
+  html += `<div class="equation">${eqFit}</div>`;
   html += '</div>';
+  // Speeds assume the weights are in device memory, so stop here when they are not
+  if (!placement.fits) {
+    const where = parallel ? 'the GPUs' : 'all devices together';
+    html += `<div class="result-error">The model does not fit: ${formatFloat(placement.overflowGB, 4)} GB more than ${where} can hold. Add memory, use fewer bits per weight or shorten the context to get a speed estimate.</div>`;
+    resultsDiv.innerHTML = html;
+    resultsDiv.classList.remove('hidden');
+    if (typeof resultsDiv.scrollIntoView === 'function') {
+      resultsDiv.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    return;
+  }
+  const expertCount = routingProbs ? routingProbs.length : expertsPerLayer;
+  if (!parallel && totalMoeParams > 0 && expertCount > 0) {
+    // Hot experts fill the GPUs first, so the VRAM hit rate is the routing mass of the hottest cached experts.
+    // A set cache size is already applied to the placement, so count what actually landed on the GPUs.
+    const gpuMoeGB = placement.tiers.filter(({ tier }) => tier.kind === 'gpu').reduce((sum, p) => sum + p.moeGB, 0);
+    const cached = gpuMoeGB / moeTotalGB * expertCount;
+    const hitRate = routingProbs ? computeExpertCacheHitRate(routingProbs, cached) : cached / expertCount;
+    const cachedLabel = formatFloat(cached, 2);
+    html += '<div class="result-row">';
+    html += '<span class="result-title">Expert VRAM hit rate:</span>';
+    html += `<span class="result-value">${formatFloat(hitRate * 100, 2)}&nbsp;%</span>`;
+    const eqHit = {
+      uniform: `${cachedLabel} cached ÷ ${formatNumber(expertCount)} experts per layer`,
+      zipf: `Σ 1 ÷ i^${formatFloat(zipfS, 3)} over the hottest ${cachedLabel} of ${formatNumber(expertCount)} experts ÷ Σ 1 ÷ i^${formatFloat(zipfS, 3)} over all of them`,
+      histogram: `picks of the hottest ${cachedLabel} experts ÷ picks of all ${formatNumber(expertCount)} experts`,
+    }[routingProbs ? routingKind : 'uniform'];
+    const uniformNote = routingProbs ? ` (uniform routing: ${formatFloat(cached / expertCount * 100, 2)} %)` : '';
+    html += `<div class="equation">${eqHit} = ${formatFloat(hitRate * 100, 2)} %${uniformNote}</div>`;
+    if (cachedExperts === null) {
+      html += `<div class="info-text">${cachedLabel} experts per layer fit in VRAM next to the always-active weights and KV cache.</div>`;
+    } else if (Math.min(cachedExperts, expertCount) > cached + 1e-9) {
+      html += `<div class="info-text">Only ${cachedLabel} of the ${formatFloat(cachedExperts, 2)} cached experts per layer fit in the VRAM left after the always-active weights and KV cache; the rest stay in system RAM.</div>`;
+    } else if (cached > cachedExperts + 1e-9) {
+      html += `<div class="info-text">System RAM cannot hold the experts beyond the ${formatFloat(cachedExperts, 2)} cached per layer, so ${cachedLabel} experts per layer use the free VRAM instead.</div>`;
+    }
+    html += '</div>';
+  }
+
+  // Decode: every tier reads its share once per token
+  html += '<h2>Decode</h2>';
+  usedTiers.forEach(({ tier, decode: device }) => {
+    html += '<div class="result-row">';
+    html += `<span class="result-title">Time per token on ${escapeHtml(tier.name)}:</span>`;
+    html += `<span class="result-value">${formatFloat(device.ms, 3)}&nbsp;ms</span>`;
+    // Load time divides GB by GB/s then multiplies by 1000 ms/s; compute time divides FLOPs by FLOP/s.
+    html += `<div class="equation">${describeDeviceTime(device, tier.bw, tier.tflops)}</div>`;
+    html += '</div>';
+  });
+  // The cache holds every sequence of the batch; plain decode times one of them
+  const kvRead = kvGeometry.batchSize > 1 ? `its own sequence's 1/${formatNumber(kvGeometry.batchSize)} of the KV cache` : 'the KV cache in full';
+  if (activeMoeParams > 0 && totalMoeParams > 0 && routing && !parallel) {
+    const readShares = estimate.tiers.filter((t, index) => placement.tiers[index].moeGB > 0)
+      .map((t) => `${formatFloat(t.moeReadShare * 100, 2)} % on ${escapeHtml(t.tier.name)}`);
+    html += `<div class="info-text">Each token reads the always-active weights, ${kvRead} and ${formatNumber(activeMoeParams)} active expert parameters, split by routing skew: ${readShares.join(', ')}.</div>`;
+  } else if (activeMoeParams > 0 && totalMoeParams > 0) {
+    html += `<div class="info-text">Each token reads the always-active weights, ${kvRead} and ${formatFloat(prefill.activeMoeFraction * 100, 2)} % (${formatNumber(activeMoeParams)} ÷ ${formatNumber(totalMoeParams)}) of the experts placed on each device.</div>`;
+  }
+  if (parallel && deviceCount > 1) {
+    html += '<div class="result-row">';
+    html += '<span class="result-title">Interconnect time per token:</span>';
+    html += `<span class="result-value">${formatFloat(decode.communication.ms, 3)}&nbsp;ms</span>`;
+    html += `<div class="equation">${describeCommunication(decode.communication, 1)}</div>`;
+    html += '</div>';
+  }
   // Total ms per token
   html += '<div class="result-row">';
   html += '<span class="result-title">Total time per token:</span>';
   html += `<span class="result-value">${formatFloat(totalMsPerToken, 3)}&nbsp;ms</span>`;
   // Summation of component times with ms units.
-  const eq7 = `${formatFloat(denseLoadMs, 3)} ms + ${formatFloat(gpu2MoeMs, 3)} ms + ${formatFloat(systemMoeMs, 3)} ms = ${formatFloat(totalMsPerToken, 3)} ms`;
+  const eq7 = `${sumMs('decode')} = ${formatFloat(totalMsPerToken, 3)} ms`;
   html += `<div class="equation">${eq7}</div>`;
   html += '</div>';
   // Tokens per second
   html += '<div class="result-row">';
   html += '<span class="result-title">Tokens per second:</span>';
   html += `<span class="result-value">${formatFloat(tokensPerSec, 2)}&nbsp;tokens/s</span>`;
-  // Tokens per second: 1000 ms/s divided by ms per token yields tokens/s.
-  const eq8 = `1000 ms/s ÷ ${formatFloat(totalMsPerToken, 3)} ms = ${formatFloat(tokensPerSec, 2)} tokens/s`;
+  // Tokens per second: 1000 ms/s divided by ms per token yields tokens/s.
+  const eq8 = `1000 ms/s ÷ ${formatFloat(totalMsPerToken, 3)} ms = ${formatFloat(tokensPerSec, 2)} tokens/s`;
   html += `<div class="equation">${eq8}</div>`;
   html += '</div>';
+  if (kvGeometry.batchSize > 1) {
+    html += renderBatchDecode({ ...speedInput, estimate });
+  }
+  if (speculative) {
+    html += renderSpeculativeDecoding({ ...speedInput, estimate, specMode, draftLength, acceptancePct, draftCounts, quantPlan, moeQuantBits });
+  }
+  // Prefill: the prompt is processed in one pass, so weights are read once and compute scales with the prompt
+  html += '<h2>Prefill</h2>';
+  html += '<div class="result-row">';
+  html += '<span class="result-title">MoE experts touched by the prompt:</span>';
+  html += `<span class="result-value">${formatFloat(prefill.touchedMoeFraction * 100, 2)}&nbsp;%</span>`;
+  const eqUniformTouched = `1 − (1 − ${formatNumber(activeMoeParams)} ÷ ${formatNumber(totalMoeParams)})^${formatNumber(promptLength)} tokens = ${formatFloat(prefill.touchedMoeFraction, 4)}`;
+  const eqSkewTouched = `average over ${formatNumber(expertCount)} experts of 1 − (1 − min(1, ${formatNumber(activeExperts)} × routing share))^${formatNumber(promptLength)} tokens = ${formatFloat(prefill.touchedMoeFraction, 4)}`;
+  const eqTouched = totalMoeParams > 0
+    ? (routing && !parallel ? eqSkewTouched : eqUniformTouched)
+    : 'No MoE parameters, so only the always-active weights are read.';
+  html += `<div class="equation">${eqTouched}</div>`;
+  html += '</div>';
+  usedTiers.forEach(({ tier, prefill: device }) => {
+    html += '<div class="result-row">';
+    html += `<span class="result-title">Prefill time on ${escapeHtml(tier.name)}:</span>`;
+    html += `<span class="result-value">${formatFloat(device.ms, 3)}&nbsp;ms</span>`;
+    html += `<div class="equation">${describeDeviceTime(device, tier.bw, tier.tflops)}</div>`;
+    html += '</div>';
+  });
+  if (parallel && deviceCount > 1) {
+    html += '<div class="result-row">';
+    html += '<span class="result-title">Prefill interconnect time:</span>';
+    html += `<span class="result-value">${formatFloat(prefill.communication.ms, 3)}&nbsp;ms</span>`;
+    html += `<div class="equation">${describeCommunication(prefill.communication, promptLength)}</div>`;
+    html += '</div>';
+  }
+  html += '<div class="result-row">';
+  html += '<span class="result-title">Prefill tokens per second:</span>';
+  html += `<span class="result-value">${formatFloat(prefill.tokensPerSec, 2)}&nbsp;tokens/s</span>`;
+  const eqPrefill = `${formatNumber(promptLength)} tokens × 1000 ms/s ÷ (${sumMs('prefill')}) = ${formatFloat(prefill.tokensPerSec, 2)} tokens/s`;
+  html += `<div class="equation">${eqPrefill}</div>`;
+  html += '</div>';
 
   resultsDiv.innerHTML = html;
   resultsDiv.classList.remove('hidden');
@@ -510,37 +1984,114 @@ function calculate() {
 }
 
 // Initialize event listeners once DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  populateModelSelect();
-
-  // Prefill when model selection changes
-  const modelSelect = document.getElementById('model-select');
-  modelSelect.addEventListener('change', () => {
-    prefillModel(modelSelect.value);
-  });
-  // Initially, ensure custom fields are blank
-  prefillModel('custom');
-
-  // Populate GPU preset selectors and add change handlers
-  populateGpuSelect('gpu1-select');
-  populateGpuSelect('gpu2-select');
-  // Set default selection to custom
-    document.getElementById('gpu1-select').value = 'custom';
-    document.getElementById('gpu2-select').value = 'custom';
-    // Attach change handlers to override VRAM/bandwidth fields when preset selected
-    handleGpuPresetChange('gpu1-select', 'gpu1_vram', 'gpu1_bw');
-    handleGpuPresetChange('gpu2-select', 'gpu2_vram', 'gpu2_bw');
-    // Single GPU checkbox behavior
-    const singleGpuCheckbox = document.getElementById('single-gpu');
-    singleGpuCheckbox.addEventListener('change', () => {
-      updateSingleGpuState();
-      syncSingleGpu();
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    populateModelSelect();
+    populateModelSelect('draft-model-select');
+    buildQuantPlanRows();
+    ['total_params', 'dense_params'].forEach((id) => {
+      document.getElementById(id).addEventListener('input', updateQuantPlanTotals);
+    });
+
+    // Prefill when model selection changes
+    const modelSelect = document.getElementById('model-select');
+    modelSelect.addEventListener('change', () => {
+      prefillModel(modelSelect.value);
+      if (document.getElementById('spec_mode').value === 'mtp') prefillDrafter();
+    });
+    document.getElementById('spec_mode').addEventListener('change', prefillDrafter);
+    document.getElementById('draft-model-select').addEventListener('change', prefillDrafter);
+    // Initially, ensure custom fields are blank unless the param calculator
+    // sent a model over
+    prefillModel('custom');
+    const handoff = parseParamcalcHandoff(window.location.hash);
+    if (handoff) applyParamcalcHandoff(handoff);
+
+    // Start with one GPU and one system RAM pool
+    defaultDevices.forEach(({ kind, ...values }) => addDeviceRow(kind, values));
+    document.getElementById('add-gpu-btn').addEventListener('click', () => addDeviceRow('gpu'));
+    document.getElementById('add-ram-btn').addEventListener('click', () => addDeviceRow('ram'));
+    // Re-read preset TFLOPS when the compute precision changes
+    document.getElementById('compute_precision').addEventListener('change', () => {
+      document.querySelectorAll('#device-list .device-row').forEach(prefillDeviceTflops);
     });
-    document.getElementById('gpu1_bw').addEventListener('input', syncSingleGpu);
-    updateSingleGpuState();
     // Bind calculate button
     document.getElementById('calculate-btn').addEventListener('click', (e) => {
       e.preventDefault();
       calculate();
     });
-});
+    document.getElementById('sweep-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      runSweep();
+    });
+    document.getElementById('sweep-csv-btn').addEventListener('click', exportSweepCsv);
+    populateSolverPriceTable();
+    document.getElementById('solver-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      runHardwareSolver();
+    });
+    document.getElementById('solver-results').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-solver-match]');
+      if (button && lastSolverResult) applySolverMatch(lastSolverResult.matches[Number(button.dataset.solverMatch)]);
+    });
+    // Device presets rename rows without a change event, so relabel on open
+    ['sweep_x_axis', 'sweep_y_axis'].forEach((id) => {
+      document.getElementById(id).addEventListener('focus', populateSweepAxisSelects);
+    });
+
+    // Keep the URL hash in step with the form so the page can be shared or
+    // reloaded; a #state= link restores everything including devices
+    ['input', 'change'].forEach(type => document.addEventListener(type, scheduleSpeedStateSave));
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('.device-actions button')) scheduleSpeedStateSave();
+    });
+    if (handoff) {
+      scheduleSpeedStateSave();
+    } else {
+      restoreSpeedStateFromHash();
+    }
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    computeModelPreset,
+    computeKvCache,
+    computeQuantPlan,
+    computeDeviceTime,
+    computeExpectedTokensPerStep,
+    computeExpertCacheHitRate,
+    computeExpertShares,
+    computeMtpHead,
+    computeRoofline,
+    computeRoutingDistribution,
+    computeCommunication,
+    computeBatchDecode,
+    computeSweep,
+    computeSweepValues,
+    defaultDevices,
+    enumerateGpuConfigs,
+    buildSpeedInput,
+    buildSweepCsv,
+    findQuantScheme,
+    formatSchemeLabel,
+    getSchemeBits,
+    computeSpeedEstimate,
+    computeSpeculativeDecoding,
+    getModelArchitecture,
+    getPresetTflops,
+    getSweepAxes,
+    gpuPresets,
+    parseExpertHistogram,
+    parseParamcalcHandoff,
+    placeModel,
+    quantPlanClasses,
+    renderMemoryMap,
+    renderSpeculativeDecoding,
+    quantSchemes,
+    renderSweep,
+    solveHardware,
+    splitAcrossDevices,
+    validateSpeedForm,
+  };
+}
@@ -0,0 +1,786 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+
+require('./paramcalc.presets.generated.js');
+
+const {
+  buildSpeedInput,
+  buildSweepCsv,
+  computeBatchDecode,
+  computeCommunication,
+  computeDeviceTime,
+  computeExpectedTokensPerStep,
+  computeExpertCacheHitRate,
+  computeKvCache,
+  computeModelPreset,
+  computeMtpHead,
+  computeQuantPlan,
+  computeRoofline,
+  computeRoutingDistribution,
+  computeSpeedEstimate,
+  computeSpeculativeDecoding,
+  computeSweep,
+  computeSweepValues,
+  enumerateGpuConfigs,
+  findQuantScheme,
+  getModelArchitecture,
+  getPresetTflops,
+  formatSchemeLabel,
+  getSchemeBits,
+  getSweepAxes,
+  gpuPresets,
+  placeModel,
+  quantPlanClasses,
+  quantSchemes,
+  parseExpertHistogram,
+  parseParamcalcHandoff,
+  renderMemoryMap,
+  renderSpeculativeDecoding,
+  solveHardware,
+  splitAcrossDevices,
+  validateSpeedForm,
+  defaultDevices,
+} = require('./script.js');
+const {
+  buildPresetInput,
+  buildSpeedCalculatorUrl,
+  computeResults,
+  computeSpeedHandoff,
+} = require('./paramcalc.js');
+
+function kvGeometryFromArchitecture(model, overrides = {}) {
+  const architecture = getModelArchitecture(model);
+  return {
+    contextLength: 8192,
+    batchSize: 1,
+    kvBits: 16,
+    fullLayers: architecture.full_attention_layers,
+    slidingLayers: architecture.sliding_attention_layers,
+    slidingWindow: architecture.sliding_window || 0,
+    linearLayers: architecture.linear_attention_layers,
+    kvHeads: architecture.num_key_value_heads || 0,
+    headDim: architecture.head_dim || 0,
+    latentDim: (architecture.kv_lora_rank || 0) + (architecture.qk_rope_head_dim || 0),
+    ...overrides,
+  };
+}
+
+
+// Form values as readSpeedForm returns them: a 100B MoE with 4B always-active
+// and 6B active expert parameters on one 24 GB GPU and 64 GB of RAM
+function makeSpeedForm(overrides = {}) {
+  return {
+    tiers: [
+      { name: 'GPU', kind: 'gpu', capacityGB: 24, bw: 1000, tflops: 0 },
+      { name: 'RAM', kind: 'ram', capacityGB: 64, bw: 100, tflops: 0 },
+    ],
+    promptLength: 1,
+    mode: 'offload',
+    linkBw: 0,
+    linkLatencyUs: 0,
+    activationBits: 16,
+    runtimeOverheadGB: 0,
+    totalParams: 100e9,
+    denseParams: 4e9,
+    activeMoeParams: 6e9,
+    hiddenSize: 0,
+    layerCount: 0,
+    expertsPerLayer: 0,
+    activeExperts: 0,
+    routingKind: 'uniform',
+    zipfS: 1,
+    histogram: null,
+    cachedExperts: null,
+    kvGeometry: { contextLength: 0, batchSize: 1, kvBits: 16, fullLayers: 0, slidingLayers: 0, slidingWindow: 0, kvHeads: 0, headDim: 0, latentDim: 0 },
+    denseQuantBits: 8,
+    moeQuantBits: 4,
+    planClasses: [],
+    specMode: 'off',
+    ...overrides,
+  };
+}
+
+test('every speed preset carries KV cache geometry', () => {
+  for (const model of globalThis.PARAMCALC_PRESETS.modelOrder) {
+    const architecture = getModelArchitecture(model);
+    assert.ok(architecture, `${model} missing architecture`);
+    assert.ok(architecture.full_attention_layers > 0, `${model} has no KV layers`);
+    const hasGqa = architecture.num_key_value_heads > 0 && architecture.head_dim > 0;
+    const hasLatent = architecture.kv_lora_rank > 0;
+    assert.ok(hasGqa !== hasLatent, `${model} must be exactly one of GQA or MLA`);
+  }
+});
+
+test('sliding-window layers cache at most the window', () => {
+  const kv = computeKvCache(kvGeometryFromArchitecture('gpt-oss-20b'));
+  assert.equal(kv.valuesPerTokenLayer, 2 * 8 * 64);
+  assert.equal(kv.cachedTokenLayers, 12 * 8192 + 12 * 128);
+  assert.equal(kv.bytes, (12 * 8192 + 12 * 128) * 1024 * 2);
+});
+
+test('MLA caches the compressed latent instead of K and V heads', () => {
+  const kv = computeKvCache(kvGeometryFromArchitecture('deepseek-v3', { batchSize: 2, kvBits: 8 }));
+  assert.equal(kv.usesLatent, true);
+  assert.equal(kv.valuesPerTokenLayer, 576);
+  assert.equal(kv.bytes, 2 * 61 * 8192 * 576);
+});
+
+test('SSM/linear-attention layers add no KV cache', () => {
+  const geometry = kvGeometryFromArchitecture('qwen3.5-35b-a3b');
+  assert.equal(geometry.linearLayers, 30);
+  const kv = computeKvCache(geometry);
+  assert.equal(kv.cachedTokenLayers, 10 * 8192);
+  assert.equal(kv.sizeGB, 10 * 8192 * 2 * 2 * 256 * 2 / 1e9);
+});
+
+test('gpu presets fall back to the fp16 rate without native low-precision support', () => {
+  const rtx3090 = gpuPresets.find((preset) => preset.key === 'rtx3090');
+  const rtx5090 = gpuPresets.find((preset) => preset.key === 'rtx5090');
+  assert.equal(getPresetTflops(rtx3090, 'fp4'), rtx3090.tflops.fp16);
+  assert.equal(getPresetTflops(rtx5090, 'fp4'), rtx5090.tflops.fp4);
+  assert.equal(getPresetTflops(gpuPresets.find((preset) => preset.key === 'custom'), 'fp16'), null);
+});
+
+test('device time is the slower of memory and compute', () => {
+  const bandwidthBound = computeDeviceTime(10, 1000, 2e9, 100);
+  assert.equal(bandwidthBound.ms, 10);
+  assert.equal(bandwidthBound.bound, 'bandwidth');
+  const computeBound = computeDeviceTime(10, 1000, 2e12, 100);
+  assert.equal(computeBound.ms, 20);
+  assert.equal(computeBound.bound, 'compute');
+  assert.equal(computeDeviceTime(10, 1000, 2e12, 0).ms, 10);
+  assert.equal(computeDeviceTime(0, 0, 0, 0).ms, 0);
+});
+
+function gptOss120bParts() {
+  const preset = computeModelPreset(globalThis.PARAMCALC_PRESETS.models['gpt-oss-120b']);
+  const totalMoeParams = preset.totalParams - preset.denseParams;
+  const bytesPerParam = 4.25 / 8;
+  return {
+    preset,
+    totalMoeParams,
+    denseSizeGB: preset.denseParams * bytesPerParam / 1e9,
+    moeTotalGB: totalMoeParams * bytesPerParam / 1e9,
+  };
+}
+
+test('placement fills the fastest tiers first and spills experts downwards', () => {
+  const tiers = [
+    { name: 'System RAM', capacityGB: Infinity, bw: 80, tflops: 0 },
+    { name: 'GPU 1', capacityGB: 24, bw: 1008, tflops: 0 },
+    { name: 'GPU 2', capacityGB: 16, bw: 288, tflops: 0 },
+  ];
+  const placement = placeModel(tiers, { denseGB: 10, kvGB: 4, moeGB: 60 });
+  const [ram, gpu1, gpu2] = placement.tiers;
+  assert.deepEqual([gpu1.denseGB, gpu1.kvGB, gpu1.moeGB], [10, 4, 10]);
+  assert.deepEqual([gpu2.denseGB, gpu2.kvGB, gpu2.moeGB], [0, 0, 16]);
+  assert.deepEqual([ram.denseGB, ram.kvGB, ram.moeGB], [0, 0, 34]);
+  assert.equal(placement.fits, true);
+});
+
+test('placement reports overflow and skips tiers without bandwidth', () => {
+  const tiers = [
+    { name: 'GPU 1', capacityGB: 8, bw: 0, tflops: 0 },
+    { name: 'NUMA 0', capacityGB: 32, bw: 200, tflops: 0 },
+    { name: 'NUMA 1', capacityGB: 32, bw: 200, tflops: 0 },
+  ];
+  const placement = placeModel(tiers, { denseGB: 4, kvGB: 2, moeGB: 70 });
+  const [gpu, numa0, numa1] = placement.tiers;
+  assert.equal(gpu.usedGB, 0);
+  assert.equal(numa0.usedGB, 32);
+  assert.equal(numa1.usedGB, 44);
+  assert.equal(placement.overflowGB, 12);
+  assert.equal(placement.fits, false);
+});
+
+test('roofline decode keeps the bandwidth estimate and prefill becomes compute-bound', () => {
+  const { preset, totalMoeParams, denseSizeGB, moeTotalGB } = gptOss120bParts();
+  const tiers = [
+    { name: 'GPU 1', capacityGB: 24, bw: 1008, tflops: 330 },
+    { name: 'System RAM', capacityGB: Infinity, bw: 80, tflops: 2 },
+  ];
+  const input = {
+    placement: placeModel(tiers, { denseGB: denseSizeGB, kvGB: 0, moeGB: moeTotalGB }),
+    denseParams: preset.denseParams,
+    activeMoeParams: preset.moeParams,
+    totalMoeParams,
+    denseSizeGB,
+    moeTotalGB,
+    promptLength: 4096,
+  };
+  const { tiers: [gpu, ram], decode, prefill } = computeRoofline(input);
+  assert.equal(gpu.decode.bound, 'bandwidth');
+  assert.equal(ram.decode.bound, 'bandwidth');
+  assert.equal(decode.ms, gpu.decode.bandwidthMs + ram.decode.bandwidthMs);
+  const gpuMoeFraction = (24 - denseSizeGB) / moeTotalGB;
+  const activeFraction = preset.moeParams / totalMoeParams;
+  assert.ok(Math.abs(ram.decode.bytesGB - (1 - gpuMoeFraction) * moeTotalGB * activeFraction) < 1e-9);
+
+  // 4096 tokens each routing to 4 of 128 experts touch essentially all of them
+  assert.ok(prefill.touchedMoeFraction > 0.999);
+  assert.equal(gpu.prefill.bound, 'compute');
+  const gpuFlops = 2 * (preset.denseParams + gpuMoeFraction * preset.moeParams) * 4096;
+  assert.ok(Math.abs(gpu.prefill.computeMs - gpuFlops / 330e12 * 1000) < 1e-6);
+  assert.equal(ram.prefill.bound, 'compute');
+  assert.equal(prefill.tokensPerSec, 4096 * 1000 / prefill.ms);
+
+  const unlimitedTiers = tiers.map((tier) => ({ ...tier, tflops: 0 }));
+  const unlimited = computeRoofline({
+    ...input,
+    placement: placeModel(unlimitedTiers, { denseGB: denseSizeGB, kvGB: 0, moeGB: moeTotalGB }),
+  });
+  assert.ok(unlimited.prefill.tokensPerSec > prefill.tokensPerSec);
+  assert.equal(unlimited.decode.ms, decode.ms);
+});
+
+test('presets expose hidden size and layer count for communication volume', () => {
+  const deepseek = computeModelPreset(globalThis.PARAMCALC_PRESETS.models['deepseek-v3']);
+  assert.equal(deepseek.hiddenSize, 7168);
+  assert.equal(deepseek.layerCount, 61);
+  const nemotron = computeModelPreset(globalThis.PARAMCALC_PRESETS.models['nvidia-nemotron-3-super-120b-a12b']);
+  assert.equal(nemotron.hiddenSize, 4096);
+  assert.equal(nemotron.layerCount, 88);
+  // Only the 40 Mamba layers keep a recurrent state; the 40 MoE layers have none
+  assert.equal(getModelArchitecture('nvidia-nemotron-3-super-120b-a12b').linear_attention_layers, 40);
+});
+
+test('tensor and pipeline parallelism size interconnect traffic from hidden size and layers', () => {
+  const link = { hiddenSize: 4096, layerCount: 48, activationBytes: 2, linkBw: 32, linkLatencyUs: 10 };
+  const tensor = computeCommunication({ ...link, mode: 'tensor' }, 4, 1);
+  assert.equal(tensor.messageBytes, 8192);
+  assert.equal(tensor.steps, 2 * 48 * 2 * 3);
+  assert.equal(tensor.bytesPerDevice, 2 * 48 * 2 * 3 / 4 * 8192);
+  assert.equal(tensor.ms, tensor.steps * 10 / 1000 + tensor.bytesPerDevice / 32e9 * 1000);
+
+  const pipeline = computeCommunication({ ...link, mode: 'pipeline' }, 4, 512);
+  assert.equal(pipeline.steps, 3);
+  assert.equal(pipeline.bytesPerDevice, 3 * 512 * 8192);
+  assert.equal(computeCommunication({ ...link, mode: 'tensor' }, 1, 1).ms, 0);
+  assert.equal(computeCommunication({ ...link, mode: 'offload' }, 4, 1).ms, 0);
+});
+
+test('tensor parallel GPUs run together while pipeline stages add up', () => {
+  const tiers = [
+    { name: 'GPU 1', kind: 'gpu', capacityGB: 24, bw: 1000, tflops: 0 },
+    { name: 'GPU 2', kind: 'gpu', capacityGB: 24, bw: 500, tflops: 0 },
+    { name: 'System RAM', kind: 'ram', capacityGB: Infinity, bw: 80, tflops: 0 },
+  ];
+  const input = {
+    tiers,
+    denseParams: 10e9,
+    activeMoeParams: 0,
+    totalMoeParams: 0,
+    denseSizeGB: 20,
+    kvCacheSizeGB: 4,
+    moeTotalGB: 0,
+    promptLength: 1,
+    hiddenSize: 4096,
+    layerCount: 40,
+    activationBytes: 2,
+    linkBw: 32,
+    linkLatencyUs: 0,
+  };
+  const tensor = computeSpeedEstimate({ ...input, mode: 'tensor' });
+  assert.equal(tensor.placement.tiers.length, 2);
+  assert.equal(tensor.placement.tiers[0].usedGB, 12);
+  assert.equal(tensor.decode.deviceMs, 12 / 500 * 1000);
+  assert.equal(tensor.decode.ms, tensor.decode.deviceMs + tensor.decode.communication.ms);
+
+  const pipeline = computeSpeedEstimate({ ...input, mode: 'pipeline' });
+  assert.equal(pipeline.decode.deviceMs, 12 / 1000 * 1000 + 12 / 500 * 1000);
+  assert.equal(pipeline.decode.communication.bytesPerDevice, 8192);
+
+  const offload = computeSpeedEstimate({ ...input, mode: 'offload' });
+  assert.equal(offload.decode.communication.ms, 0);
+  assert.equal(offload.placement.tiers[0].usedGB, 24);
+  assert.equal(offload.decode.ms, 24);
+});
+
+test('tensor classes partition the always-active parameters of every preset', () => {
+  for (const model of globalThis.PARAMCALC_PRESETS.modelOrder) {
+    const preset = computeModelPreset(globalThis.PARAMCALC_PRESETS.models[model]);
+    assert.deepEqual(Object.keys(preset.classParams), quantPlanClasses.map((c) => c.key), model);
+    const classTotal = Object.values(preset.classParams).reduce((sum, params) => sum + params, 0);
+    assert.equal(classTotal, preset.denseParams, `${model} classes do not add up`);
+  }
+  const deepseekMtp = computeModelPreset(globalThis.PARAMCALC_PRESETS.models['deepseek-v3-mtp']);
+  assert.equal(deepseekMtp.classParams.embeddings, 2 * 129280 * 7168);
+  assert.equal(deepseekMtp.classParams.output_head, 2 * 129280 * 7168);
+});
+
+test('quantization plan sizes each class at its own bits', () => {
+  const plan = computeQuantPlan({
+    classes: [
+      { key: 'embeddings', params: 1e9, bits: 6.5 },
+      { key: 'norms', params: 1e6, bits: 32 },
+      { key: 'attention', params: 2e9, bits: null },
+    ],
+    denseParams: 4e9,
+    totalMoeParams: 100e9,
+    activeMoeParams: 10e9,
+    denseBits: 4.5,
+    moeBits: 2.5,
+  });
+  assert.equal(plan.classes[2].bits, 4.5);
+  assert.equal(plan.otherParams, 4e9 - 1e9 - 1e6 - 2e9);
+  const expectedBytes = 1e9 * 6.5 / 8 + 1e6 * 32 / 8 + 2e9 * 4.5 / 8 + plan.otherParams * 4.5 / 8;
+  assert.ok(Math.abs(plan.denseSizeGB - expectedBytes / 1e9) < 1e-12);
+  assert.equal(plan.moeTotalGB, 100e9 * 2.5 / 8 / 1e9);
+  assert.equal(plan.overclaimedParams, 0);
+
+  const uniform = computeQuantPlan({
+    classes: [],
+    denseParams: 4e9,
+    totalMoeParams: 0,
+    activeMoeParams: 0,
+    denseBits: 8.5,
+    moeBits: 8.5,
+  });
+  assert.equal(uniform.denseSizeGB, 4e9 * 8.5 / 8 / 1e9);
+  assert.equal(uniform.denseBits, 8.5);
+});
+
+test('quantization schemes carry exact bits per weight including scales', () => {
+  const bits = (key, rowLength) => getSchemeBits(findQuantScheme(key), rowLength);
+  assert.equal(bits('q8_0'), 8.5);
+  assert.equal(bits('q4_k'), 4.5);
+  assert.equal(bits('q6_k'), 6.5625);
+  assert.equal(bits('iq2_xxs'), 2.0625);
+  assert.equal(bits('mxfp4'), 4.25);
+  assert.equal(bits('gptq_g128'), 4 + 20 / 128);
+  assert.equal(bits('fp8_channel', 4096), 8 + 32 / 4096);
+  assert.equal(bits('fp8_channel'), 8);
+  assert.equal(bits('q4_k_m'), 4.5 * 5 / 6 + 6.5625 / 6);
+  assert.equal(formatSchemeLabel(findQuantScheme('q4_k_m')), 'Q4_K_M (≈4.8438 bpw, approximate mix)');
+  assert.equal(formatSchemeLabel(findQuantScheme('q4_k')), 'Q4_K (4.5 bpw)');
+  for (const scheme of quantSchemes) {
+    assert.ok(getSchemeBits(scheme, 4096) > 1 && getSchemeBits(scheme, 4096) <= 32, scheme.key);
+  }
+});
+
+test('speed presets use the param calculator totals for every preset', () => {
+  const presets = JSON.parse(fs.readFileSync(require.resolve('./paramcalc.presets.json'), 'utf8'));
+  for (const model of presets.modelOrder) {
+    const preset = computeModelPreset(presets.models[model]);
+    const r = computeResults(buildPresetInput(model));
+    assert.equal(preset.totalParams, r.totalParams, model);
+    assert.equal(preset.denseParams, r.totalAlwaysActive, model);
+    assert.equal(preset.moeParams, r.moeExpertsOnly, model);
+    assert.equal(preset.layerCount, r.totalLayersComputed, model);
+  }
+});
+
+test('speed presets carry the published totals of known models', () => {
+  // Totals match the Hugging Face safetensors counts; active splits sum to the
+  // model cards' ~3.3B (Qwen3 30B A3B) and ~12B (Nemotron 3 Super) active
+  const known = {
+    'qwen3-30b': { totalParams: 30532122624, denseParams: 1541093376, moeParams: 1811939328, layerCount: 48 },
+    'gpt-oss-20b': { totalParams: 20914757184, denseParams: 1797824064, moeParams: 2389616640, layerCount: 24 },
+    'qwen3.5-27b': { totalParams: 27356728560, denseParams: 27356728560, moeParams: 0, layerCount: 64 },
+    'qwen3.5-35b-a3b': { totalParams: 35107181936, denseParams: 2894927216, moeParams: 1006632960, layerCount: 40 },
+    'nvidia-nemotron-3-super-120b-a12b': { totalParams: 120668707840, denseParams: 7925816320, moeParams: 4844421120, layerCount: 88 },
+  };
+  for (const [model, expected] of Object.entries(known)) {
+    const preset = computeModelPreset(globalThis.PARAMCALC_PRESETS.models[model]);
+    const { totalParams, denseParams, moeParams, layerCount } = preset;
+    assert.deepEqual({ totalParams, denseParams, moeParams, layerCount }, expected, model);
+  }
+});
+
+test('param calculator hand-off carries the same counts the speed presets use', () => {
+  for (const model of globalThis.PARAMCALC_PRESETS.modelOrder) {
+    const input = buildPresetInput(model);
+    const handoff = computeSpeedHandoff(input, computeResults(input), model);
+    const preset = computeModelPreset(globalThis.PARAMCALC_PRESETS.models[model]);
+    assert.equal(handoff.totalParams, preset.totalParams, model);
+    assert.equal(handoff.alwaysActiveParams, preset.denseParams, model);
+    assert.equal(handoff.activeExpertParams, preset.moeParams, model);
+    assert.equal(handoff.hiddenSize, preset.hiddenSize, model);
+    assert.equal(handoff.layerCount, preset.layerCount, model);
+    assert.deepEqual(handoff.classParams, preset.classParams, model);
+    assert.deepEqual(handoff.architecture, getModelArchitecture(model), model);
+  }
+});
+
+test('speed calculator reads the hand-off back from the URL hash', () => {
+  const input = buildPresetInput('gpt-oss-20b');
+  const handoff = computeSpeedHandoff(input, computeResults(input), null);
+  const url = buildSpeedCalculatorUrl(handoff);
+  assert.match(url, /^index\.html#paramcalc=/);
+  assert.deepEqual(parseParamcalcHandoff(url.slice(url.indexOf('#'))), handoff);
+  assert.equal(handoff.architecture, null);
+  assert.equal(parseParamcalcHandoff('#paramcalc=%7Bbroken'), null);
+  assert.equal(parseParamcalcHandoff(''), null);
+});
+
+test('MTP heads are the difference between the mtp and base presets', () => {
+  const head = computeMtpHead('glm-4.7-flash-mtp');
+  const base = computeModelPreset(globalThis.PARAMCALC_PRESETS.models['glm-4.7-flash']);
+  const withMtp = computeModelPreset(globalThis.PARAMCALC_PRESETS.models['glm-4.7-flash-mtp']);
+  assert.equal(head.base, 'glm-4.7-flash');
+  assert.equal(head.totalParams, withMtp.totalParams - base.totalParams);
+  assert.equal(head.denseParams + head.moeParams, withMtp.denseParams + withMtp.moeParams - base.denseParams - base.moeParams);
+  assert.equal(head.layerCount, 1);
+  assert.equal(head.hiddenSize, base.hiddenSize);
+  assert.deepEqual(computeMtpHead('glm-4.7-flash'), head);
+  assert.equal(computeMtpHead('gpt-oss-20b'), null);
+});
+
+test('speculative decoding drafts k tokens and verifies them in one pass', () => {
+  assert.equal(computeExpectedTokensPerStep(3, 0), 1);
+  assert.equal(computeExpectedTokensPerStep(3, 1), 4);
+  assert.ok(Math.abs(computeExpectedTokensPerStep(3, 0.5) - 1.875) < 1e-12);
+
+  const gpu = { name: 'GPU 1', kind: 'gpu', capacityGB: 24, bw: 1000, tflops: 0 };
+  const ram = { name: 'System RAM', kind: 'ram', capacityGB: Infinity, bw: 100, tflops: 0 };
+  const input = {
+    mode: 'offload',
+    tiers: [gpu, ram],
+    denseParams: 10e9,
+    activeMoeParams: 0,
+    totalMoeParams: 0,
+    denseSizeGB: 20,
+    kvCacheSizeGB: 0,
+    moeTotalGB: 0,
+    promptLength: 1,
+    hiddenSize: 4096,
+    layerCount: 40,
+    activationBytes: 2,
+    linkBw: 32,
+    linkLatencyUs: 0,
+  };
+  const estimate = computeSpeedEstimate(input);
+  const spec = computeSpeculativeDecoding({
+    ...input,
+    estimate,
+    draftLength: 3,
+    acceptanceRate: 0.5,
+    draft: { denseParams: 3e9, activeMoeParams: 0, totalMoeParams: 0, denseSizeGB: 6, moeTotalGB: 0, layerCount: 1 },
+  });
+  // 4 GB of the drafter fits next to the target on the GPU and 2 GB spills to RAM
+  assert.equal(spec.draft.placement.tiers[0].denseGB, 4);
+  assert.equal(spec.draftMs, 4 / 1000 * 1000 + 2 / 100 * 1000);
+  // Bandwidth-bound verify reads the weights once for all 4 positions
+  assert.equal(spec.verifyMs, estimate.decode.ms);
+  assert.equal(spec.stepMs, 3 * spec.draftMs + spec.verifyMs);
+  assert.equal(spec.tokensPerSec, 1.875 * 1000 / spec.stepMs);
+  assert.equal(spec.speedup, spec.tokensPerSec / estimate.decode.tokensPerSec);
+  assert.equal(spec.fits, true);
+
+  // A separate drafter keeps its own shape: the target's routing, experts and layers do not leak into it
+  const parallel = { ...input, mode: 'tensor', tiers: [gpu, { ...gpu, name: 'GPU 2' }] };
+  const draft = { denseParams: 1e9, activeMoeParams: 1e9, totalMoeParams: 8e9, denseSizeGB: 2, moeTotalGB: 16, layerCount: 8, hiddenSize: 1024 };
+  const specOf = (target) => computeSpeculativeDecoding({ ...target, estimate: computeSpeedEstimate(target), draftLength: 3, acceptanceRate: 0.5, draft });
+  const skewedTarget = {
+    ...parallel,
+    expertsPerLayer: 256,
+    activeExperts: 8,
+    routing: { probs: [0.5, 0.5], activeExperts: 1 },
+    cachedExperts: 1,
+  };
+  assert.equal(specOf(skewedTarget).draftMs, specOf(parallel).draftMs);
+  // Interconnect traffic follows the drafter's 8 layers × 1024 hidden, not the target's 40 × 4096
+  assert.equal(specOf(parallel).draft.decode.communication.messageBytes, 1024 * 2);
+});
+
+test('a drafter is sized at the quantization plan the target uses', () => {
+  // 1B of the 4B always-active params at 16 bits, the rest at the 8-bit default: 10 bits on average
+  const form = makeSpeedForm({ planClasses: [{ key: 'embeddings', label: 'Embeddings', params: 1e9, bits: 16 }] });
+  const { quantPlan, speedInput } = buildSpeedInput(form);
+  assert.equal(quantPlan.denseBits, 10);
+  const html = renderSpeculativeDecoding({
+    ...speedInput,
+    estimate: computeSpeedEstimate(speedInput),
+    specMode: 'draft',
+    draftLength: 3,
+    acceptancePct: 50,
+    draftCounts: { totalParams: 2e9, denseParams: 2e9, moeParams: 0, layerCount: 8, hiddenSize: 1024 },
+    quantPlan,
+    moeQuantBits: form.moeQuantBits,
+  });
+  assert.match(html, /2,000,000,000 params × \(10 bits\/param ÷ 8 bits\/byte\)/);
+  assert.match(html, /2\.5&nbsp;GB/);
+});
+
+test('routing skew sets the VRAM hit rate of cached experts', () => {
+  assert.equal(computeRoutingDistribution({ kind: 'uniform', expertsPerLayer: 8 }), null);
+  const zipf = computeRoutingDistribution({ kind: 'zipf', expertsPerLayer: 4, zipfS: 1 });
+  const harmonic = 1 + 1 / 2 + 1 / 3 + 1 / 4;
+  assert.ok(Math.abs(zipf[0] - 1 / harmonic) < 1e-12);
+  assert.ok(Math.abs(computeExpertCacheHitRate(zipf, 2) - 1.5 / harmonic) < 1e-12);
+  // Half of the third expert's weights are cached
+  assert.ok(Math.abs(computeExpertCacheHitRate(zipf, 2.5) - (1.5 + 1 / 6) / harmonic) < 1e-12);
+
+  assert.deepEqual(parseExpertHistogram('1, 3\n4 2'), [1, 3, 4, 2]);
+  assert.equal(parseExpertHistogram('1, x'), null);
+  assert.equal(parseExpertHistogram(''), null);
+  const histogram = computeRoutingDistribution({ kind: 'histogram', histogram: [1, 3, 4, 2] });
+  assert.deepEqual(histogram, [0.4, 0.3, 0.2, 0.1]);
+  assert.ok(Math.abs(computeExpertCacheHitRate(histogram, 1) - 0.4) < 1e-12);
+});
+
+test('skewed routing sends more expert reads to the tier holding hot experts', () => {
+  const tiers = [
+    { name: 'GPU 1', kind: 'gpu', capacityGB: 30, bw: 1000, tflops: 0 },
+    { name: 'System RAM', kind: 'ram', capacityGB: Infinity, bw: 100, tflops: 0 },
+  ];
+  const input = {
+    mode: 'offload',
+    tiers,
+    denseParams: 1e9,
+    activeMoeParams: 4e9,
+    totalMoeParams: 40e9,
+    denseSizeGB: 10,
+    kvCacheSizeGB: 0,
+    moeTotalGB: 40,
+    promptLength: 512,
+    hiddenSize: 4096,
+    layerCount: 40,
+    activationBytes: 2,
+    linkBw: 32,
+    linkLatencyUs: 0,
+  };
+  const uniform = computeSpeedEstimate(input);
+  const probs = [0.4, 0.3, 0.2, 0.1, 0, 0, 0, 0, 0, 0];
+  const skewed = computeSpeedEstimate({ ...input, routing: { probs, activeExperts: 1 } });
+  // Half of the experts (5 of 10) sit on the GPU; uniform routing reads half
+  // of the active experts there, skewed routing all of them
+  assert.equal(uniform.tiers[1].decode.bytesGB, 20 * 0.1);
+  assert.ok(Math.abs(skewed.tiers[0].moeReadShare - 1) < 1e-12);
+  assert.ok(Math.abs(skewed.tiers[1].decode.bytesGB) < 1e-12);
+  assert.ok(skewed.decode.ms < uniform.decode.ms);
+  // Cold experts are never touched, so prefill reads less of system RAM
+  assert.ok(skewed.prefill.touchedMoeFraction < uniform.prefill.touchedMoeFraction);
+  // Tensor parallelism spreads every expert, so skew does not apply
+  const tensor = computeSpeedEstimate({ ...input, mode: 'tensor', routing: { probs, activeExperts: 1 } });
+  assert.equal(tensor.decode.ms, computeSpeedEstimate({ ...input, mode: 'tensor' }).decode.ms);
+});
+
+test('batched decode loads 1 - (1 - k/E)^B of the experts per step', () => {
+  const input = {
+    mode: 'offload',
+    tiers: [{ name: 'GPU 1', kind: 'gpu', capacityGB: Infinity, bw: 1000, tflops: 0 }],
+    denseParams: 1e9,
+    activeMoeParams: 2e9,
+    totalMoeParams: 16e9,
+    denseSizeGB: 2,
+    kvCacheSizeGB: 1,
+    moeTotalGB: 32,
+    promptLength: 1,
+    hiddenSize: 4096,
+    layerCount: 40,
+    activationBytes: 2,
+    linkBw: 32,
+    linkLatencyUs: 0,
+    expertsPerLayer: 64,
+    activeExperts: 8,
+    batchSize: 4,
+  };
+  const batch = computeBatchDecode(input);
+  const touched = 1 - Math.pow(1 - 8 / 64, 4);
+  assert.ok(Math.abs(batch.touchedMoeFraction - touched) < 1e-12);
+  assert.ok(Math.abs(batch.uniqueExperts - 64 * touched) < 1e-9);
+  assert.ok(Math.abs(batch.bytesGB - (2 + 1 + 32 * touched)) < 1e-9);
+  assert.equal(batch.stepMs, batch.bytesGB / 1000 * 1000);
+  assert.equal(batch.aggregateTokensPerSec, 4 * batch.perUserTokensPerSec);
+  // Four sequences share the always-active reads, so the batch beats one stream per sequence
+  const single = computeSpeedEstimate(input);
+  assert.ok(batch.aggregateTokensPerSec > single.decode.tokensPerSec);
+  assert.ok(batch.perUserTokensPerSec < single.decode.tokensPerSec);
+});
+
+test('sweeps step one or two inputs and tabulate decode speed and fit', () => {
+  const form = makeSpeedForm();
+  assert.deepEqual(computeSweepValues(2.5, 8.5, 7), [2.5, 3.5, 4.5, 5.5, 6.5, 7.5, 8.5]);
+  const axes = getSweepAxes(form.tiers);
+  const moeBits = axes.find((a) => a.key === 'moe_bits');
+  const ramCapacity = axes.find((a) => a.key === 'device_1_capacity');
+  assert.equal(ramCapacity.label, 'RAM capacity (GB)');
+
+  const line = computeSweep(form, [{ axis: moeBits, values: [4, 8] }]);
+  assert.equal(line.rows.length, 2);
+  // 4 GB always-active + 96e9 × 4/8 = 48 GB of experts fits; at 8 bits 96 GB does not
+  assert.equal(line.rows[0].fits, true);
+  assert.equal(line.rows[1].fits, false);
+  assert.ok(line.rows[0].tokensPerSec > line.rows[1].tokensPerSec);
+
+  const grid = computeSweep(form, [{ axis: moeBits, values: [4, 8] }, { axis: ramCapacity, values: [64, 128] }]);
+  assert.deepEqual(grid.rows.map((row) => [row.x, row.y, row.fits]), [[4, 64, true], [8, 64, false], [4, 128, true], [8, 128, true]]);
+
+  const csv = buildSweepCsv(grid).trim().split('\n');
+  assert.equal(csv[0], 'MoE expert bits/weight,RAM capacity (GB),Decode tokens/s,Fits,Overflow (GB)');
+  assert.equal(csv.length, 5);
+  assert.match(csv[2], /^8,64,[0-9.]+,no,/);
+});
+
+test('the hardware solver keeps configurations that fit and reach the target, cheapest first', () => {
+  const preset = (key) => gpuPresets.find((p) => p.key === key);
+  const gpus = [{ preset: preset('rtx3090'), price: 800 }, { preset: preset('rtxpro6000'), price: 8500 }, { preset: preset('a100'), price: 0 }];
+  // Up to 3 GPUs: 3 × 3 single-type sets plus 3 pairs × 3 splits (1+1, 1+2, 2+1)
+  assert.equal(enumerateGpuConfigs(gpus, 3).length, 18);
+
+  const form = makeSpeedForm({ tiers: [] });
+  const options = { targetTokensPerSec: 120, maxGpus: 3, precision: 'fp16', gpus, ram: { capacityGB: Infinity, tflops: 0, bandwidths: [100] } };
+  // 52 GB of weights and 7 GB read per token: 120 tokens/s needs every weight in VRAM
+  const byVram = solveHardware(form, { ...options, rankBy: 'vram' });
+  assert.equal(byVram.searched, 18);
+  assert.ok(byVram.matches.length > 0);
+  byVram.matches.forEach((match) => assert.ok(match.tokensPerSec >= 120));
+  assert.equal(byVram.matches[0].totalVramGB, 72);
+  assert.ok(byVram.matches.every((match, i) => i === 0 || match.totalVramGB >= byVram.matches[i - 1].totalVramGB));
+
+  const byPrice = solveHardware(form, { ...options, rankBy: 'price' });
+  // The unpriced A100 is left out of a price search
+  assert.ok(byPrice.matches.every((match) => match.groups.every(({ gpu }) => gpu.preset.key !== 'a100')));
+  assert.equal(byPrice.matches[0].price, 2400);
+  assert.deepEqual(byPrice.matches[0].groups.map(({ gpu, count }) => [gpu.preset.key, count]), [['rtx3090', 3]]);
+});
+
+test('the hardware solver tries each GPU set once in the GPU-only parallel modes', () => {
+  const gpus = [{ preset: gpuPresets.find((p) => p.key === 'rtx3090'), price: 800 }];
+  const options = { targetTokensPerSec: 1, maxGpus: 4, precision: 'fp16', rankBy: 'vram', gpus, ram: { capacityGB: 64, tflops: 0, bandwidths: [50, 100, 200] } };
+  const offload = solveHardware(makeSpeedForm({ tiers: [] }), options);
+  assert.equal(offload.searched, 4 * 3);
+  for (const mode of ['tensor', 'pipeline']) {
+    const result = solveHardware(makeSpeedForm({ tiers: [], mode }), options);
+    assert.equal(result.searched, 4, mode);
+    const sets = result.matches.map((match) => match.groups.map(({ gpu, count }) => `${count}×${gpu.preset.key}`).join('+'));
+    assert.equal(new Set(sets).size, sets.length, mode);
+    assert.ok(result.matches.length > 0 && result.matches.every((match) => match.ramBw === null), mode);
+  }
+});
+
+test('every GPU reserves the runtime overhead and the memory map shows used and free memory', () => {
+  const tiers = [
+    { name: 'GPU 1', kind: 'gpu', capacityGB: 24, bw: 1000 },
+    { name: 'System RAM', kind: 'ram', capacityGB: 64, bw: 100 },
+  ];
+  const placement = placeModel(tiers, { denseGB: 10, kvGB: 4, moeGB: 40, overheadGB: 1 });
+  assert.deepEqual(placement.tiers.map((p) => [p.overheadGB, p.denseGB, p.kvGB, p.moeGB, p.usedGB]), [[1, 10, 4, 9, 24], [0, 0, 0, 31, 31]]);
+  assert.equal(placement.fits, true);
+  const html = renderMemoryMap(placement, 40);
+  assert.match(html, /<th scope="row">GPU 1<\/th><td>10<\/td><td>4<\/td><td>9 \(22\.5 %\)<\/td><td>1<\/td><td>24<\/td><td>24<\/td><td>0<\/td>/);
+  assert.match(html, /<td>31<\/td><td>64<\/td><td>33<\/td>/);
+
+  // Whatever fits nowhere is reported as overflow on the slowest device
+  const full = placeModel(tiers, { denseGB: 10, kvGB: 4, moeGB: 80, overheadGB: 1 });
+  assert.equal(full.fits, false);
+  assert.equal(full.overflowGB, 7);
+  assert.match(renderMemoryMap(full, 80), /<tr class="memory-map-over"><th scope="row">System RAM<\/th>.*<td>7 over<\/td>/);
+
+  // Parallel modes hold the overhead on every GPU
+  const split = splitAcrossDevices([tiers[0], { ...tiers[0], name: 'GPU 2' }], { denseGB: 10, kvGB: 4, moeGB: 30, overheadGB: 1 });
+  assert.deepEqual(split.tiers.map((p) => p.usedGB), [23, 23]);
+  assert.equal(split.fits, true);
+});
+
+test('a GPU without a VRAM capacity is reported instead of treated as unlimited', () => {
+  assert.equal(validateSpeedForm(makeSpeedForm()), null);
+  const blankGpu = makeSpeedForm({ tiers: [{ name: 'GPU', kind: 'gpu', capacityGB: NaN, bw: 1000, tflops: 0 }, { name: 'RAM', kind: 'ram', capacityGB: Infinity, bw: 100, tflops: 0 }] });
+  assert.equal(validateSpeedForm(blankGpu), 'Enter the VRAM capacity of every GPU before calculating.');
+});
+
+test('system RAM starts with a real capacity so an oversized model fails the fit check', () => {
+  const ram = defaultDevices.find((device) => device.kind === 'ram');
+  assert.equal(ram.capacityGB, 64);
+  // Default rows with a 24 GB GPU filled in: 4 GB always-active + 200 GB of 8-bit experts cannot fit in 88 GB
+  const form = makeSpeedForm({
+    tiers: defaultDevices.map(({ kind, capacityGB }) => ({ name: kind, kind, capacityGB: kind === 'gpu' ? 24 : capacityGB, bw: kind === 'gpu' ? 1000 : 100, tflops: 0 })),
+    totalParams: 204e9,
+    moeQuantBits: 8,
+  });
+  assert.equal(validateSpeedForm(form), null);
+  const estimate = computeSpeedEstimate(buildSpeedInput(form).speedInput);
+  assert.equal(estimate.placement.fits, false);
+  assert.equal(estimate.placement.overflowGB, 4 + 200 - 88);
+  const blankRam = makeSpeedForm({ tiers: [form.tiers[0], { ...form.tiers[1], capacityGB: NaN }] });
+  assert.match(validateSpeedForm(blankRam), /capacity of every RAM pool/);
+});
+
+test('cached experts per layer decide how many experts sit on the GPUs and the decode time', () => {
+  // 64 GB GPU: 4 GB always-active leaves room for every one of the 48 GB of experts
+  const form = makeSpeedForm({ tiers: [{ name: 'GPU', kind: 'gpu', capacityGB: 64, bw: 1000, tflops: 0 }, { name: 'RAM', kind: 'ram', capacityGB: 64, bw: 100, tflops: 0 }], expertsPerLayer: 64 });
+  const estimate = (cachedExperts) => computeSpeedEstimate(buildSpeedInput({ ...form, cachedExperts }).speedInput);
+  const all = estimate(null);
+  const sixteen = estimate(16);
+  assert.equal(all.placement.tiers[0].moeGB, 48);
+  assert.equal(sixteen.placement.tiers[0].moeGB, 12);
+  assert.equal(sixteen.placement.tiers[1].moeGB, 36);
+  assert.ok(sixteen.decode.ms > all.decode.ms);
+  // More cached experts than fit leaves the placement where free VRAM ends
+  const small = { ...form, tiers: [{ ...form.tiers[0], capacityGB: 24 }, form.tiers[1]] };
+  assert.equal(computeSpeedEstimate(buildSpeedInput({ ...small, cachedExperts: 64 }).speedInput).placement.tiers[0].moeGB, 20);
+});
+
+test('the GPU expert cache is a preference: experts RAM cannot hold go back into free VRAM', () => {
+  const tiers = [
+    { name: 'GPU', kind: 'gpu', capacityGB: 24, bw: 1000, tflops: 0 },
+    { name: 'RAM', kind: 'ram', capacityGB: 40, bw: 100, tflops: 0 },
+  ];
+  const none = placeModel(tiers, { denseGB: 4, kvGB: 0, moeGB: 48, gpuMoeGB: 0 });
+  assert.equal(none.fits, true);
+  assert.equal(none.tiers[1].moeGB, 40);
+  assert.equal(none.tiers[0].moeGB, 8);
+  // With room in RAM the cap holds
+  const roomy = placeModel([tiers[0], { ...tiers[1], capacityGB: 64 }], { denseGB: 4, kvGB: 0, moeGB: 48, gpuMoeGB: 0 });
+  assert.equal(roomy.tiers[0].moeGB, 0);
+  // Only when VRAM is full as well does the model not fit
+  const full = placeModel(tiers, { denseGB: 4, kvGB: 0, moeGB: 70, gpuMoeGB: 0 });
+  assert.equal(full.overflowGB, 10);
+});
+
+test('cached experts need the expert count unless a histogram gives it', () => {
+  const form = makeSpeedForm({ cachedExperts: 8 });
+  assert.match(validateSpeedForm(form), /experts per MoE layer to cache/);
+  assert.equal(validateSpeedForm({ ...form, expertsPerLayer: 64 }), null);
+  assert.equal(validateSpeedForm({ ...form, routingKind: 'histogram', histogram: [3, 2, 1], activeExperts: 1 }), null);
+  // Parallel modes spread every expert evenly and never read the cache size
+  assert.equal(validateSpeedForm({ ...form, mode: 'pipeline' }), null);
+});
+
+test('a batch of one sequence costs exactly one plain decode step', () => {
+  const input = {
+    mode: 'offload',
+    tiers: [
+      { name: 'GPU', kind: 'gpu', capacityGB: 24, bw: 1000, tflops: 100 },
+      { name: 'RAM', kind: 'ram', capacityGB: 64, bw: 100, tflops: 2 },
+    ],
+    denseParams: 4e9,
+    activeMoeParams: 6e9,
+    totalMoeParams: 96e9,
+    denseSizeGB: 4,
+    kvCacheSizeGB: 2,
+    moeTotalGB: 48,
+    runtimeOverheadGB: 0,
+    promptLength: 512,
+    activationBytes: 2,
+    routing: null,
+    batchSize: 1,
+  };
+  // Matching and mismatched k/E (8/64 against 6/96 active/total), and no expert counts at all
+  for (const [expertsPerLayer, activeExperts] of [[16, 1], [64, 8], [0, 0]]) {
+    const r = { ...input, expertsPerLayer, activeExperts };
+    const batch = computeBatchDecode(r);
+    const plain = computeSpeedEstimate(r).decode;
+    assert.ok(Math.abs(batch.stepMs - plain.ms) < 1e-9, `${activeExperts}/${expertsPerLayer}`);
+    assert.ok(Math.abs(batch.aggregateTokensPerSec - plain.tokensPerSec) < 1e-9, `${activeExperts}/${expertsPerLayer}`);
+  }
+});
+
+test('prefill keeps the active/total expert share and decode reads one sequence of a batched KV cache', () => {
+  // k/E = 8/64 differs from active/total = 6/96; only batched decode uses k/E,
+  // for how many distinct experts the batch picks
+  const input = { ...buildSpeedInput(makeSpeedForm({ expertsPerLayer: 64, activeExperts: 8 })).speedInput, promptLength: 16 };
+  const plain = computeSpeedEstimate(input);
+  assert.ok(Math.abs(plain.prefill.touchedMoeFraction - (1 - Math.pow(1 - 6 / 96, 16))) < 1e-12);
+  const batch = computeBatchDecode({ ...input, batchSize: 4 });
+  assert.ok(Math.abs(batch.uniqueExperts - 64 * (1 - Math.pow(1 - 8 / 64, 4))) < 1e-9);
+  assert.ok(Math.abs(batch.touchedMoeFraction - (1 - Math.pow(1 - 8 / 64, 4)) * (6 / 96) / (8 / 64)) < 1e-12);
+
+  const kv = (batchSize) => computeSpeedEstimate({ ...input, kvCacheSizeGB: 4, batchSize });
+  const one = kv(1);
+  const four = kv(4);
+  assert.ok(Math.abs(one.tiers[0].decode.bytesGB - four.tiers[0].decode.bytesGB - 3) < 1e-9);
+  assert.equal(one.tiers[0].prefill.bytesGB, four.tiers[0].prefill.bytesGB);
+});
@@ -316,6 +316,13 @@ function buildModelDoc({ repoId, revision, indexJson, config, shardHeaders, repo
       n_routed_experts: getArchitectureValue(config, 'n_routed_experts', 'moe_num_experts'),
       n_shared_experts: getArchitectureValue(config, 'n_shared_experts'),
       num_experts_per_tok: getArchitectureValue(config, 'num_experts_per_tok', 'moe_top_k'),
+      num_attention_heads: getArchitectureValue(config, 'num_attention_heads'),
+      num_key_value_heads: getArchitectureValue(config, 'num_key_value_heads'),
+      head_dim: getArchitectureValue(config, 'head_dim'),
+      kv_lora_rank: getArchitectureValue(config, 'kv_lora_rank'),
+      qk_rope_head_dim: getArchitectureValue(config, 'qk_rope_head_dim'),
+      sliding_window: getArchitectureValue(config, 'sliding_window'),
+      layer_types: getArchitectureValue(config, 'layer_types'),
     },
     summary: {
       total_tensors: Object.keys(tensors).length,
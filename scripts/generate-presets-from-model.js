@@ -5,15 +5,9 @@ const path = require('node:path');
 
 const {
   STABLE_LABEL_REFS,
-  createEmptyInput,
+  inputFromPresetEntry,
   computeResults,
-} = require('../paramcalc.js');
-
-const FIELD_IDS_BY_STABLE_REF = Object.fromEntries(
-  Object.entries(STABLE_LABEL_REFS)
-    .filter(([fieldId]) => !fieldId.startsWith('explanation_'))
-    .map(([fieldId, stableRef]) => [stableRef, fieldId]),
-);
+} = require('../core.js');
 
 const EXISTING_PRESETS = JSON.parse(
   fs.readFileSync(path.join(__dirname, '..', 'paramcalc.presets.json'), 'utf8'),
@@ -35,19 +29,33 @@ function product(shape) {
   return shape.reduce((total, dim) => total * dim, 1);
 }
 
-function shapeLine(shape) {
-  if (shape.length === 0) {
-    return '[1]';
-  }
-  return `[${shape.join(', ')}]`;
+// Hugging Face tensor name without its layer or expert index, e.g.
+// `model.layers.3.mlp.experts.0.up_proj.weight` -> `mlp.experts.up_proj.weight`.
+function tensorSuffix(name) {
+  return name
+    .replace(/^(?:.*\.)?layers\.\d+\./, '')
+    .replace(/(^|\.)experts\.\d+\./, '$1experts.');
+}
+
+function shapeLine(shape, dtype, name) {
+  const dims = shape.length === 0 ? '[1]' : `[${shape.join(', ')}]`;
+  const line = dtype ? `${dims} ${dtype}` : dims;
+  return name ? `${name}: ${line}` : line;
+}
+
+function scalarLine(total, dtype, name) {
+  return shapeLine([total], dtype, name);
 }
 
-function scalarLine(total) {
-  return shapeLine([total]);
+// Only annotate a summed line when every contributing tensor agrees on dtype.
+function commonDtype(model, names) {
+  const dtypes = new Set(names.map(name => requireTensor(model, name).dtype));
+  return dtypes.size === 1 ? [...dtypes][0] : null;
 }
 
 function tensorLine(model, name) {
-  return shapeLine(requireTensor(model, name).shape);
+  const tensor = requireTensor(model, name);
+  return shapeLine(tensor.shape, tensor.dtype, tensorSuffix(name));
 }
 
 function tensorCount(model, name) {
@@ -88,8 +96,11 @@ function lineBlockFromPrefix(model, prefix) {
 }
 
 function scalarLineForPrefix(model, prefix) {
+  const names = tensorNamesWithPrefix(model, prefix);
   return scalarLine(
-    tensorNamesWithPrefix(model, prefix).reduce((total, name) => total + tensorCount(model, name), 0),
+    names.reduce((total, name) => total + tensorCount(model, name), 0),
+    commonDtype(model, names),
+    `${prefix}*`,
   );
 }
 
@@ -128,17 +139,75 @@ function getExpertCountFromIndexedExperts(model, prefix) {
 }
 
 function expertLine(model, tensorName, experts) {
-  return shapeLine([experts, ...requireTensor(model, tensorName).shape]);
+  const tensor = requireTensor(model, tensorName);
+  return shapeLine([experts, ...tensor.shape], tensor.dtype, tensorSuffix(tensorName));
 }
 
-function buildPresetInput(entry) {
-  const input = createEmptyInput();
-  for (const [stableRef, value] of Object.entries(entry)) {
-    const fieldId = FIELD_IDS_BY_STABLE_REF[stableRef];
-    if (!fieldId) continue;
-    input[fieldId] = value;
+// MXFP4 checkpoints store each weight as U8 `_blocks` [..., groups, 16]
+// (two 4-bit values per byte) plus one U8 E8M0 `_scales` byte per 32-value
+// group. Report the unpacked logical shape so the line counts parameters,
+// not bytes; the MXFP4 dtype carries the 4.25 bits per weight on disk.
+function mxfp4Line(model, prefix) {
+  const blocks = requireTensor(model, `${prefix}_blocks`);
+  const scales = requireTensor(model, `${prefix}_scales`);
+  const groups = blocks.shape[blocks.shape.length - 2];
+  const bytesPerGroup = blocks.shape[blocks.shape.length - 1];
+  if (blocks.dtype !== 'U8' || scales.dtype !== 'U8' || scales.shape[scales.shape.length - 1] !== groups) {
+    throw new Error(`${prefix} is not a packed MXFP4 tensor`);
   }
-  return input;
+  return shapeLine([...blocks.shape.slice(0, -2), groups * bytesPerGroup * 2], 'MXFP4', tensorSuffix(prefix));
+}
+
+function resolveHeadDim(model, normName) {
+  if (model.architecture?.head_dim != null) {
+    return model.architecture.head_dim;
+  }
+  const norm = normName ? maybeTensor(model, normName) : null;
+  if (norm?.shape?.length === 1) {
+    return norm.shape[0];
+  }
+  throw new Error(`Could not infer attention head dim${normName ? ` from ${normName}` : ''}`);
+}
+
+function countSlidingLayers(model, attentionLayers) {
+  const layerTypes = model.architecture?.layer_types;
+  if (!Array.isArray(layerTypes)) {
+    return 0;
+  }
+  return Math.min(attentionLayers, layerTypes.filter(type => type === 'sliding_attention').length);
+}
+
+// KV cache geometry for the speed calculator. Config values win; tensor
+// shapes are the fallback for exports that predate the attention fields.
+function buildKvArchitecture(model, {
+  attentionLayers,
+  linearAttentionLayers = 0,
+  slidingLayers = countSlidingLayers(model, attentionLayers),
+  slidingWindow = model.architecture?.sliding_window ?? null,
+  keyTensor,
+  headDim,
+  latentTensor,
+  latentNormTensor,
+}) {
+  const architecture = {
+    full_attention_layers: attentionLayers - slidingLayers,
+    sliding_attention_layers: slidingLayers,
+    sliding_window: slidingLayers > 0 ? slidingWindow : null,
+    linear_attention_layers: linearAttentionLayers,
+  };
+
+  if (latentTensor) {
+    const kvLoraRank = model.architecture?.kv_lora_rank ?? requireTensor(model, latentNormTensor).shape[0];
+    architecture.kv_lora_rank = kvLoraRank;
+    architecture.qk_rope_head_dim = model.architecture?.qk_rope_head_dim
+      ?? (requireTensor(model, latentTensor).shape[0] - kvLoraRank);
+    return architecture;
+  }
+
+  architecture.num_key_value_heads = model.architecture?.num_key_value_heads
+    ?? (requireTensor(model, keyTensor).shape[0] / headDim);
+  architecture.head_dim = headDim;
+  return architecture;
 }
 
 function inferActiveExperts(model, presetId) {
@@ -164,17 +233,21 @@ function buildEntriesFromPresetExports(model, buildEntry) {
   });
   const models = {};
   const expectedTotals = {};
+  const architectures = {};
 
   for (const presetId of presetIds) {
     const includeMtp = Boolean(presetExports[presetId]?.include_groups?.includes('mtp_layers'));
-    const { entry, expectedTotal } = buildEntry(presetId, includeMtp);
+    const { entry, expectedTotal, architecture } = buildEntry(presetId, includeMtp);
     models[presetId] = entry;
     if (expectedTotal != null) {
       expectedTotals[presetId] = expectedTotal;
     }
+    if (architecture) {
+      architectures[presetId] = architecture;
+    }
   }
 
-  return { models, expectedTotals };
+  return { models, expectedTotals, architectures };
 }
 
 function buildDeepseekStyleEntry(model, presetId, includeMtp) {
@@ -294,6 +367,11 @@ function buildDeepseekStyleEntry(model, presetId, includeMtp) {
       [STABLE_LABEL_REFS.has_shared_expert]: true,
       [STABLE_LABEL_REFS.experts_include_dim]: false,
     },
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: denseCount + moeCount,
+      latentTensor: `model.layers.${moeLayer}.self_attn.kv_a_proj_with_mqa.weight`,
+      latentNormTensor: `model.layers.${moeLayer}.self_attn.kv_a_layernorm.weight`,
+    }),
   };
 }
 
@@ -381,6 +459,11 @@ function buildGlm4MoeEntry(model, presetId, includeMtp) {
       [STABLE_LABEL_REFS.has_shared_expert]: true,
       [STABLE_LABEL_REFS.experts_include_dim]: true,
     },
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: denseCount + moeCount,
+      keyTensor: `model.layers.${moeLayer}.self_attn.k_proj.weight`,
+      headDim: resolveHeadDim(model, `model.layers.${moeLayer}.self_attn.k_norm.weight`),
+    }),
   };
 }
 
@@ -464,6 +547,11 @@ function buildGlm4MoeLiteEntry(model, presetId, includeMtp) {
       [STABLE_LABEL_REFS.has_shared_expert]: true,
       [STABLE_LABEL_REFS.experts_include_dim]: true,
     },
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: denseCount + moeCount,
+      latentTensor: `model.layers.${moeLayer}.self_attn.kv_a_proj_with_mqa.weight`,
+      latentNormTensor: `model.layers.${moeLayer}.self_attn.kv_a_layernorm.weight`,
+    }),
   };
 }
 
@@ -553,6 +641,11 @@ function buildGlmMoeDsaEntry(model, presetId, includeMtp) {
       [STABLE_LABEL_REFS.has_shared_expert]: true,
       [STABLE_LABEL_REFS.experts_include_dim]: true,
     },
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: getGroupIndices(model, 'dense_layers').length + moeCount,
+      latentTensor: `model.layers.${moeLayer}.self_attn.kv_a_proj_with_mqa.weight`,
+      latentNormTensor: `model.layers.${moeLayer}.self_attn.kv_a_layernorm.weight`,
+    }),
   };
 }
 
@@ -592,6 +685,11 @@ function buildQwen3MoeEntry(model, presetId) {
       ].join('\n'),
       [STABLE_LABEL_REFS.experts_include_dim]: true,
     },
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: layerIndices.length,
+      keyTensor: `model.layers.${layer}.self_attn.k_proj.weight`,
+      headDim: resolveHeadDim(model, `model.layers.${layer}.self_attn.k_norm.weight`),
+    }),
   };
 }
 
@@ -664,7 +762,13 @@ function buildQwen35DenseEntry(model, presetId, includeMtp) {
 
   return {
     entry,
-    expectedTotal: computeResults(buildPresetInput(entry)).totalParams,
+    expectedTotal: computeResults(inputFromPresetEntry(entry)).totalParams,
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: selfCount + (includeMtp && hasPrefix(model, 'mtp.') ? 1 : 0),
+      linearAttentionLayers: linearCount,
+      keyTensor: `model.language_model.layers.${selfLayer}.self_attn.k_proj.weight`,
+      headDim: resolveHeadDim(model, `model.language_model.layers.${selfLayer}.self_attn.k_norm.weight`),
+    }),
   };
 }
 
@@ -754,7 +858,13 @@ function buildQwen35MoeEntry(model, presetId, includeMtp) {
 
   return {
     entry,
-    expectedTotal: computeResults(buildPresetInput(entry)).totalParams,
+    expectedTotal: computeResults(inputFromPresetEntry(entry)).totalParams,
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: selfCount + (includeMtp && hasPrefix(model, 'mtp.') ? 1 : 0),
+      linearAttentionLayers: linearCount,
+      keyTensor: `model.language_model.layers.${selfLayer}.self_attn.k_proj.weight`,
+      headDim: resolveHeadDim(model, `model.language_model.layers.${selfLayer}.self_attn.k_norm.weight`),
+    }),
   };
 }
 
@@ -843,6 +953,12 @@ function buildQwen3NextEntry(model, presetId, includeMtp) {
     expectedTotal: listTensorNames(model)
       .filter(name => includeMtp || !name.startsWith('mtp.'))
       .reduce((total, name) => total + tensorCount(model, name), 0),
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: selfCount + (includeMtp && hasPrefix(model, 'mtp.') ? 1 : 0),
+      linearAttentionLayers: linearCount,
+      keyTensor: `model.layers.${selfLayer}.self_attn.k_proj.weight`,
+      headDim: resolveHeadDim(model, `model.layers.${selfLayer}.self_attn.k_norm.weight`),
+    }),
   };
 }
 
@@ -860,7 +976,7 @@ function buildStep35Entry(model, presetId, includeMtp) {
 
   const z06 = [
     tensorLine(model, 'model.norm.weight'),
-    scalarLine(heterogeneousExtraTotal),
+    scalarLine(heterogeneousExtraTotal, requireTensor(model, `model.layers.${moeLayer}.self_attn.q_proj.weight`).dtype, 'self_attn extra heads x30'),
   ];
   if (includeMtp) {
     z06.push(linesFromNames(model, mtpLayers.flatMap(layer => [
@@ -932,6 +1048,11 @@ function buildStep35Entry(model, presetId, includeMtp) {
       [STABLE_LABEL_REFS.has_shared_expert]: true,
       [STABLE_LABEL_REFS.experts_include_dim]: true,
     },
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: denseLayers.length + moeLayers.length + (includeMtp ? mtpLayers.length : 0),
+      keyTensor: `model.layers.${moeLayer}.self_attn.k_proj.weight`,
+      headDim: resolveHeadDim(model, `model.layers.${moeLayer}.self_attn.k_norm.weight`),
+    }),
   };
 }
 
@@ -941,8 +1062,8 @@ function buildMistralSmall4Entry(model, presetId) {
   const experts = getExpertCountFromRouter(model, `language_model.model.layers.${layer}.mlp.gate.weight`);
 
   const visualPrefixes = ['multi_modal_projector.', 'vision_tower.'];
-  const visualTotal = visualPrefixes.reduce((total, prefix) => total + tensorNamesWithPrefix(model, prefix)
-    .reduce((sum, name) => sum + tensorCount(model, name), 0), 0);
+  const visualNames = visualPrefixes.flatMap(prefix => tensorNamesWithPrefix(model, prefix));
+  const visualTotal = sumTensorCounts(model, visualNames);
 
   return {
     entry: {
@@ -953,7 +1074,7 @@ function buildMistralSmall4Entry(model, presetId) {
       ]),
       [STABLE_LABEL_REFS.pre_first_norms]: nonEmptyJoin([
         tensorLine(model, 'language_model.model.norm.weight'),
-        visualTotal > 0 ? scalarLine(visualTotal) : '',
+        visualTotal > 0 ? scalarLine(visualTotal, commonDtype(model, visualNames), visualPrefixes.map(prefix => `${prefix}*`).join(' + ')) : '',
       ]),
       [STABLE_LABEL_REFS.experts_per_layer]: String(experts),
       [STABLE_LABEL_REFS.active_experts]: String(model.architecture.num_experts_per_tok ?? 4),
@@ -1004,6 +1125,11 @@ function buildMistralSmall4Entry(model, presetId) {
       [STABLE_LABEL_REFS.has_shared_expert]: true,
       [STABLE_LABEL_REFS.experts_include_dim]: true,
     },
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: layerIndices.length,
+      latentTensor: `language_model.model.layers.${layer}.self_attn.kv_a_proj_with_mqa.weight`,
+      latentNormTensor: `language_model.model.layers.${layer}.self_attn.kv_a_layernorm.weight`,
+    }),
   };
 }
 
@@ -1053,6 +1179,11 @@ function buildMinimaxM2Entry(model, presetId) {
       ].join('\n'),
       [STABLE_LABEL_REFS.experts_include_dim]: true,
     },
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: layerIndices.length,
+      keyTensor: `model.layers.${layer}.self_attn.k_proj.weight`,
+      headDim: resolveHeadDim(model),
+    }),
   };
 }
 
@@ -1090,17 +1221,33 @@ function buildGptOssEntry(model, presetId) {
       `model.layers.${layer}.mlp.router.bias`,
     ]),
     [STABLE_LABEL_REFS.moe_experts]: [
-      shapeLine([experts, 5760, 2880]),
-      shapeLine([experts, 2880, 2880]),
+      mxfp4Line(model, `model.layers.${layer}.mlp.experts.gate_up_proj`),
+      mxfp4Line(model, `model.layers.${layer}.mlp.experts.down_proj`),
       tensorLine(model, `model.layers.${layer}.mlp.experts.gate_up_proj_bias`),
       tensorLine(model, `model.layers.${layer}.mlp.experts.down_proj_bias`),
     ].join('\n'),
     [STABLE_LABEL_REFS.experts_include_dim]: true,
   };
 
+  // gpt-oss alternates sliding-window and full attention layers with a
+  // 128-token window; older exports do not record layer_types.
+  const queryHeads = requireTensor(model, `model.layers.${layer}.self_attn.sinks`).shape[0];
+  const headDim = model.architecture.head_dim
+    ?? (requireTensor(model, `model.layers.${layer}.self_attn.q_proj.weight`).shape[0] / queryHeads);
+  const slidingLayers = Array.isArray(model.architecture.layer_types)
+    ? countSlidingLayers(model, layerIndices.length)
+    : Math.floor(layerIndices.length / 2);
+
   return {
     entry,
-    expectedTotal: computeResults(buildPresetInput(entry)).totalParams,
+    expectedTotal: computeResults(inputFromPresetEntry(entry)).totalParams,
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: layerIndices.length,
+      slidingLayers,
+      slidingWindow: model.architecture.sliding_window ?? 128,
+      keyTensor: `model.layers.${layer}.self_attn.k_proj.weight`,
+      headDim,
+    }),
   };
 }
 
@@ -1135,8 +1282,8 @@ function buildNemotronEntry(model, presetId, includeMtp) {
       'mtp.layers.1.mixer.shared_experts.up_proj.weight',
       'mtp.layers.1.mixer.shared_experts.down_proj.weight',
       ]),
-      shapeLine([512, ...requireTensor(model, 'mtp.layers.1.mixer.experts.0.up_proj.weight').shape]),
-      shapeLine([512, ...requireTensor(model, 'mtp.layers.1.mixer.experts.0.down_proj.weight').shape]),
+      expertLine(model, 'mtp.layers.1.mixer.experts.0.up_proj.weight', 512),
+      expertLine(model, 'mtp.layers.1.mixer.experts.0.down_proj.weight', 512),
     ]));
   }
 
@@ -1190,6 +1337,12 @@ function buildNemotronEntry(model, presetId, includeMtp) {
       [STABLE_LABEL_REFS.experts_include_dim]: true,
     },
     expectedTotal: includeMtp ? mtpExpectedTotal : baseExpectedTotal,
+    architecture: buildKvArchitecture(model, {
+      attentionLayers: 8 + (includeMtp ? 1 : 0),
+      linearAttentionLayers: 40,
+      keyTensor: `backbone.layers.${attnLayer}.mixer.k_proj.weight`,
+      headDim: resolveHeadDim(model),
+    }),
   };
 }
 
@@ -1216,7 +1369,7 @@ function validatePreset(model, presetId, entry, explicitExpectedTotal) {
     return;
   }
 
-  const results = computeResults(buildPresetInput(entry));
+  const results = computeResults(inputFromPresetEntry(entry));
   if (results.totalParams !== expectedTotal) {
     throw new Error(`Generated ${presetId} total ${results.totalParams} did not match expected ${expectedTotal}`);
   }
@@ -1243,7 +1396,7 @@ function main() {
     );
   }
 
-  const { models, expectedTotals } = builder(model);
+  const { models, expectedTotals, architectures } = builder(model);
   const presets = {
     meta: {
       format: 'stable-ref-v1',
@@ -1252,6 +1405,7 @@ function main() {
     },
     modelOrder: Object.keys(models),
     models,
+    architectures,
   };
 
   for (const [presetId, entry] of Object.entries(models)) {
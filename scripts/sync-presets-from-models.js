@@ -13,6 +13,7 @@ function main() {
 
   const modelOrder = [];
   const models = {};
+  const architectures = {};
 
   for (const file of files) {
     const data = JSON.parse(fs.readFileSync(path.join(modelsDir, file), 'utf8'));
@@ -20,6 +21,9 @@ function main() {
       if (!data.models?.[modelId]) continue;
       modelOrder.push(modelId);
       models[modelId] = data.models[modelId];
+      if (data.architectures?.[modelId]) {
+        architectures[modelId] = data.architectures[modelId];
+      }
     }
   }
 
@@ -31,6 +35,7 @@ function main() {
     },
     modelOrder,
     models,
+    architectures,
   };
 
   fs.writeFileSync(outputPath, `${JSON.stringify(merged, null, 2)}\n`);